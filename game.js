@@ -1,6 +1,11 @@
 /** A namespace for the Space Invaders game. */
 var SpaceInvaders = SpaceInvaders || {};
 
+/** A constant width of the logical resolution (i.e. the game coordinates). */
+SpaceInvaders.WIDTH = 672;
+/** A constant height of the logical resolution (i.e. the game coordinates). */
+SpaceInvaders.HEIGHT = 768;
+
 /** *************************************************************************
  * A helper utility to create a four digit string from the given score.
  *
@@ -22,6 +27,99 @@ SpaceInvaders.toScoreString = function (score) {
   return result;
 }
 
+/** ***************************************************************************
+ * A helper utility to create a human readable name from the given key code.
+ *
+ * Key codes are the KeyboardEvent.code values that describe the physical keys
+ * e.g. "KeyA", "Digit1" or "ArrowLeft". These are transformed into a shorter
+ * presentation such as "A", "1" or "LEFT" to be shown in the instructions.
+ *
+ * @param {string} code The key code to be converted into a name.
+ */
+SpaceInvaders.toKeyName = function (code) {
+  if (typeof code != "string") {
+    return "?";
+  }
+  var name = code.replace(/^(Key|Digit|Arrow)/, "");
+  name = name.replace(/^Numpad/, "NUM ");
+  name = name.replace(/(Left|Right)$/, " $1");
+  return name.trim().toUpperCase();
+}
+
+/** ***************************************************************************
+ * A helper utility to get the next option after the given value.
+ *
+ * Options are cycled through in the settings, so the next option after the
+ * last one is the first option again. An unknown value gives the first option.
+ *
+ * @param {Array} options The selectable options.
+ * @param {*} value The current value.
+ * @return {*} The next option.
+ */
+SpaceInvaders.nextOption = function (options, value) {
+  return options[(options.indexOf(value) + 1) % options.length];
+}
+
+/** ***************************************************************************
+ * A helper utility to read a JSON value from the browser local storage.
+ *
+ * Local storage may be unavailable (e.g. disabled by the user or missing from
+ * the running environment) or it may contain corrupted data. In such cases the
+ * given default value is returned instead of raising an error.
+ *
+ * @param {string} key The key of the stored item.
+ * @param {*} defaultValue A value to be returned if the item cannot be read.
+ */
+SpaceInvaders.loadItem = function (key, defaultValue) {
+  if (typeof window == "undefined") {
+    return defaultValue;
+  }
+  try {
+    var item = window.localStorage.getItem(key);
+    if (item != null) {
+      return JSON.parse(item);
+    }
+  } catch (e) {
+    console.warn("Unable to load '" + key + "' from the local storage.");
+  }
+  return defaultValue;
+}
+
+/** ***************************************************************************
+ * A helper utility to write a JSON value into the browser local storage.
+ *
+ * @param {string} key The key of the stored item.
+ * @param {*} value A JSON serializable value to be stored.
+ * @return {boolean} A definition whether the value was stored.
+ */
+SpaceInvaders.saveItem = function (key, value) {
+  if (typeof window == "undefined") {
+    return false;
+  }
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (e) {
+    console.warn("Unable to save '" + key + "' into the local storage.");
+  }
+  return false;
+}
+
+/** ***************************************************************************
+ * A helper utility to remove an item from the browser local storage.
+ * @param {string} key The key of the item to be removed.
+ */
+SpaceInvaders.removeItem = function (key) {
+  if (typeof window == "undefined") {
+    return;
+  }
+  try {
+    window.localStorage.removeItem(key);
+  } catch (e) {
+    console.warn("Unable to remove '" + key + "' from the local storage.");
+  }
+}
+
 /** ***************************************************************************
  * The container that holds player specific data and state.
  *
@@ -46,1227 +144,7194 @@ SpaceInvaders.PlayerContext = function (game) {
   var score = 0;
   /** The current amount of player lives. */
   var lives = this.INITIAL_LIVE_COUNT;
+  /** A definition whether the player has been awarded the bonus life. */
+  var bonusLifeAwarded = false;
   /** The previous state of the aliens within the game. */
   var alienStates = undefined;
   /** The previous state of the shields within the game. */
   var shieldStates = undefined;
+  /** A serialized game field to be restored by the next ingame state. */
+  var savedField = undefined;
 
   /** *************************************************************************
    * Reset the context back to the original state.
    *
    * This function is used to reset the context to contain the initial values
    * for each of the contained value. Useful for example, when the game is over
-   * and a new game should be started.
+   * and a new game should be started. The amount of lives is taken from the
+   * starting lives of the game (i.e. the DIP switches of the operator).
    */
   this.reset = function () {
     level = 1;
     score = 0;
-    lives = this.INITIAL_LIVE_COUNT;
+    lives = (game ? game.getStartingLives() : this.INITIAL_LIVE_COUNT);
+    bonusLifeAwarded = false;
     shieldStates = undefined;
     alienStates = undefined;
+    savedField = undefined;
   }
 
   this.getLevel = function () { return level; }
   this.getScore = function () { return score; }
   this.getLives = function () { return lives; }
+  this.isBonusLifeAwarded = function () { return bonusLifeAwarded; }
   this.getAlienStates = function () { return alienStates; }
   this.getShieldStates = function () { return shieldStates; }
+  this.getSavedField = function () { return savedField; }
 
   this.setLevel = function (newLevel) { level = newLevel; }
   this.setScore = function (newScore) { score = newScore; }
   this.setLives = function (newLives) { lives = newLives; }
+  this.setBonusLifeAwarded = function (newAwarded) { bonusLifeAwarded = newAwarded; }
   this.setAlienStates = function (newStates) { alienStates = newStates; }
   this.setShieldStates = function (newStates) { shieldStates = newStates; }
+  this.setSavedField = function (newField) { savedField = newField; }
 
   this.addScore = function (additionalScore) { score += additionalScore; }
 }
 
 /** ***************************************************************************
- * The root game structure for the Space Invaders game.
- *
- * This object module contains the necessary structure to glue the game objects
- * as a working game. It acts as the main entry point for the application which
- * is used to start the game and to provide a support for the scene system.
- *
- * The application can be created and started with the following way:
+ * A persistent table of the best scores reached within the game.
  *
- * var game = new SpaceInvaders();
- * game.start();
+ * The table holds a limited amount of entries that are kept in a descending
+ * score order. Each entry contains the initials of the player and the reached
+ * score. Table is persisted into the local storage so that the best scores are
+ * still available after the page is being reloaded.
  *
- * After being constructed and called with the previously mentioned way, the
- * application starts running and will run until the browser window is being
- * closed or whether an application execption is raised.
+ * @param {string} storageKey An optional key for the local storage item.
  */
-SpaceInvaders.Game = function () {
-  /** A constant id of the canvas to be used as the rendering target. */
-  var CANVAS_ID = "game-canvas";
-  /** A constant definition for the game framerate. */
-  var FPS = (1000.0 / 60.0);
-
-  /** A constant for the number one keycode. */
-  this.KEY_1 = 49;
-  /** A constant for the number two keycode. */
-  this.KEY_2 = 50;
-  /** A constant for the right-arrow keycode. */
-  this.KEY_RIGHT = 39;
-  /** A constant for the left-arrow keycode. */
-  this.KEY_LEFT = 37;
-  /** A constant for the spacebar keycode. */
-  this.KEY_SPACEBAR = 32;
-  /** A constant for the enter keycode. */
-  this.KEY_ENTER = 13;
-
-  /** A definition whether the game is initialized or not. */
-  var initialized = false;
-  /** A reference to the HTML5 canvas used as the rendering target. */
-  var canvas = undefined;
-  /** A reference to the 2D drawing context from the HTML5 canvas. */
-  var ctx = undefined;
-  /** A reference to the currently active scene. */
-  var scene = undefined;
-  /** A definition of the time when the game was previously updated. */
-  var previousTickTime = 0;
-  /** A delta accumulator that collects the exceeding update time delta. */
-  var deltaAccumulator = 0;
-
-  /** A container for the state and data of the 1st player. */
-  var player1Context = new SpaceInvaders.PlayerContext(this);
-  /** A container for the state and data of the 2nd player. */
-  var player2Context = new SpaceInvaders.PlayerContext(this);
-
-  /** The hi-score of the current game instace. */
-  var hiScore = 0;
-
-  /** The amount of players. */
-  var playerCount = 2;
-  /** The currently active player. */
-  var activePlayer = 1;
+SpaceInvaders.HiScoreTable = function (storageKey) {
+  /** A constant maximum amount of entries in the table. */
+  this.MAX_ENTRIES = 10;
+  /** A constant default key of the local storage item. */
+  this.DEFAULT_STORAGE_KEY = "space-invaders-hi-scores";
 
-  /** The sprite sheet containing all image assets for the game. */
-  var spriteSheet = undefined;
+  /** The key used to store the table into the local storage. */
+  var key = (storageKey || this.DEFAULT_STORAGE_KEY);
+  /** The entries of the table in a descending score order. */
+  var entries = [];
 
   /** *************************************************************************
-   * Set the active player for the game.
-   *
-   * When this function is called, the active player will be changed. This
-   * makes the game to show the "PLAY PLAYER<?>" state to notify the next
-   * player to prepare to play the game. This function is typically only used
-   * when playing the game in a multiplayer mode.
+   * Load the table entries from the local storage.
    *
-   * @param {integer} newActivePlayer A number {1|2} based on the target player.
+   * Loaded entries are sanitized so that a corrupted or a manually modified
+   * storage item cannot break the table. Invalid entries are simply skipped.
    */
-  this.setActivePlayer = function (newActivePlayer) {
-    activePlayer = newActivePlayer;
-    if (scene) {
-      if (activePlayer == 1) {
-        // blink and show only score for the 1st player.
-        scene.getScore1Text().setVisible(true);
-        scene.getScore1Text().blink();
-        scene.getScore2Text().setVisible(false);
-      } else if (activePlayer == 2) {
-        // blink and show only score for the 2nd player.
-        scene.getScore2Text().setVisible(true);
-        scene.getScore2Text().blink();
-        scene.getScore1Text().setVisible(false);
+  this.load = function () {
+    var items = SpaceInvaders.loadItem(key, []);
+    entries = [];
+    if (Array.isArray(items)) {
+      for (var i = 0; i < items.length; i++) {
+        var item = items[i];
+        if (item && typeof item.name == "string" && typeof item.score == "number") {
+          entries.push({ name: item.name, score: item.score });
+        }
       }
-      scene.setState(new SpaceInvaders.PlayPlayerState(this));
     }
+    entries.sort(function (a, b) { return b.score - a.score; });
+    entries = entries.slice(0, this.MAX_ENTRIES);
   }
 
-  /** ***********************************************************************
-    * Get the definition whether the game is initialized.
-    *
-    * This function provides a simple way to externally check whether the game
-    * has been inited successfully and is ready to run (or already running).
-    *
-    * @return {[]} A definition whether the game is inited.
-    */
-  this.isInitialized = function () {
-    return initialized;
-  };
+  /** *************************************************************************
+   * Save the table entries into the local storage.
+   * @return {boolean} A definition whether the entries were stored.
+   */
+  this.save = function () {
+    return SpaceInvaders.saveItem(key, entries);
+  }
 
-  /** ***********************************************************************
-   * Get a reference to the currently active scene.
-   *
-   * This function returns a reference to currently active scene. If there is
-   * currently no active scene, then this function returns the default value
-   * (undefined) as a result.
-   *
-   * @return {SpaceInvaders.Scene} The currently active scene or undefined.
+  /** *************************************************************************
+   * Check whether the given score is good enough to be put into the table.
+   * @param {number} score The score to be checked.
+   * @return {boolean} A definition whether the score makes the table.
    */
-  this.getScene = function () {
-    return scene;
+  this.qualifies = function (score) {
+    if (score <= 0) {
+      return false;
+    }
+    if (entries.length < this.MAX_ENTRIES) {
+      return true;
+    }
+    return score > entries[entries.length - 1].score;
   }
 
-  /** ***********************************************************************
-   * Initialize the game.
+  /** *************************************************************************
+   * Add a new entry into the table.
    *
-   * Initialization will ensure that the game will get a reference to the 2D
-   * drawing context from the game canvas element. It also provides a way to
-   * define a game wide initializations for game scenes etc.
+   * The entry is placed after all the entries with the same or better score,
+   * so the earlier achievers are kept on top of the later ones. The lowest
+   * entry is dropped if the table exceeds the maximum amount of entries.
    *
-   * @return {boolean} A definition whether the initialization succeeded.
+   * @param {string} name The initials of the player.
+   * @param {number} score The score reached by the player.
+   * @return {number} The index of the new entry or -1 if it didn't qualify.
    */
-  this.init = function () {
-    // a sanity check to prevent re-initialization.
-    if (initialized == true) {
-      console.error("Unable to re-initialize the game.")
-      return false;
+  this.add = function (name, score) {
+    if (!this.qualifies(score)) {
+      return -1;
     }
-
-    // get a reference to the target <canvas> element.
-    if (!(canvas = document.getElementById(CANVAS_ID))) {
-      console.error("Unable to find the required canvas element.");
-      return false;
+    var index = 0;
+    while (index < entries.length && entries[index].score >= score) {
+      index++;
     }
+    entries.splice(index, 0, { name: name, score: score });
+    entries = entries.slice(0, this.MAX_ENTRIES);
+    return index;
+  }
 
-    // get a reference to the 2D drawing context.
-    if (!(ctx = canvas.getContext("2d"))) {
-      console.error("Unable to get a reference to 2D draw context.");
-      return false;
-    }
+  /** *************************************************************************
+   * Get the best score in the table.
+   * @return {number} The best score or zero if the table is empty.
+   */
+  this.getTopScore = function () {
+    return (entries.length > 0 ? entries[0].score : 0);
+  }
 
-    // TODO make this a synchronous load to avoid invalid references?
-    // load the source sprite sheet as an image.
-    spriteSheet = new Image();
-    spriteSheet.src = "space_invaders_spritesheet.png";
+  this.getEntries = function () { return entries.slice(); }
+  this.getStorageKey = function () { return key; }
+}
 
-    // initialize the only scene used within the application.
-    scene = new SpaceInvaders.Scene(this);
+/** ***************************************************************************
+ * A persistent save of an in-progress game.
+ *
+ * The save contains both of the player contexts, the active player, the game
+ * mode (co-op or not), the difficulty preset, the DIP switches, the hi-score
+ * and the state of the random generator. Game field of each player is stored
+ * with the alien positions, step sizes and directions, shield damage, the
+ * flying saucer counter and the power-up timers and the falling capsules of
+ * the deluxe rules. The DIP switches are saved so the continued game is
+ * played with the settings it was started with. The save is written into the
+ * local storage while the game is being played, so the game can be continued
+ * after a page reload.
+ *
+ * @param {string} storageKey An optional key for the local storage item.
+ */
+SpaceInvaders.SaveGame = function (storageKey) {
+  /** A constant default key of the local storage item. */
+  this.DEFAULT_STORAGE_KEY = "space-invaders-save";
+  /** A constant version of the save format. */
+  this.VERSION = 2;
 
-    // construct and assign the initial welcoming state.
-    scene.setState(new SpaceInvaders.WelcomeState(this));
+  /** The key used to store the save into the local storage. */
+  var key = (storageKey || this.DEFAULT_STORAGE_KEY);
 
-    // when the code reaches this point, the initialization succeeded.
-    initialized = true;
-    return true;
-  };
+  /** *************************************************************************
+   * Serialize the given game field into a plain JSON compatible object.
+   * @param {SpaceInvaders.AnimatedMovableSpriteEntity[]} aliens The aliens.
+   * @param {SpaceInvaders.Shield[]} shields The shields.
+   * @param {number} saucerCounter The ticks before the flying saucer launch.
+   * @param {Object[]} powerUpTicks The power-up timers of the deluxe rules.
+   * @param {SpaceInvaders.CapsuleEntity[]} capsules The falling capsules.
+   * @return {Object} The serialized game field.
+   */
+  this.serializeField = function (aliens, shields, saucerCounter, powerUpTicks, capsules) {
+    return {
+      aliens: aliens.map(function (alien) {
+        return {
+          x: alien.getX(),
+          y: alien.getY(),
+          alive: alien.isVisible(),
+          directionX: alien.getDirectionX(),
+          stepSize: alien.getStepSize(),
+          frame: alien.getAnimationFrameIndex()
+        };
+      }),
+      shields: shields.map(function (shield) {
+        return { x: shield.getX(), y: shield.getY(), mask: shield.exportMask() };
+      }),
+      saucerCounter: saucerCounter,
+      powerUpTicks: (powerUpTicks || []).map(function (ticks) {
+        return { spread: ticks.spread, rapid: ticks.rapid, barrier: ticks.barrier, repair: ticks.repair };
+      }),
+      capsules: (capsules || []).map(function (capsule) {
+        return { x: capsule.getX(), y: capsule.getY(), powerUp: capsule.getPowerUp() };
+      })
+    };
+  }
 
-  /** ***********************************************************************
-   * Run the game.
-   *
-   * Running the game means that the game will execute an infinite loop that
-   * runs the game logic updates and draw operations until the user closes
-   * the browser tab or the JavaScript catches and exception from the code.
+  /** *************************************************************************
+   * Save the given game into the local storage.
    *
-   * It's quite important to note that the requestAnimationFrame provides the
-   * tickTime automatically when it uses the function as a callback.
+   * The game field of the active player should be given by the ingame state,
+   * as the player context only holds the game field after the player switch.
    *
-   * @param {double} tickTime A timestamp when the function is called.
+   * @param {SpaceInvaders.Game} game The game to be saved.
+   * @param {Object} activeField The serialized field of the active player.
+   * @return {boolean} A definition whether the game was stored.
    */
-  this.run = function (tickTime) {
-    // calculate a delta time and store the current tick time.
-    var dt = (tickTime - previousTickTime);
-    previousTickTime = tickTime;
-
-    // update and draw the scene only when we have reasonable delta.
-    if (dt < 100) {
-      deltaAccumulator += dt;
-      while (deltaAccumulator >= FPS) {
-        scene.update(FPS);
-        deltaAccumulator -= FPS;
+  this.save = function (game, activeField) {
+    var contexts = [game.getPlayer1Context(), game.getPlayer2Context()];
+    var players = [];
+    for (var i = 0; i < contexts.length; i++) {
+      var context = contexts[i];
+      var field = context.getSavedField();
+      if ((i + 1) == game.getActivePlayer() && activeField) {
+        field = activeField;
+      } else if (context.getAlienStates()) {
+        field = this.serializeField(context.getAlienStates(), context.getShieldStates());
       }
-
-      // swipe old contents from the draw buffer and draw the scene.
-      ctx.clearRect(0, 0, canvas.width, canvas.height);
-      scene.render(ctx);
+      players.push({
+        level: context.getLevel(),
+        score: context.getScore(),
+        lives: context.getLives(),
+        bonusLife: context.isBonusLifeAwarded(),
+        field: field
+      });
     }
+    return SpaceInvaders.saveItem(key, {
+      version: this.VERSION,
+      playerCount: game.getPlayerCount(),
+      activePlayer: game.getActivePlayer(),
+      coop: game.isCoop(),
+      difficulty: game.getDifficulty().id,
+      dipSwitches: {
+        lives: game.getStartingLives(),
+        bonusLife: game.getBonusLifeScore(),
+        deluxe: game.isDeluxe()
+      },
+      hiScore: game.getHiScore(),
+      random: game.getRandom().getState(),
+      players: players
+    });
+  }
 
-    // perform a main loop iteration.
-    requestAnimationFrame(this.run.bind(this));
-  };
-
-  /** ***********************************************************************
-   * Start the game.
-   *
-   * Game will be first initialized and the started. Game will be using an
-   * infinite loop (via requestAnimationFrame) as the main loop, so the game
-   * will not stop running until the user closes the browser tab or if an
-   * error is detected by the browser JavaScript engine.
+  /** *************************************************************************
+   * Load the save from the local storage.
+   * @return {Object} The saved game or undefined if there is no valid save.
    */
-  this.start = function () {
-    if (this.init()) {
-      this.run(0);
+  this.load = function () {
+    var data = SpaceInvaders.loadItem(key, undefined);
+    if (!data || data.version != this.VERSION || !Array.isArray(data.players)
+      || data.players.length != 2 || (data.playerCount != 1 && data.playerCount != 2)
+      || !data.dipSwitches) {
+      return undefined;
     }
-  };
+    var options = new SpaceInvaders.OperatorSettings();
+    if (options.LIVES_OPTIONS.indexOf(data.dipSwitches.lives) < 0
+      || options.BONUS_LIFE_OPTIONS.indexOf(data.dipSwitches.bonusLife) < 0) {
+      return undefined;
+    }
+    for (var i = 0; i < data.players.length; i++) {
+      var player = data.players[i];
+      if (!player || typeof player.level != "number" || typeof player.score != "number"
+        || typeof player.lives != "number") {
+        return undefined;
+      }
+    }
+    return data;
+  }
 
-  /** ***********************************************************************
-   * Get the context container of the currently active player.
+  /** *************************************************************************
+   * Restore the loaded save into the player contexts of the given game.
    *
-   * Game will always contain a context container for each player. The active
-   * context instance will be changed whenever the active player is changed.
+   * The game fields are only attached to the player contexts, as the ingame
+   * state restores them when it's being constructed for the player.
    *
-   * @returns {SpaceInvaders.PlayerContext} Context of the active player.
+   * @param {SpaceInvaders.Game} game The game to be restored.
+   * @param {Object} data The save loaded with #load.
    */
-  this.getActiveContext = function () {
-    return (activePlayer == 1 ? player1Context : player2Context);
+  this.restore = function (game, data) {
+    var contexts = [game.getPlayer1Context(), game.getPlayer2Context()];
+    for (var i = 0; i < contexts.length; i++) {
+      var player = data.players[i];
+      contexts[i].reset();
+      contexts[i].setLevel(player.level);
+      contexts[i].setScore(player.score);
+      contexts[i].setLives(player.lives);
+      contexts[i].setBonusLifeAwarded(player.bonusLife === true);
+      contexts[i].setSavedField(player.field || undefined);
+    }
   }
 
-  this.getPlayer1Context = function () { return player1Context; }
-  this.getPlayer2Context = function () { return player2Context; }
+  /** *************************************************************************
+   * Remove the save from the local storage.
+   */
+  this.clear = function () {
+    SpaceInvaders.removeItem(key);
+  }
 
-  this.getHiScore = function () { return hiScore; }
-  this.getSpriteSheet = function () { return spriteSheet; }
-  this.getPlayerCount = function () { return playerCount; }
-  this.getActivePlayer = function () { return activePlayer; }
-  this.getCanvasCtx = function () { return ctx; }
+  /** *************************************************************************
+   * Check whether there is a valid save in the local storage.
+   * @return {boolean} A definition whether the save exists.
+   */
+  this.exists = function () {
+    return this.load() != undefined;
+  }
 
-  this.setHiScore = function (newScore) { hiScore = newScore; }
-  this.setPlayerCount = function (newCount) { playerCount = newCount; }
-};
+  this.getStorageKey = function () { return key; }
+}
 
 /** ***************************************************************************
- * An entity abstraction for all game objects within the Space Invaders game.
+ * The persistent operator settings (i.e. the DIP switches of the cabinet).
  *
- * This class acts as the root of all entities within the game scene. It does
- * contain all the shared definitions that must be present within all entities
- * that are created into the game scene. This also includes the root game and
- * scene instances as well as the 2d-coordinates of the entity.
+ * The original cabinet had DIP switches for the operator to set the amount of
+ * starting lives (3-6) and the score that awards the bonus life (1000 or 1500
+ * points). Settings are persisted into the local storage and they are applied
+ * from the next started game. The free play setting lets the games be started
+ * without inserting any coins. The deluxe setting replaces the classic rules
+ * with the rules of the power-up variant.
  *
- * @param {SpaceInvaders.Game} game A reference to the target game instance.
+ * @param {string} storageKey An optional key for the local storage item.
  */
-SpaceInvaders.Entity = function (game) {
-  /** A reference to the root game instance. */
-  this.game = game;
-  /** A reference to the used scene instance. */
-  this.scene = game.getScene();
+SpaceInvaders.OperatorSettings = function (storageKey) {
+  /** A constant default key of the local storage item. */
+  this.DEFAULT_STORAGE_KEY = "space-invaders-operator";
+  /** A constant list of the selectable amounts of starting lives. */
+  this.LIVES_OPTIONS = [3, 4, 5, 6];
+  /** A constant list of the selectable scores for the bonus life. */
+  this.BONUS_LIFE_OPTIONS = [1000, 1500];
+  /** A constant default amount of starting lives. */
+  this.DEFAULT_LIVES = 3;
+  /** A constant default score for the bonus life. */
+  this.DEFAULT_BONUS_LIFE = 1500;
+  /** A constant default definition whether the games are free to play. */
+  this.DEFAULT_FREE_PLAY = false;
+  /** A constant default definition whether the games use the deluxe (power-up) rules. */
+  this.DEFAULT_DELUXE = false;
+
+  /** The key used to store the settings into the local storage. */
+  var key = (storageKey || this.DEFAULT_STORAGE_KEY);
+  /** The amount of starting lives of each player. */
+  var lives = this.DEFAULT_LIVES;
+  /** The score that awards the bonus life. */
+  var bonusLife = this.DEFAULT_BONUS_LIFE;
+  /** A definition whether the games can be started without any credits. */
+  var freePlay = this.DEFAULT_FREE_PLAY;
+  /** A definition whether the games use the deluxe rules instead of the classic ones. */
+  var deluxe = this.DEFAULT_DELUXE;
 
-  /** A constant default value for the y-position. */
-  this.DEFAULT_X = 0;
-  /** A constant default value for the x-position. */
-  this.DEFAULT_Y = 0;
-
-  /** The x-coordinate position of the entity. */
-  var x = this.DEFAULT_X;
-  /** The y-coordinate position of the entity. */
-  var y = this.DEFAULT_Y;
+  /** *************************************************************************
+   * Load the settings from the local storage.
+   *
+   * Values that are not within the selectable options are ignored, so the
+   * defaults are used instead of a corrupted or a manually modified item.
+   */
+  this.load = function () {
+    var data = SpaceInvaders.loadItem(key, undefined);
+    if (data && this.LIVES_OPTIONS.indexOf(data.lives) >= 0) {
+      lives = data.lives;
+    }
+    if (data && this.BONUS_LIFE_OPTIONS.indexOf(data.bonusLife) >= 0) {
+      bonusLife = data.bonusLife;
+    }
+    if (data && typeof data.freePlay == "boolean") {
+      freePlay = data.freePlay;
+    }
+    if (data && typeof data.deluxe == "boolean") {
+      deluxe = data.deluxe;
+    }
+  }
 
-  this.getX = function () { return x; }
-  this.getY = function () { return y; }
+  /** *************************************************************************
+   * Save the settings into the local storage.
+   * @return {boolean} A definition whether the settings were stored.
+   */
+  this.save = function () {
+    return SpaceInvaders.saveItem(key, { lives: lives, bonusLife: bonusLife, freePlay: freePlay, deluxe: deluxe });
+  }
 
-  this.setX = function (newX) { x = newX; }
-  this.setY = function (newY) { y = newY; }
+  /** *************************************************************************
+   * Get the DIP switches i.e. the settings that change the rules of a game.
+   * @return {Object} The {lives, bonusLife, deluxe} of the settings.
+   */
+  this.getDipSwitches = function () {
+    return { lives: lives, bonusLife: bonusLife, deluxe: deluxe };
+  }
+
+  this.getLives = function () { return lives; }
+  this.getBonusLife = function () { return bonusLife; }
+  this.isFreePlay = function () { return freePlay; }
+  this.isDeluxe = function () { return deluxe; }
+  this.getStorageKey = function () { return key; }
+
+  this.setLives = function (newLives) { lives = newLives; }
+  this.setBonusLife = function (newBonusLife) { bonusLife = newBonusLife; }
+  this.setFreePlay = function (newFreePlay) { freePlay = newFreePlay; }
+  this.setDeluxe = function (newDeluxe) { deluxe = newDeluxe; }
 }
 
 /** ***************************************************************************
- * An entity abstraction for all entities that are collideable.
+ * A persistent container for the display settings of the player.
  *
- * This class encapsulates the required definitions for an entity to perform a
- * collision check with an another entity. The abstraction uses an axis-aligned
- * bounding box to encapsulate and check whether a collision is executed.
+ * Display settings change only how the game looks like, so they are applied
+ * immediately and they never change the rules or the replays of the games.
+ * The classic look disables the particle effects and the screen shake, so the
+ * explosions look like the single sprite frames of the original cabinet. The
+ * display filter post-processes the screen with the selected preset (see the
+ * SpaceInvaders.DisplayFilter) and the scaling mode selects how the game is
+ * scaled onto the screen (see the SpaceInvaders.Viewport).
  *
- * @param {SpaceInvaders.Game} game A reference to the target game instance.
+ * @param {string} storageKey An optional key for the local storage item.
  */
-SpaceInvaders.CollideableEntity = function (game) {
-  SpaceInvaders.Entity.call(this, game);
+SpaceInvaders.DisplaySettings = function (storageKey) {
+  /** A constant default key of the local storage item. */
+  this.DEFAULT_STORAGE_KEY = "space-invaders-display";
+  /** A constant default definition whether the classic look is used. */
+  this.DEFAULT_CLASSIC_LOOK = false;
+  /** A constant list of the ids of the selectable display filter presets. */
+  this.FILTER_PRESETS = ["cabinet", "crt", "overlay"];
+  /** A constant default definition whether the display filter is used. */
+  this.DEFAULT_FILTER = false;
+  /** A constant default id of the display filter preset. */
+  this.DEFAULT_FILTER_PRESET = "cabinet";
+  /** A constant list of the selectable scaling modes (see SpaceInvaders.Viewport). */
+  this.SCALING_OPTIONS = ["fit", "integer"];
+  /** A constant default scaling mode. */
+  this.DEFAULT_SCALING = "fit";
+
+  /** The key used to store the settings into the local storage. */
+  var key = (storageKey || this.DEFAULT_STORAGE_KEY);
+  /** A definition whether the particle effects and the screen shake are disabled. */
+  var classicLook = this.DEFAULT_CLASSIC_LOOK;
+  /** A definition whether the screen is post-processed with the display filter. */
+  var filter = this.DEFAULT_FILTER;
+  /** The id of the display filter preset. */
+  var filterPreset = this.DEFAULT_FILTER_PRESET;
+  /** The mode used to scale the game onto the screen. */
+  var scaling = this.DEFAULT_SCALING;
 
-  /** A constant default value for the AABB extent in the x-axis. */
-  this.DEFAULT_EXTENT_X = 0;
-  /** A constant default value for the AABB extent in the y-axis. */
-  this.DEFAULT_EXTENT_Y = 0;
-  /** A constant default value for the enabled state. */
-  this.DEFAULT_ENABLED = true;
+  /** *************************************************************************
+   * Load the settings from the local storage.
+   *
+   * Values that are not within the selectable options are ignored, so the
+   * defaults are used instead of a corrupted or a manually modified item.
+   */
+  this.load = function () {
+    var data = SpaceInvaders.loadItem(key, undefined);
+    if (data && typeof data.classicLook == "boolean") {
+      classicLook = data.classicLook;
+    }
+    if (data && typeof data.filter == "boolean") {
+      filter = data.filter;
+    }
+    if (data && this.FILTER_PRESETS.indexOf(data.filterPreset) >= 0) {
+      filterPreset = data.filterPreset;
+    }
+    if (data && this.SCALING_OPTIONS.indexOf(data.scaling) >= 0) {
+      scaling = data.scaling;
+    }
+  }
 
-  /** The AABB x-axis extent (i.e. half-width). */
-  var extentX = this.DEFAULT_EXTENT_X;
-  /** The AABB y-axis extent (i.e. half-height). */
-  var extentY = this.DEFAULT_EXTENT_Y;
-  /** The x-axis center of the AABB. */
-  var centerX = this.getX() + extentX;
-  /** The y-axis center of the AABB. */
-  var centerY = this.getY() + extentY;
-  /** The definition whether the entity can be collided. */
-  var enabled = this.DEFAULT_ENABLED;
+  /** *************************************************************************
+   * Save the settings into the local storage.
+   * @return {boolean} A definition whether the settings were stored.
+   */
+  this.save = function () {
+    return SpaceInvaders.saveItem(key, {
+      classicLook: classicLook, filter: filter, filterPreset: filterPreset, scaling: scaling
+    });
+  }
 
-  /** A stored reference to the original parent x-axis setter. */
-  var parentSetX = this.setX;
-  /** A stored reference to the original parent y-axis setter. */
-  var parentSetY = this.setY;
+  this.isClassicLook = function () { return classicLook; }
+  this.isFilter = function () { return filter; }
+  this.getFilterPreset = function () { return filterPreset; }
+  this.getScaling = function () { return scaling; }
+  this.getStorageKey = function () { return key; }
 
-  /****************************************************************************
-   * Check whether this entity collides with an another entity.
-   * @param {SpaceInvades.CollideableEntity} o Another entity to check against.
+  this.setClassicLook = function (newClassicLook) { classicLook = newClassicLook; }
+  this.setFilter = function (newFilter) { filter = newFilter; }
+  this.setFilterPreset = function (newPreset) { filterPreset = newPreset; }
+  this.setScaling = function (newScaling) { scaling = newScaling; }
+}
+
+/** ***************************************************************************
+ * A display filter that post-processes the rendered frames of the game.
+ *
+ * The filter imitates the look of the original cabinet with Canvas 2D only.
+ * The scene is first rendered into an offscreen buffer, where the bands of
+ * the colored cellophane overlay are multiplied over the white graphics (red
+ * near the top and green over the shields and the player zone), a blurred
+ * copy of the frame is added as the phosphor bloom and the scanlines are
+ * darkened. The buffer is then drawn into the screen in horizontal slices,
+ * which are narrowed towards the top and the bottom for a slight curvature.
+ * The buffer has the backing resolution of the screen, so the filtered frame
+ * is as sharp as the unfiltered one, while the scene, the overlay and the
+ * scanlines are still drawn in the game coordinates.
+ *
+ * The offscreen canvases are created only when the filter is first used, so
+ * the filter can be constructed without a DOM (e.g. in the headless game).
+ *
+ * @param {function} canvasFactory An optional function(width, height) to
+ * create the offscreen canvases.
+ */
+SpaceInvaders.DisplayFilter = function (canvasFactory) {
+  /**
+   * A constant definition of the filter presets. Each preset defines whether
+   * the overlay is used, the opacity of the scanlines and the bloom and the
+   * amount of the curvature (i.e. how much the top and the bottom narrow).
    */
-  this.collides = function (o) {
-    // no collision if either entity is currently not collideable.
-    if (!this.isEnabled() || !o.isEnabled()) return false;
+  this.PRESETS = {
+    cabinet: { name: "CABINET", overlay: true, scanlines: 0.3, bloom: 0.35, curvature: 0.03 },
+    crt: { name: "CRT", overlay: false, scanlines: 0.3, bloom: 0.35, curvature: 0.03 },
+    overlay: { name: "OVERLAY", overlay: true, scanlines: 0, bloom: 0, curvature: 0 }
+  };
+  /** A constant list of the bands of the overlay i.e. {x, y, width, height, fillStyle}. */
+  this.OVERLAY_BANDS = [
+    { x: 0, y: 96, width: SpaceInvaders.WIDTH, height: 54, fillStyle: "#ff3030" },
+    { x: 0, y: 550, width: SpaceInvaders.WIDTH, height: 174, fillStyle: "#20ff20" },
+    { x: 0, y: 724, width: 300, height: 44, fillStyle: "#20ff20" }
+  ];
+  /** A constant divisor of the size of the blurred bloom copy. */
+  this.BLOOM_DOWNSCALE = 4;
+  /** A constant distance between the scanlines in the game coordinates. */
+  this.SCANLINE_SPACING = 3;
+  /** A constant height of the curved slices in the pixels of the buffer. */
+  this.SLICE_HEIGHT = 4;
+  /** A constant opacity of the vignette at the corners of the curved screen. */
+  this.VIGNETTE_ALPHA = 0.5;
+
+  /** The function used to create the offscreen canvases. */
+  var createCanvas = (canvasFactory || function (width, height) {
+    var canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  });
+  /** The offscreen canvas where the scene is rendered into. */
+  var buffer = undefined;
+  /** The small offscreen canvas used to blur the bloom. */
+  var glow = undefined;
 
-    // check whether we have a collisions between the two AABBs.
-    var x = Math.abs(centerX - o.getCenterX()) < (extentX + o.getExtentX());
-    var y = Math.abs(centerY - o.getCenterY()) < (extentY + o.getExtentY());
-    return x && y;
+  /** *************************************************************************
+   * Begin a new frame and get the drawing context of the offscreen buffer.
+   *
+   * The buffer is (re)created to match the given size and it is cleared into
+   * black, as the overlay colors are multiplied over the rendered graphics.
+   * The returned context is scaled from the game coordinates into the buffer.
+   *
+   * @param {number} width The width of the backing store of the screen.
+   * @param {number} height The height of the backing store of the screen.
+   * @return {CanvasRenderingContext2D} The drawing context of the buffer.
+   */
+  this.begin = function (width, height) {
+    if (!buffer || buffer.width != width || buffer.height != height) {
+      buffer = createCanvas(width, height);
+      glow = createCanvas(Math.ceil(width / this.BLOOM_DOWNSCALE), Math.ceil(height / this.BLOOM_DOWNSCALE));
+    }
+    var bufferCtx = buffer.getContext("2d");
+    bufferCtx.setTransform(1, 0, 0, 1, 0, 0);
+    bufferCtx.fillStyle = "black";
+    bufferCtx.fillRect(0, 0, width, height);
+    this.scaleToGame(bufferCtx);
+    bufferCtx.imageSmoothingEnabled = false;
+    return bufferCtx;
   }
 
-  /****************************************************************************
-   * Check whether this entity contains the specified pixel.
-   * @param {number} x The x-coordinate of the pixel.
-   * @param {number} y The y-coordinate of the pixel.
-   * @returns {boolean} Boolean indivating whether pixel is included.
+  /** *************************************************************************
+   * Scale the drawing context of the buffer to draw in the game coordinates.
+   * @param {CanvasRenderingContext2D} bufferCtx The drawing context of the buffer.
    */
-  this.containsPixel = function (x, y) {
-    return !(x < (centerX - extentX)
-      || x > (centerX + extentX)
-      || y < (centerY - extentY)
-      || y > (centerY + extentY));
+  this.scaleToGame = function (bufferCtx) {
+    bufferCtx.setTransform(buffer.width / SpaceInvaders.WIDTH, 0, 0, buffer.height / SpaceInvaders.HEIGHT, 0, 0);
   }
 
-  this.setX = function (newX) {
-    parentSetX(newX);
-    centerX = this.getX() + extentX;
+  /** *************************************************************************
+   * Apply the given preset into the buffer and draw it into the given context.
+   * @param {CanvasRenderingContext2D} ctx The drawing context of the screen.
+   * @param {string} presetId The id of the filter preset to be applied.
+   */
+  this.end = function (ctx, presetId) {
+    var preset = (this.PRESETS[presetId] || this.PRESETS.cabinet);
+    var bufferCtx = buffer.getContext("2d");
+    bufferCtx.save();
+    if (preset.overlay) {
+      this.scaleToGame(bufferCtx);
+      this.applyOverlay(bufferCtx);
+    }
+    if (preset.bloom > 0) {
+      bufferCtx.setTransform(1, 0, 0, 1, 0, 0);
+      this.applyBloom(bufferCtx, preset.bloom);
+    }
+    if (preset.scanlines > 0) {
+      this.scaleToGame(bufferCtx);
+      this.applyScanlines(bufferCtx, preset.scanlines);
+    }
+    bufferCtx.restore();
+
+    // the buffer already has the backing resolution, so it is drawn unscaled.
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    if (preset.curvature > 0) {
+      this.drawCurved(ctx, preset.curvature);
+    } else {
+      ctx.drawImage(buffer, 0, 0);
+    }
+    ctx.restore();
   }
 
-  this.setY = function (newY) {
-    parentSetY(newY);
-    centerY = this.getY() + extentY;
+  /** *************************************************************************
+   * Multiply the colored bands of the cabinet overlay over the buffer.
+   * @param {CanvasRenderingContext2D} bufferCtx The drawing context of the buffer.
+   */
+  this.applyOverlay = function (bufferCtx) {
+    bufferCtx.globalCompositeOperation = "multiply";
+    this.OVERLAY_BANDS.forEach(function (band) {
+      bufferCtx.fillStyle = band.fillStyle;
+      bufferCtx.fillRect(band.x, band.y, band.width, band.height);
+    });
+    bufferCtx.globalCompositeOperation = "source-over";
   }
 
-  this.setExtentX = function (newExtent) {
-    extentX = newExtent;
-    centerX = this.getX() + extentX;
+  /** *************************************************************************
+   * Add a blurred copy of the buffer over itself as the phosphor bloom.
+   *
+   * The copy is blurred by drawing the buffer into a smaller canvas and then
+   * scaling it back with the image smoothing, which works in all browsers.
+   *
+   * @param {CanvasRenderingContext2D} bufferCtx The drawing context of the buffer.
+   * @param {number} alpha The opacity [0, 1] of the bloom.
+   */
+  this.applyBloom = function (bufferCtx, alpha) {
+    var glowCtx = glow.getContext("2d");
+    glowCtx.imageSmoothingEnabled = true;
+    glowCtx.clearRect(0, 0, glow.width, glow.height);
+    glowCtx.drawImage(buffer, 0, 0, glow.width, glow.height);
+
+    bufferCtx.imageSmoothingEnabled = true;
+    bufferCtx.globalCompositeOperation = "lighter";
+    bufferCtx.globalAlpha = alpha;
+    bufferCtx.drawImage(glow, 0, 0, buffer.width, buffer.height);
+    bufferCtx.globalAlpha = 1;
+    bufferCtx.globalCompositeOperation = "source-over";
   }
 
-  this.setExtentY = function (newExtent) {
-    extentY = newExtent;
-    centerY = this.getY() + extentY;
+  /** *************************************************************************
+   * Darken every scanline of the buffer in the game coordinates.
+   * @param {CanvasRenderingContext2D} bufferCtx The drawing context of the buffer.
+   * @param {number} alpha The opacity [0, 1] of the darkened scanlines.
+   */
+  this.applyScanlines = function (bufferCtx, alpha) {
+    bufferCtx.fillStyle = "rgba(0, 0, 0, " + alpha + ")";
+    for (var y = 0; y < SpaceInvaders.HEIGHT; y += this.SCANLINE_SPACING) {
+      bufferCtx.fillRect(0, y, SpaceInvaders.WIDTH, 1);
+    }
   }
 
-  this.getExtentX = function () { return extentX; }
-  this.getExtentY = function () { return extentY; }
-  this.getCenterX = function () { return centerX; }
-  this.getCenterY = function () { return centerY; }
-  this.isEnabled = function () { return enabled; }
+  /** *************************************************************************
+   * Draw the buffer into the given context with a slight curvature.
+   *
+   * Each horizontal slice is narrowed and moved towards the center based on
+   * its distance from the vertical center, and the corners are darkened with
+   * a vignette like the edges of a curved picture tube.
+   *
+   * @param {CanvasRenderingContext2D} ctx The drawing context of the screen.
+   * @param {number} curvature The amount [0, 1] the top and the bottom narrow.
+   */
+  this.drawCurved = function (ctx, curvature) {
+    var width = buffer.width;
+    var height = buffer.height;
+    var centerX = (width / 2);
+    var centerY = (height / 2);
+    var mapY = function (y) {
+      var distance = ((y - centerY) / centerY);
+      return centerY + (y - centerY) * (1 - curvature * distance * distance);
+    };
+    for (var y = 0; y < height; y += this.SLICE_HEIGHT) {
+      var sliceHeight = Math.min(this.SLICE_HEIGHT, height - y);
+      var distance = ((y + sliceHeight / 2 - centerY) / centerY);
+      var sliceWidth = (width * (1 - curvature * distance * distance));
+      var top = mapY(y);
+      ctx.drawImage(buffer, 0, y, width, sliceHeight,
+        centerX - sliceWidth / 2, top, sliceWidth, mapY(y + sliceHeight) - top);
+    }
 
-  this.setEnabled = function (newEnabled) { enabled = newEnabled; }
+    var vignette = ctx.createRadialGradient(centerX, centerY, centerY * 0.75, centerX, centerY, centerY * 1.25);
+    vignette.addColorStop(0, "rgba(0, 0, 0, 0)");
+    vignette.addColorStop(1, "rgba(0, 0, 0, " + this.VIGNETTE_ALPHA + ")");
+    ctx.fillStyle = vignette;
+    ctx.fillRect(0, 0, width, height);
+  }
+
+  this.getBuffer = function () { return buffer; }
 }
 
 /** ***************************************************************************
- * A sprite entity for image sprites for the Space Invaders game.
+ * A viewport that scales the logical resolution of the game onto the screen.
  *
- * This entity presents a drawable sprite entity that is drawn from an external
- * image file provided with the #setImage function. Note that it is typically
- * a good idea to put all sprites in a single sprite sheet so the same image is
- * being loaded only once and can be therefore used with all sprites.
+ * The game is always drawn in the game coordinates of the logical resolution,
+ * while the viewport sizes the canvas to the available area and scales the
+ * drawing context to match. The fit scaling fills the area as well as the
+ * aspect ratio allows, and the integer scaling uses the largest whole scale
+ * that fits (or the fit scaling when even the logical size does not fit).
+ * The backing store of the canvas is multiplied by the device pixel ratio,
+ * so the game stays sharp on the high-DPI screens, and the image smoothing is
+ * disabled so the sprites are scaled with the nearest-neighbor sampling.
  *
- * @param {SpaceInvaders.Game} game A reference to the root game instance.
+ * @param {number} width The width of the logical resolution.
+ * @param {number} height The height of the logical resolution.
  */
-SpaceInvaders.SpriteEntity = function (game) {
-  SpaceInvaders.CollideableEntity.call(this, game);
+SpaceInvaders.Viewport = function (width, height) {
+  /** A constant scaling mode that fits the game into the available area. */
+  this.FIT = "fit";
+  /** A constant scaling mode that uses only whole multiples of the logical size. */
+  this.INTEGER = "integer";
+
+  /** The scale from the logical resolution into the CSS pixels. */
+  var scale = 1;
+  /** The width of the canvas in the CSS pixels. */
+  var cssWidth = width;
+  /** The height of the canvas in the CSS pixels. */
+  var cssHeight = height;
+  /** The width of the backing store of the canvas in the device pixels. */
+  var backingWidth = width;
+  /** The height of the backing store of the canvas in the device pixels. */
+  var backingHeight = height;
 
-  /** A constant default for the sprite width. */
-  this.DEFAULT_WIDTH = 0;
-  /** A constant default for the sprite height. */
-  this.DEFAULT_HEIGHT = 0;
-  /** A constant default for the sprite clipping x-coordinate. */
-  this.DEFAULT_CLIP_X = 0;
-  /** A constant default for the sprite clipping y-coordinate. */
-  this.DEFAULT_CLIP_Y = 0;
-  /** A constant default for the sprite image. */
-  this.DEFAULT_IMAGE = undefined;
-  /** A constant default for the sprite visibility. */
-  this.DEFAULT_VISIBLE = true;
+  /** *************************************************************************
+   * Calculate the layout of the canvas for the given area.
+   * @param {number} areaWidth The available width in the CSS pixels.
+   * @param {number} areaHeight The available height in the CSS pixels.
+   * @param {number} pixelRatio The amount of device pixels per a CSS pixel.
+   * @param {string} mode The scaling mode {FIT|INTEGER}.
+   */
+  this.layout = function (areaWidth, areaHeight, pixelRatio, mode) {
+    scale = Math.max(0.1, Math.min(areaWidth / width, areaHeight / height));
+    if (mode == this.INTEGER && scale >= 1) {
+      scale = Math.floor(scale);
+    }
+    cssWidth = Math.round(width * scale);
+    cssHeight = Math.round(height * scale);
+    backingWidth = Math.round(cssWidth * (pixelRatio || 1));
+    backingHeight = Math.round(cssHeight * (pixelRatio || 1));
+  }
 
-  /** The width of the sprite. */
-  var width = this.DEFAULT_WIDTH;
-  /** The height of the sprite. */
-  var height = this.DEFAULT_HEIGHT;
-  /** The clipping x-coordinate of the image. */
-  var clipX = this.DEFAULT_CLIP_X;
-  /** The clipping y-coordinate of the image. */
-  var clipY = this.DEFAULT_CLIP_Y;
-  /** The source image to render sprite from. */
-  var image = this.DEFAULT_IMAGE;
-  /** The definition whether the sprite is visible. */
-  var visible = this.DEFAULT_VISIBLE;
+  /** *************************************************************************
+   * Apply the calculated layout into the given canvas and its drawing context.
+   *
+   * Resizing the backing store resets the state of the drawing context, so
+   * the transform and the image smoothing are applied again after each resize.
+   *
+   * @param {HTMLCanvasElement} canvas The canvas to be resized.
+   * @param {CanvasRenderingContext2D} ctx The drawing context of the canvas.
+   */
+  this.apply = function (canvas, ctx) {
+    canvas.width = backingWidth;
+    canvas.height = backingHeight;
+    canvas.style.width = (cssWidth + "px");
+    canvas.style.height = (cssHeight + "px");
+    ctx.setTransform(backingWidth / width, 0, 0, backingHeight / height, 0, 0);
+    ctx.imageSmoothingEnabled = false;
+  }
 
-  /** Ensure initial parent collideable boundary x-axis. */
-  this.setExtentX(width / 2);
-  /** Ensure initial parent collideable boundary y-axis. */
-  this.setExtentY(height / 2);
+  this.getScale = function () { return scale; }
+  this.getCSSWidth = function () { return cssWidth; }
+  this.getCSSHeight = function () { return cssHeight; }
+  this.getBackingWidth = function () { return backingWidth; }
+  this.getBackingHeight = function () { return backingHeight; }
+}
 
-  this.render = function (ctx) {
-    if (image && this.isVisible()) {
-      ctx.drawImage(image,
-        this.getClipX(),
-        this.getClipY(),
-        this.getWidth(),
-        this.getHeight(),
-        this.getX(),
-        this.getY(),
-        this.getWidth(),
-        this.getHeight());
-    }
+/** ***************************************************************************
+ * A seeded pseudo-random number generator for the game simulation.
+ *
+ * All randomness within the game simulation must be drawn from this generator
+ * instead of Math.random, so that the same seed and the same input produce the
+ * same game. The generator uses the small and fast mulberry32 algorithm.
+ *
+ * @param {number} seed An optional 32-bit seed (a time based seed by default).
+ */
+SpaceInvaders.Random = function (seed) {
+
+  /** The seed used to initialize the generator. */
+  var initialSeed = 0;
+  /** The current internal state of the generator. */
+  var state = 0;
+
+  /** *************************************************************************
+   * Reset the generator with the given seed.
+   * @param {number} newSeed The new 32-bit seed.
+   */
+  this.setSeed = function (newSeed) {
+    initialSeed = (newSeed >>> 0);
+    state = initialSeed;
   }
 
-  this.setWidth = function (newWidth) {
-    width = newWidth;
-    this.setExtentX(width / 2);
+  /** *************************************************************************
+   * Get the next pseudo-random number.
+   * @return {number} A number between zero (inclusive) and one (exclusive).
+   */
+  this.next = function () {
+    state = (state + 0x6D2B79F5) >>> 0;
+    var t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
   }
 
-  this.setHeight = function (newHeight) {
-    height = newHeight;
-    this.setExtentY(height / 2)
+  /** *************************************************************************
+   * Get the next pseudo-random integer.
+   * @param {number} max The upper bound (exclusive) of the integer.
+   * @return {number} An integer between zero (inclusive) and max (exclusive).
+   */
+  this.nextInt = function (max) {
+    return Math.floor(this.next() * max);
   }
 
-  this.getWidth = function () { return width; }
-  this.getHeight = function () { return height; }
-  this.getClipX = function () { return clipX; }
-  this.getClipY = function () { return clipY; }
-  this.getImage = function () { return image; }
-  this.isVisible = function () { return visible; }
+  this.getSeed = function () { return initialSeed; }
+  this.getState = function () { return state; }
 
-  this.setClipX = function (newClip) { clipX = newClip; }
-  this.setClipY = function (newClip) { clipY = newClip; }
-  this.setImage = function (newImage) { image = newImage; }
-  this.setVisible = function (newVisible) { visible = newVisible; }
+  this.setState = function (newState) { state = (newState >>> 0); }
+
+  // start with the given seed or with a seed based on the current time.
+  this.setSeed(seed === undefined ? (Date.now() ^ Math.floor(Math.random() * 4294967296)) : seed);
 }
 
 /** ***************************************************************************
- * An abstraction of all entities that are movable and have a sprite image.
+ * A replay of a game as the per-tick input frames.
  *
- * This class encapsulates the all necessary functionality for all entities for
- * collideable, movable and drawable sprite entities. For example the player
- * avatar and all enemies should be constructed from this structure.
+ * Game simulation advances in fixed ticks and all of its randomness is drawn
+ * from a seeded generator, so a game can be reproduced from the seed, the
+ * amount of players, the game mode, the difficulty preset, the DIP switches
+ * and the input frames sampled on each tick. A frame is a bit mask built by
+ * SpaceInvaders.Input#getFrameMask. Replays are exported as a compact JSON
+ * where the repeating frames are run-length encoded.
  *
- * @param {SpaceInvaders.Game} game A reference to the target game instance.
+ * @param {number} seed The seed of the random generator.
+ * @param {number} playerCount The amount of players in the game.
+ * @param {boolean} coop A definition whether the players play simultaneously.
+ * @param {string} difficulty The id of the difficulty preset (arcade by default).
+ * @param {Object} dipSwitches The {lives, bonusLife, deluxe} of the game
+ * (the original arcade switches by default).
  */
-SpaceInvaders.MovableSpriteEntity = function (game) {
-  SpaceInvaders.SpriteEntity.call(this, game);
-
-  /** A constant default for the velocity of the movement. */
-  this.DEFAULT_VELOCITY = 0.0;
-  /** A constant default x-axis direction of the movement. */
-  this.DEFAULT_DIRECTION_X = 0.0;
-  /** A constant default y-axis direction of the movement. */
-  this.DEFAULT_DIRECTION_Y = 0.0;
-  /** A constant default step size for the movement. */
-  this.DEFAULT_STEP_SIZE = 0;
-
-  /** The velocity of the entity. */
-  var velocity = this.DEFAULT_VELOCITY;
-  /** The x-axis direction. */
-  var directionX = this.DEFAULT_DIRECTION_X;
-  /** The y-axis direction. */
-  var directionY = this.DEFAULT_DIRECTION_Y;
+SpaceInvaders.Replay = function (seed, playerCount, coop, difficulty, dipSwitches) {
 
-  /** The size of the movement step (i.e. updates before movement is applied). */
-  var stepSize = 0;
-  /** The step counter to track when to perform a movement step. */
-  var stepCounter = 0;
+  /** A constant version of the exported replay format. */
+  this.VERSION = 1;
+  /** A constant id of the difficulty preset of the replays without one. */
+  this.DEFAULT_DIFFICULTY = "arcade";
+  /** A constant definition of the DIP switches of the replays without them. */
+  this.DEFAULT_DIP_SWITCHES = { lives: 3, bonusLife: 1500, deluxe: false };
+  /** A constant maximum amount of the imported frames (an hour of ticks). */
+  this.MAX_LENGTH = (60 * 60 * 60);
 
-  /** The step counter to track when to perform an automatic disappear. */
-  var disappearCountdown = 0;
+  /** The input frame masks for each tick. */
+  var frames = [];
 
   /** *************************************************************************
-   * Update (i.e. tick) the the logic within the entity.
-   * @param {number} dt The delta time from the previous tick operation.
+   * Add a new input frame at the end of the replay.
+   * @param {number} mask The bit mask of the sampled input.
    */
-  this.update = function (dt) {
-    if (disappearCountdown > 0) {
-      disappearCountdown--;
-      if (disappearCountdown <= 0) {
-        this.setEnabled(false);
-        this.setVisible(false);
-      }
-    }
-    stepCounter = Math.max(0, stepCounter - 1);
-    if (stepCounter <= 0) {
-      this.setX(this.getX() + directionX * velocity * dt);
-      this.setY(this.getY() + directionY * velocity * dt);
-      stepCounter = stepSize;
-    }
+  this.record = function (mask) {
+    frames.push(mask);
   }
 
   /** *************************************************************************
-   * Apply the given step size and clear the current step counter of the entity.
-   * @param {number} newStepSize A new step size for the movable entity.
+   * Get the input frame of the given tick.
+   * @param {number} tick The index of the tick.
+   * @return {number} The bit mask of the input or undefined if out of range.
    */
-  this.setStepSize = function (newStepSize) {
-    stepSize = newStepSize;
-    stepCounter = stepSize;
+  this.getFrame = function (tick) {
+    return frames[tick];
   }
 
   /** *************************************************************************
-   * Apply the given amount of ticks to perform before automatically disappear.
-   * @param {number} countdown The amount of ticks before disappearing.
+   * Export the replay as a compact JSON string.
+   *
+   * Frames are stored as a flat list of [mask, count] pairs, where the count
+   * tells how many consecutive ticks had the same input mask.
+   *
+   * @return {string} The replay as a JSON string.
    */
-  this.setDisappearCountdown = function (countdown) {
-    disappearCountdown = Math.max(0, countdown);
+  this.exportJSON = function () {
+    var runs = [];
+    for (var i = 0; i < frames.length; i++) {
+      if (runs.length > 0 && runs[runs.length - 2] == frames[i]) {
+        runs[runs.length - 1]++;
+      } else {
+        runs.push(frames[i], 1);
+      }
+    }
+    var data = { version: this.VERSION, seed: seed, players: playerCount, frames: runs };
+    if (coop) {
+      data.coop = true;
+    }
+    if (difficulty && difficulty != this.DEFAULT_DIFFICULTY) {
+      data.difficulty = difficulty;
+    }
+    if (dipSwitches) {
+      data.lives = dipSwitches.lives;
+      data.bonusLife = dipSwitches.bonusLife;
+      if (dipSwitches.deluxe) {
+        data.deluxe = true;
+      }
+    }
+    return JSON.stringify(data);
   }
 
-  this.getVelocity = function () { return velocity; }
-  this.getDirectionX = function () { return directionX; }
-  this.getDirectionY = function () { return directionY; }
-  this.getStepSize = function () { return stepSize; }
-  this.getStepCounter = function () { return stepCounter; }
-
-  this.setVelocity = function (newVelocity) { velocity = newVelocity; }
-  this.setDirectionX = function (newDirection) { directionX = newDirection; }
-  this.setDirectionY = function (newDirection) { directionY = newDirection; }
-}
-
-/** ***************************************************************************
- * An abstraction for the player avatar entity.
- *
- * This structure contains the additional definitions required for the player
- * avatar object, which is the cannon tower that can be moved by the player.
- */
-SpaceInvaders.AvatarEntity = function (game, scene) {
-  SpaceInvaders.AnimatedMovableSpriteEntity.call(this, game);
-
-  this.explode = function () {
-    // stop and disable the movement of the avatar.
-    this.setDirectionX(0);
-    this.setEnabled(false);
-
-    // assign the explosion animation for the avatar.
-    this.clearAnimationFrames();
-    this.addAnimationFrame(128, 91, 45, 24);
-    this.addAnimationFrame(178, 91, 45, 24);
-    this.setAnimationFrameIndex(0);
-    this.setAnimationStepSize(6);
-    this.setDisappearCountdown(6 * 8);
-
-    // decrement lives and start the scene relaunch counter.
-    scene.decrementPlayerLives(game.getActivePlayer());
-    scene.startRelaunchCounter();
-  }
+  /** *************************************************************************
+   * Import the replay from a JSON string exported with #exportJSON.
+   *
+   * The frame runs are validated before they are expanded, so each mask must
+   * be a number and each count a positive integer, and the total length must
+   * not exceed the maximum length. The DIP switches must be within the options
+   * of the operator settings.
+   *
+   * @param {string} json The replay as a JSON string.
+   * @return {boolean} A definition whether the import succeeded.
+   */
+  this.importJSON = function (json) {
+    var data;
+    try {
+      data = JSON.parse(json);
+    } catch (e) {
+      console.warn("Unable to parse the replay: " + e);
+      return false;
+    }
+    if (!data || data.version != this.VERSION || !Array.isArray(data.frames)
+      || (data.frames.length % 2) != 0 || (data.players != 1 && data.players != 2)) {
+      console.warn("Unable to import the replay: unsupported format.");
+      return false;
+    }
 
-  this.reset = function () {
-    // reset the starting position of the avatar.
-    this.setX(45);
+    var length = 0;
+    for (var i = 0; i < data.frames.length; i += 2) {
+      var count = data.frames[i + 1];
+      if (typeof data.frames[i] != "number" || typeof count != "number" || count % 1 != 0 || count <= 0) {
+        console.warn("Unable to import the replay: invalid frames.");
+        return false;
+      }
+      length += count;
+    }
+    if (length > this.MAX_LENGTH) {
+      console.warn("Unable to import the replay: too long.");
+      return false;
+    }
 
-    // set avatar back to collideable and visible.
-    this.setEnabled(true);
-    this.setVisible(true);
+    var newFrames = [];
+    for (var i = 0; i < data.frames.length; i += 2) {
+      for (var j = 0; j < data.frames[i + 1]; j++) {
+        newFrames.push(data.frames[i] | 0);
+      }
+    }
+    var options = new SpaceInvaders.OperatorSettings();
+    if ((data.lives !== undefined && options.LIVES_OPTIONS.indexOf(data.lives) < 0)
+      || (data.bonusLife !== undefined && options.BONUS_LIFE_OPTIONS.indexOf(data.bonusLife) < 0)) {
+      console.warn("Unable to import the replay: unsupported DIP switches.");
+      return false;
+    }
 
-    // reset the visual presentation of the avatar.
-    this.clearAnimationFrames();
-    this.addAnimationFrame(86, 5, 40, 24);
-    this.setAnimationFrameIndex(0);
+    seed = (data.seed >>> 0);
+    playerCount = data.players;
+    coop = (data.coop === true && data.players == 2);
+    difficulty = (typeof data.difficulty == "string" ? data.difficulty : this.DEFAULT_DIFFICULTY);
+    dipSwitches = {
+      lives: (data.lives !== undefined ? data.lives : this.DEFAULT_DIP_SWITCHES.lives),
+      bonusLife: (data.bonusLife !== undefined ? data.bonusLife : this.DEFAULT_DIP_SWITCHES.bonusLife),
+      deluxe: (data.deluxe === true)
+    };
+    frames = newFrames;
+    return true;
   }
 
+  this.getSeed = function () { return seed; }
+  this.getPlayerCount = function () { return playerCount; }
+  this.isCoop = function () { return coop === true; }
+  this.getDifficulty = function () { return (difficulty || this.DEFAULT_DIFFICULTY); }
+  this.getDipSwitches = function () { return (dipSwitches || this.DEFAULT_DIP_SWITCHES); }
+  this.getLength = function () { return frames.length; }
 }
 
 /** ***************************************************************************
- * An abstraction for all alien shots.
+ * A sequence of waves (i.e. levels) described with a JSON compatible object.
  *
- * This structure contains the additional definitions and methods for the alien
- * shots. There are three different alien shots available; rolling, plumbing
- * and the squiggly shot. Each shot has a bit different behavior, which are
- * described in the following table.
- *
- * Rolling shot
- * A "homing" shot that is always launched from the players nearest alien.
- *
- * Plunger shot
- * A shot that follows a predefined alien columns list and is not used when there
- * is only one alien left.
- *
- * Squiggly shot
- * A shot that follows a predefined alien columns list and is not used when the
- * flying saucer is being shown.
- *
- * Table is based on foundings from the following URL:
- * http://www.computerarcheology.com/Arcade/SpaceInvaders/Code.html
+ * Each wave describes the alien formation as rows of characters, where each
+ * character is mapped into an alien type with a legend. A dot (or any other
+ * character missing from the legend) leaves the formation cell empty. Alien
+ * types describe the sprite frames and the points earned by destroying the
+ * alien. Wave also describes the formation placement, the starting speed, the
+ * shield placement and the allowed alien shot types. Properties missing from a
+ * wave are inherited from the defaults. Waves are repeated after the last one.
  *
- * @param {SpaceInvaders.Game} game A reference to the target game instance.
+ * {
+ *   "version": 1,
+ *   "alienTypes": { "squid": { "width": 24, "height": 24, "offsetX": 6,
+ *     "points": 30, "frames": [[5, 62, 24, 24], [34, 62, 24, 24]] } },
+ *   "defaults": { "formation": ["SSSSS"], "legend": { "S": "squid" },
+ *     "startX": 66, "startY": 192, "columnSpacing": 48, "rowSpacing": 48,
+ *     "stepSize": 55, "velocity": 0.4, "shields": [{ "x": 102, "y": 575 }],
+ *     "shots": ["rolling", "plunger", "squiggly"] },
+ *   "waves": [{ }, { "startY": 240 }]
+ * }
  */
-SpaceInvaders.AlienShotEntity = function (game, scene) {
-  SpaceInvaders.AnimatedMovableSpriteEntity.call(this, game);
-
-  /** A counter to keep track of the amount of update calls. */
-  var progressTicks = 0;
+SpaceInvaders.WaveSet = function () {
+  /** A constant version of the supported wave format. */
+  this.VERSION = 1;
+  /** A constant list of the alien shot types in the alien shot order. */
+  this.SHOT_TYPES = ["rolling", "plunger", "squiggly"];
+  /** A constant set of the classic waves (used when no waves are loaded). */
+  this.DEFAULT_WAVES = {
+    version: 1,
+    alienTypes: {
+      squid: { width: 24, height: 24, offsetX: 6, points: 30, frames: [[5, 62, 24, 24], [34, 62, 24, 24]] },
+      crab: { width: 33, height: 24, offsetX: 1, points: 20, frames: [[5, 33, 33, 24], [43, 33, 33, 24]] },
+      octopus: { width: 36, height: 24, offsetX: 0, points: 10, frames: [[5, 5, 36, 24], [46, 5, 36, 24]] }
+    },
+    defaults: {
+      formation: ["SSSSSSSSSSS", "CCCCCCCCCCC", "CCCCCCCCCCC", "OOOOOOOOOOO", "OOOOOOOOOOO"],
+      legend: { S: "squid", C: "crab", O: "octopus" },
+      startX: 66,
+      startY: 192,
+      columnSpacing: 48,
+      rowSpacing: 48,
+      stepSize: 55,
+      velocity: 0.4,
+      shields: [{ x: 102, y: 575 }, { x: 236, y: 575 }, { x: 370, y: 575 }, { x: 504, y: 575 }],
+      shots: ["rolling", "plunger", "squiggly"]
+    },
+    waves: [
+      { startY: 192 }, { startY: 240 }, { startY: 264 }, { startY: 288 }, { startY: 288 },
+      { startY: 312 }, { startY: 312 }, { startY: 312 }, { startY: 312 }, { startY: 192 }
+    ]
+  };
 
-  this.animateAndUpdate = function (dt) {
-    if (this.isVisible()) {
-      this.animate();
-      this.update(dt);
-      progressTicks++;
-    }
-  }
+  /** The resolved waves in the playing order. */
+  var waves = [];
 
-  this.fire = function () {
-    var animationFrames = this.getAnimationFrames();
-    if (animationFrames.length > 3) {
-      animationFrames.pop();
+  /** *************************************************************************
+   * Load the waves from the given JSON compatible object.
+   *
+   * The whole set is validated before it replaces the current waves, so an
+   * invalid set never leaves the game with partially loaded waves.
+   *
+   * @param {Object} data The wave set to be loaded.
+   * @return {boolean} A definition whether the waves were loaded.
+   */
+  this.load = function (data) {
+    try {
+      waves = resolveWaves(data);
+      return true;
+    } catch (e) {
+      console.warn("Unable to load the waves: " + e.message);
+      return false;
     }
-    this.setAnimationFrameIndex(0);
-    this.setAnimationStepSize(4);
-    this.setVisible(true);
-    this.setEnabled(true);
-    this.setDirectionY(1);
-    progressTicks = 1;
   }
 
-  this.explode = function () {
-    this.addAnimationFrame(218, 5, 18, 24);
-    this.setAnimationStepSize(0);
-    this.setAnimationFrameIndex(3);
-    this.setEnabled(false);
-    this.setDisappearCountdown(10);
-    this.setDirectionY(0);
+  /** *************************************************************************
+   * Get the wave for the given level.
+   * @param {number} level The level number (starting from one).
+   * @return {Object} The resolved wave.
+   */
+  this.getWave = function (level) {
+    return waves[(Math.max(1, level) - 1) % waves.length];
   }
 
-  this.isReadyToBeFired = function () {
-    // do not allow shot to be re-fired when still in progress.
-    if (this.isVisible()) {
-      return false;
+  /** *************************************************************************
+   * Resolve and validate the waves of the given wave set.
+   * @param {Object} data The wave set to be resolved.
+   * @return {Object[]} The resolved waves.
+   */
+  var resolveWaves = function (data) {
+    if (!data || data.version != this.VERSION) {
+      throw new Error("unsupported version.");
     }
-
-    // get a reference to the array of alien shots and the reload rate.
-    var shots = scene.getAlienShots();
-    var reloadRate = scene.getAlienReloadRate();
-
-    // iterate over shots to check whether aliens have reloaded their weapons.
-    for (i = 0; i < shots.length; i++) {
-      var shotTicks = shots[i].getProgressTicks();
-      if (shots[i] != this) {
-        if (shotTicks > 0) {
-          if (reloadRate >= shotTicks) {
-            return false;
-          }
+    if (!Array.isArray(data.waves) || data.waves.length == 0) {
+      throw new Error("no waves.");
+    }
+    var types = (data.alienTypes || {});
+    for (var name in types) {
+      var type = types[name];
+      if (!(type.width > 0) || !(type.height > 0) || typeof type.points != "number"
+        || !Array.isArray(type.frames) || type.frames.length == 0) {
+        throw new Error("invalid alien type '" + name + "'.");
+      }
+      for (var i = 0; i < type.frames.length; i++) {
+        var frame = type.frames[i];
+        if (!Array.isArray(frame) || frame.length != 4 || !frame.every(isNumber)) {
+          throw new Error("invalid frame " + (i + 1) + " of the alien type '" + name + "'.");
         }
       }
     }
 
-    // aliens have been reloaded and it's ok to fire now.
-    return true;
-  }
+    var result = [];
+    for (var i = 0; i < data.waves.length; i++) {
+      var wave = {};
+      var defaults = (data.defaults || {});
+      for (var key in defaults) {
+        wave[key] = defaults[key];
+      }
+      for (var key in data.waves[i]) {
+        wave[key] = data.waves[i][key];
+      }
+      result.push(resolveWave(wave, types, i));
+    }
+    return result;
+  }.bind(this);
 
-  this.getProgressTicks = function () { return progressTicks; }
+  /** *************************************************************************
+   * Check whether the given value is a finite number.
+   * @param {*} value The value to be checked.
+   * @return {boolean} A definition whether the value is a finite number.
+   */
+  var isNumber = function (value) {
+    return (typeof value == "number" && isFinite(value));
+  }
 
+  /** *************************************************************************
+   * Resolve and validate a single wave.
+   * @param {Object} wave The wave with the inherited defaults.
+   * @param {Object} types The alien types by their names.
+   * @param {number} index The index of the wave (for the error messages).
+   * @return {Object} The resolved wave.
+   */
+  var resolveWave = function (wave, types, index) {
+    var prefix = "wave " + (index + 1) + ": ";
+    if (!Array.isArray(wave.formation) || wave.formation.length == 0) {
+      throw new Error(prefix + "missing formation.");
+    }
+    var columns = wave.formation[0].length;
+    var cells = [];
+    for (var row = 0; row < wave.formation.length; row++) {
+      if (typeof wave.formation[row] != "string" || wave.formation[row].length != columns) {
+        throw new Error(prefix + "formation rows must have the same length.");
+      }
+      for (var col = 0; col < columns; col++) {
+        var name = (wave.legend || {})[wave.formation[row].charAt(col)];
+        if (name !== undefined && !types[name]) {
+          throw new Error(prefix + "unknown alien type '" + name + "'.");
+        }
+        cells.push(name === undefined ? undefined : types[name]);
+      }
+    }
+    if (cells.every(function (cell) { return cell === undefined; })) {
+      throw new Error(prefix + "formation has no aliens.");
+    }
+    ["startX", "startY", "columnSpacing", "rowSpacing", "stepSize", "velocity"].forEach(function (key) {
+      if (typeof wave[key] != "number") {
+        throw new Error(prefix + "missing " + key + ".");
+      }
+    });
+    if (!(wave.stepSize >= 1)) {
+      throw new Error(prefix + "stepSize must be at least 1.");
+    }
+    if (!(wave.velocity > 0)) {
+      throw new Error(prefix + "velocity must be positive.");
+    }
+    var shields = (wave.shields || []);
+    if (!Array.isArray(shields)) {
+      throw new Error(prefix + "shields must be a list.");
+    }
+    for (var i = 0; i < shields.length; i++) {
+      if (!shields[i] || !isNumber(shields[i].x) || !isNumber(shields[i].y)) {
+        throw new Error(prefix + "shield " + (i + 1) + " must have a numeric x and y.");
+      }
+    }
+    var shots = (wave.shots || []);
+    if (!Array.isArray(shots)) {
+      throw new Error(prefix + "shots must be a list.");
+    }
+    for (var i = 0; i < shots.length; i++) {
+      if (this.SHOT_TYPES.indexOf(shots[i]) == -1) {
+        throw new Error(prefix + "unknown shot type '" + shots[i] + "'.");
+      }
+    }
+    return {
+      rows: wave.formation.length,
+      columns: columns,
+      cells: cells,
+      startX: wave.startX,
+      startY: wave.startY,
+      columnSpacing: wave.columnSpacing,
+      rowSpacing: wave.rowSpacing,
+      stepSize: wave.stepSize,
+      velocity: wave.velocity,
+      shields: shields.map(function (shield) {
+        return { x: shield.x, y: shield.y };
+      }),
+      shots: this.SHOT_TYPES.map(function (type) { return shots.indexOf(type) != -1; })
+    };
+  }.bind(this);
+
+  this.getWaveCount = function () { return waves.length; }
+
+  // start with the classic waves.
+  this.load(this.DEFAULT_WAVES);
 }
 
 /** ***************************************************************************
- * An abstraction for all player shields.
- *
- * This structure contains the logics required for the player avatar shields.
- * In the original Space Invaders, there are four shields that player mayer use
- * to protect the avatar against the alien laser shots.
- *
- * Shields are destructable, where destructions consume a part of the shield. In
- * fact, there are three different things that must consume shields.
- *
- * 1. Alien shots
- * 2. Player shots
- * 3. Alien contact
- *
- * Each collision with the previously mentioned entity must consume a part of
- * the shield where the collision occurs. Collided shots must be first exploded
- * and then use the explosion sprite to consume part of the shield pixels away.
- * Note that avatar and alien lasers collides with a different explosion sprite.
+ * An asset manager that loads the external assets of the game.
  *
- * @param {SpaceInvaders.Game} game A reference to the target game instance.
+ * Assets are added with a name, a type and an URL, and they are all loaded
+ * with a single promise. Each type has its own loader, which is a function
+ * that takes the URL and returns a promise of the loaded asset. Images are
+ * supported by default, and other types (e.g. sounds or fonts) can be added
+ * with #setLoader. The progress is tracked per asset, so the loading state
+ * can show it on each tick, and the failed assets can be loaded again.
  */
-SpaceInvaders.Shield = function (game) {
-  SpaceInvaders.SpriteEntity.call(this, game);
+SpaceInvaders.AssetManager = function () {
+  /** A constant state before the assets are loaded. */
+  this.IDLE = "idle";
+  /** A constant state while the assets are being loaded. */
+  this.LOADING = "loading";
+  /** A constant state after all assets have been loaded. */
+  this.LOADED = "loaded";
+  /** A constant state after any of the assets has failed to load. */
+  this.FAILED = "failed";
+
+  /** The loaders of each asset type i.e. function(url) returning a promise. */
+  var loaders = {
+    image: function (url) {
+      return new Promise(function (resolve, reject) {
+        var image = new Image();
+        image.onload = function () {
+          resolve(image);
+        };
+        image.onerror = function () {
+          reject(new Error("Unable to load the image '" + url + "'."));
+        };
+        image.src = url;
+      });
+    }
+  };
+  /** The added assets i.e. {name, type, url, value, loaded, failed}. */
+  var assets = [];
+  /** The current state of the loading. */
+  var state = this.IDLE;
 
-  /** Sprite pixels from left-to-right and top-to-bottom order. */
-  var pixels = undefined;
-  /** A definition whether the shields pixels have been modified. */
-  var pixelsDirty = false;
+  /** *************************************************************************
+   * Add a new asset to be loaded.
+   * @param {string} name The name used to get the loaded asset.
+   * @param {string} type The type of the asset (e.g. "image").
+   * @param {string} url The URL of the asset.
+   */
+  this.add = function (name, type, url) {
+    assets.push({ name: name, type: type, url: url, value: undefined, loaded: false, failed: false });
+  }
 
   /** *************************************************************************
-   * Check whether the shield precisely collides with the target object.
+   * Load all the added assets that have not been loaded yet.
    *
-   * This function is used to perform two-phase collision detection. Here we
-   * use a broad (AABB-ABB) and narrow (pixel-pixel) phases to detect whether
-   * the provided object hits the shield.
+   * The returned promise is resolved after all the assets have been loaded.
+   * It is rejected after the rest of the assets have been tried, if any of
+   * them failed to load, so all the failed assets are known at once.
    *
-   * @param {SpaceInvaders.CollideableEntity} other Entity to check against.
+   * @return {Promise} A promise that is resolved when the assets are loaded.
    */
-  this.preciseCollides = function (other) {
-    if (this.collides(other)) {
-      // get a reference to current position and size.
-      var x = this.getX();
-      var y = this.getY();
-      var width = this.getWidth();
-
-      // iterate pixels based on the object movement direction.
-      if (pixels == undefined) {
-        this.refreshPixels();
-      }
-      var data = pixels.data;
-
-      if (other instanceof SpaceInvaders.AvatarLaser) {
-        for (var i = (data.length - 1); i >= 0; i -= 4) {
-          if (data[i + 3] != 0 && this.preciseCollide(data, (i / 4), other)) {
-            break;
-          }
-        }
-      } else {
-        for (var i = 0; i < data.length; i += 4) {
-          if (data[i + 3] != 0 && this.preciseCollide(data, (i / 4), other)) {
-            break;
-          }
-        }
+  this.load = function () {
+    state = this.LOADING;
+    var pending = assets.filter(function (asset) {
+      return !asset.loaded;
+    }).map(function (asset) {
+      asset.failed = false;
+      var loader = loaders[asset.type];
+      var promise = (loader ? loader(asset.url) : Promise.reject(new Error("Unknown asset type '" + asset.type + "'.")));
+      return promise.then(function (value) {
+        asset.value = value;
+        asset.loaded = true;
+      }, function (e) {
+        console.error(e.message);
+        asset.failed = true;
+      });
+    });
+    return Promise.all(pending).then(function () {
+      var failed = this.getFailedAssets();
+      state = (failed.length > 0 ? this.FAILED : this.LOADED);
+      if (failed.length > 0) {
+        throw new Error("Unable to load the assets: " + failed.join(", "));
       }
-    }
+    }.bind(this));
   }
 
   /** *************************************************************************
-   * Check whether the target pixel collides with the specified object.
-   *
-   * This function checks whether the provided pixel does a pixel-wide hit with
-   * the provided object instance bounding box (AABB). If there is an collision
-   * then the target object will be exploded and the explosion pixels will be
-   * consumed i.e. removed from the shield sprite object to indicate destruct.
-   *
-   * @param pixels A map of pixels.
-   * @param pixelIdx The index of the target index.
-   * @param object Object to check collision against.
+   * Get the loaded asset with the given name.
+   * @param {string} name The name of the asset.
+   * @return {*} The loaded asset or undefined when it's not (yet) loaded.
    */
-  this.preciseCollide = function (pixels, pixelIdx, object) {
-    var pixelX = (this.getX() + (pixelIdx % this.getWidth()));
-    var pixelY = (this.getY() + Math.floor(pixelIdx / this.getWidth()));
-    if (object.containsPixel(pixelX, pixelY)) {
-      object.explode();
-      object.setY(pixelY - object.getExtentY());
-      object.render(game.getCanvasCtx());
-      this.refreshPixels();
-      this.eraseWhitePixels();
-      pixelsDirty = true;
-      return true;
+  this.get = function (name) {
+    for (var i = 0; i < assets.length; i++) {
+      if (assets[i].name == name) {
+        return assets[i].value;
+      }
     }
-    return false;
+    return undefined;
   }
 
   /** *************************************************************************
-   * Erase all white pixels from the wrapped sprite pixels.
-   *
-   * This function removes all white pixels from the currently wrapped sprite
-   * image pixels. It is used to remove explosion specific pixels from the map
-   * of pixels that function and indicate the condition of a player shield.
+   * Get the share of the added assets that have been loaded.
+   * @return {number} The progress [0, 1] of the loading.
    */
-  this.eraseWhitePixels = function () {
-    var data = pixels.data;
-    for (var j = 0; j < data.length; j++) {
-      if (data[j] == 255 && data[j + 1] == 255 && data[j + 2] == 255) {
-        data[j] = 0;
-        data[j + 1] = 0;
-        data[j + 2] = 0;
-        data[j + 3] = 0;
-      }
+  this.getProgress = function () {
+    if (assets.length == 0) {
+      return 1;
     }
+    var loaded = assets.filter(function (asset) { return asset.loaded; }).length;
+    return (loaded / assets.length);
   }
 
   /** *************************************************************************
-   * Refresh the pixels belonging to the shield object.
-   *
-   * This function refreshes the wrapped sprite image pixel map that visually
-   * indicate the condition as well as is being used in the collision detection.
+   * Get the URLs of the assets that failed to load.
+   * @return {string[]} The URLs of the failed assets.
    */
-  this.refreshPixels = function () {
-    pixels = game.getCanvasCtx().getImageData(
-      this.getX(),
-      this.getY(),
-      this.getWidth(),
-      this.getHeight());
+  this.getFailedAssets = function () {
+    return assets.filter(function (asset) {
+      return asset.failed;
+    }).map(function (asset) {
+      return asset.url;
+    });
   }
 
-  this.render = function (ctx) {
-    if (this.isVisible()) {
-      if (pixelsDirty) {
-        ctx.putImageData(pixels, this.getX(), this.getY());
+  this.getState = function () { return state; }
+
+  this.setLoader = function (type, loader) { loaders[type] = loader; }
+}
+
+/** ***************************************************************************
+ * A reference bot that plays the game through the controller interface.
+ *
+ * A controller is an object with an #update function, which the ingame state
+ * calls on each tick instead of reading the user input. The function receives
+ * a read-only snapshot of the game field (see IngameState#getSnapshot) and it
+ * returns the intents of the avatar as {move, fire}, where the move is -1 to
+ * move left, 1 to move right or 0 to stay and the fire whether to fire.
+ *
+ * This bot dodges the alien shots that are about to hit the avatar. Otherwise
+ * it targets the lowest column i.e. the column whose bottommost alien is the
+ * closest to landing, and fires when the avatar is aligned with the column.
+ */
+SpaceInvaders.ReferenceBot = function () {
+  /** A constant horizontal margin kept between the avatar and the alien shots. */
+  this.DODGE_MARGIN = 12;
+  /** A constant vertical distance where the alien shots start to be dodged. */
+  this.DODGE_DISTANCE = 200;
+  /** A constant horizontal distance where the avatar is aligned with the target. */
+  this.AIM_TOLERANCE = 4;
+  /** A constant horizontal step used to scan for a safe position. */
+  this.SCAN_STEP = 8;
+
+  /** *************************************************************************
+   * Choose the intents of the avatar for the current tick.
+   * @param {Object} snapshot The read-only snapshot of the game field.
+   * @return {Object} The {move, fire} intents of the avatar.
+   */
+  this.update = function (snapshot) {
+    var avatar = snapshot.avatar;
+    var avatarX = (avatar.x + avatar.width / 2);
+
+    // move under the target column and fire when aligned with it.
+    var intent = { move: 0, fire: false };
+    var target = this.findTarget(snapshot);
+    if (target) {
+      var dx = ((target.x + target.width / 2) - avatarX);
+      if (Math.abs(dx) <= this.AIM_TOLERANCE) {
+        intent.fire = !snapshot.laser.visible;
       } else {
-        if (this.getImage()) {
-          ctx.drawImage(this.getImage(),
-            this.getClipX(),
-            this.getClipY(),
-            this.getWidth(),
-            this.getHeight(),
-            this.getX(),
-            this.getY(),
-            this.getWidth(),
-            this.getHeight());
+        intent.move = (dx < 0 ? -1 : 1);
+      }
+    }
+
+    // prefer the intended move, but only if it keeps the avatar out of the shots.
+    var moves = [intent.move, 0, -1, 1];
+    for (var i = 0; i < moves.length; i++) {
+      var left = (avatar.x + (moves[i] * avatar.width / 2));
+      left = Math.max(snapshot.bounds.left, Math.min(snapshot.bounds.right - avatar.width, left));
+      if (!this.findThreat(snapshot, left)) {
+        return { move: moves[i], fire: (moves[i] == intent.move && intent.fire) };
+      }
+    }
+
+    // head towards the nearest safe position when there is no safe move.
+    for (var distance = avatar.width; distance < (snapshot.bounds.right - snapshot.bounds.left); distance += this.SCAN_STEP) {
+      for (var move = -1; move <= 1; move += 2) {
+        var left = (avatar.x + (move * distance));
+        if (left >= snapshot.bounds.left && (left + avatar.width) <= snapshot.bounds.right
+          && !this.findThreat(snapshot, left)) {
+          return { move: move, fire: false };
+        }
+      }
+    }
+    return { move: 0, fire: false };
+  }
+
+  /** *************************************************************************
+   * Find the nearest alien shot that would hit the avatar at the given position.
+   * @param {Object} snapshot The read-only snapshot of the game field.
+   * @param {number} avatarLeft The x-coordinate of the avatar to be checked.
+   * @return {Object} The description of the shot or undefined if none.
+   */
+  this.findThreat = function (snapshot, avatarLeft) {
+    var avatar = snapshot.avatar;
+    var threat = undefined;
+    for (var i = 0; i < snapshot.alienShots.length; i++) {
+      var shot = snapshot.alienShots[i];
+      var distance = (avatar.y - (shot.y + shot.height));
+      var overlaps = ((shot.x + shot.width) > (avatarLeft - this.DODGE_MARGIN)
+        && shot.x < (avatarLeft + avatar.width + this.DODGE_MARGIN));
+      if (overlaps && shot.y < (avatar.y + avatar.height) && distance < this.DODGE_DISTANCE) {
+        if (!threat || shot.y > threat.y) {
+          threat = shot;
         }
       }
     }
+    return threat;
   }
 
+  /** *************************************************************************
+   * Find the bottommost alien of the lowest column (the nearest one on ties).
+   * @param {Object} snapshot The read-only snapshot of the game field.
+   * @return {Object} The description of the alien or undefined if none.
+   */
+  this.findTarget = function (snapshot) {
+    var avatarX = (snapshot.avatar.x + snapshot.avatar.width / 2);
+    var target = undefined;
+    for (var i = 0; i < snapshot.aliens.length; i++) {
+      var alien = snapshot.aliens[i];
+      if (!target || alien.y > target.y || (alien.y == target.y
+        && Math.abs(alien.x + alien.width / 2 - avatarX) < Math.abs(target.x + target.width / 2 - avatarX))) {
+        target = alien;
+      }
+    }
+    return target;
+  }
 }
 
 /** ***************************************************************************
- * An abstraction for all movable sprite entities that can be animated.
+ * The audio subsystem that synthesizes all sound effects of the game.
  *
- * This structure contains the logics required to make an movable entity to be
- * animated. Animation can be used in two different modes:
+ * The original arcade machine produced its sounds with discrete analog sound
+ * circuits. Here we mimic them with the Web Audio API by using oscillators and
+ * filtered noise, so the game does not require any external audio files. The
+ * following sounds are available:
  *
- * 1. Automatically animated mode.
- * 2. Manually animated mode.
+ * 1. Player shot (a short descending square wave).
+ * 2. Alien death (a short burst of band-passed noise and a falling tone).
+ * 3. Player explosion (a long decaying burst of low-passed noise).
+ * 4. Flying saucer (a looping warble i.e. a frequency modulated tone).
+ * 5. Flying saucer hit (a fast rising and falling triangle tone).
+ * 6. Alien march (four descending bass notes played in a round-robin).
  *
- * Automatically animated mode where the entity is automatically animated when
- * enough animation steps have been passed. Manually animated mode will only
- * act as a placeholder for multiple sprites that must be manually assigned to
- * make the sprite image to change.
+ * All sounds are routed through a master gain node that defines the volume.
+ * The audio context is created lazily on the first use, because browsers do
+ * only allow audio to be started after an user interaction. Any object that
+ * implements the used subset of the AudioContext interface can be injected.
  *
- * @param {SpaceInvaders.Game} game A reference to the target game instance.
+ * @param {AudioContext} audioContext An optional audio context to be used.
  */
-SpaceInvaders.AnimatedMovableSpriteEntity = function (game) {
-  SpaceInvaders.MovableSpriteEntity.call(this, game);
-
-  /** A constant default for the animation step size (0 = disable animation). */
-  this.DEFAULT_ANIMATION_STEP_SIZE = 0;
+SpaceInvaders.Audio = function (audioContext) {
+  /** A constant default master volume. */
+  this.DEFAULT_VOLUME = 0.5;
+  /** A constant key of the local storage item for the audio settings. */
+  this.STORAGE_KEY = "space-invaders-audio";
+  /** A constant list of the alien march note frequencies (in Hz). */
+  this.MARCH_FREQUENCIES = [98.0, 87.3, 77.8, 73.4];
+
+  /** The audio context used to synthesize sounds. */
+  var actx = audioContext;
+  /** The master gain node where all sounds are connected into. */
+  var masterGain = undefined;
+  /** The master volume [0, 1]. */
+  var volume = this.DEFAULT_VOLUME;
+  /** A definition whether all sounds are muted. */
+  var muted = false;
+  /** The index of the next alien march note to be played. */
+  var marchIndex = 0;
+  /** The nodes of the currently playing flying saucer sound. */
+  var saucerNodes = undefined;
+  /** A buffer of white noise shared between the noise based sounds. */
+  var noiseBuffer = undefined;
 
-  /** A definition for animation step (i.e. number of ticks) count. */
-  var animationStepSize = this.DEFAULT_ANIMATION_STEP_SIZE;
-  /** A variable used to keep trakc of  the animation change rate. */
-  var animationCounter = 0;
+  /** *************************************************************************
+   * Get the audio context and ensure that the master gain is connected.
+   *
+   * Audio context will be constructed when it's being requested for the first
+   * time. If the Web Audio API is not supported, then undefined is returned.
+   *
+   * @return {AudioContext} The audio context or undefined.
+   */
+  this.getContext = function () {
+    if (!actx) {
+      var AudioContextType = (typeof window != "undefined"
+        ? (window.AudioContext || window.webkitAudioContext) : undefined);
+      if (!AudioContextType) {
+        return undefined;
+      }
+      actx = new AudioContextType();
+    }
+    if (!masterGain) {
+      masterGain = actx.createGain();
+      masterGain.connect(actx.destination);
+      applyVolume();
+    }
+    return actx;
+  }
 
-  /** The index of the current animation frame. */
-  var animationFrameIndex = 0;
-  /** The frames for the animation. */
-  var animationFrames = [];
+  /** *************************************************************************
+   * Resume the audio context if it was suspended by the browser.
+   *
+   * This function should be called from an user interaction listener, because
+   * browsers prevent audio contexts from being started without an interaction.
+   */
+  this.unlock = function () {
+    var context = this.getContext();
+    if (context && context.state == "suspended" && context.resume) {
+      context.resume();
+    }
+  }
 
   /** *************************************************************************
-   * Perform an animation step of the animated entity and change the frame when
-   * and if necessary.This function must be called from the parent scene object.
+   * Load the audio settings from the local storage.
    */
-  this.animate = function () {
-    if (animationStepSize > 0) {
-      animationCounter = Math.max(0, animationCounter - 1);
-      if (animationCounter <= 0) {
-        var nextFrame = ((animationFrameIndex + 1) % animationFrames.length);
-        this.setAnimationFrameIndex(nextFrame);
-        animationCounter = animationStepSize;
-      }
+  this.load = function () {
+    var settings = SpaceInvaders.loadItem(this.STORAGE_KEY, {});
+    if (settings && typeof settings.volume == "number") {
+      volume = Math.max(0, Math.min(1, settings.volume));
+    }
+    if (settings && typeof settings.muted == "boolean") {
+      muted = settings.muted;
     }
+    applyVolume();
   }
 
   /** *************************************************************************
-   * Apply the given step size and clear the current step counter of the animation.
-   * @param {number} newStepSize A new step size for the animated entity.
+   * Save the audio settings into the local storage.
    */
-  this.setAnimationStepSize = function (newStepSize) {
-    animationStepSize = newStepSize;
-    animationCounter = animationStepSize;
+  this.save = function () {
+    SpaceInvaders.saveItem(this.STORAGE_KEY, { volume: volume, muted: muted });
   }
 
   /** *************************************************************************
-   * Specify the currently shown animation frame index.
-   * @param {number} newIndex The index of the animation frame to be shown.
+   * Set the master volume.
+   * @param {number} newVolume The new volume, which is clamped into [0, 1].
    */
-  this.setAnimationFrameIndex = function (newIndex) {
-    animationFrameIndex = Math.min(animationFrames.length, newIndex);
+  this.setVolume = function (newVolume) {
+    volume = Math.max(0, Math.min(1, newVolume));
+    applyVolume();
+  }
 
-    // calculate the dimensions for the next animation frame.
-    var newWidth = animationFrames[animationFrameIndex][2];
-    var newHeight = animationFrames[animationFrameIndex][3];
-    var newX = this.getCenterX() - (newWidth / 2);
-    var newY = this.getCenterY() - (newHeight / 2);
+  /** *************************************************************************
+   * Mute or unmute all sounds.
+   * @param {boolean} newMuted A definition whether to mute the sounds.
+   */
+  this.setMuted = function (newMuted) {
+    muted = newMuted;
+    applyVolume();
+    if (muted) {
+      this.stopSaucer();
+    }
+  }
 
-    // assign the next animation frame as the current frame.
-    this.setClipX(animationFrames[animationFrameIndex][0]);
-    this.setClipY(animationFrames[animationFrameIndex][1]);
-    this.setWidth(newWidth);
-    this.setHeight(newHeight);
-    this.setX(newX);
-    this.setY(newY);
+  /** *************************************************************************
+   * Toggle the mute state and store the changed audio settings.
+   */
+  this.toggleMute = function () {
+    this.setMuted(!muted);
+    this.save();
   }
 
   /** *************************************************************************
-   * Add an new animation frame for the animated entity.
-   * @param {number} clipX The sprite-to-image clip x-coordinate.
-   * @param {number} clipY The sprite-to-image clip y-coordinate.
-   * @param {number} width The width of the sprite.
-   * @param {number} height The height of the sprite.
+   * Play the sound of the player shot.
    */
-  this.addAnimationFrame = function (clipX, clipY, width, height) {
-    animationFrames.push([clipX, clipY, width, height]);
+  this.playShot = function () {
+    if (this.isAvailable()) {
+      playTone("square", 1200, 300, 0.15, 0.15);
+    }
   }
 
   /** *************************************************************************
-   * Clear all available animation frames from the entity.
+   * Play the sound of an alien being destroyed.
    */
-  this.clearAnimationFrames = function () {
-    animationFrames = [];
+  this.playAlienDeath = function () {
+    if (this.isAvailable()) {
+      playNoise(0.2, 0.4, "bandpass", 1800);
+      playTone("square", 400, 80, 0.2, 0.1);
+    }
   }
 
-  this.getAnimationStepSize = function () { return animationStepSize; }
-  this.getAnimationFrameIndex = function () { return animationFrameIndex; }
-  this.getAnimationFrames = function () { return animationFrames; }
-}
+  /** *************************************************************************
+   * Play the rising jingle of the awarded bonus life.
+   */
+  this.playBonusLife = function () {
+    if (this.isAvailable()) {
+      playTone("square", 600, 600, 0.08, 0.2);
+      playTone("square", 900, 900, 0.08, 0.2, 0.1);
+      playTone("square", 1200, 1200, 0.12, 0.2, 0.2);
+    }
+  }
 
-SpaceInvaders.AvatarLaser = function (game) {
-  SpaceInvaders.AnimatedMovableSpriteEntity.call(this, game);
+  /** *************************************************************************
+   * Play the quick upwards sweep of a collected power-up.
+   */
+  this.playPowerUp = function () {
+    if (this.isAvailable()) {
+      playTone("square", 400, 1600, 0.15, 0.15);
+    }
+  }
 
   /** *************************************************************************
-   * Explode (i.e. destroy) the avatar laser shot explosion animation.
-   *
-   * This animation replaces the currently shown sprite or sprite animation
-   * with an sprite that indicates that the player shot is exploding. It
-   * will also trigger a timer after which the player shot will be disabled.
+   * Play the two short blips of an inserted coin.
    */
-  this.explode = function () {
-    this.setAnimationStepSize(0);
-    this.setAnimationFrameIndex(3);
-    this.setEnabled(false);
-    this.setDisappearCountdown(10);
-    this.setDirectionY(0);
+  this.playCoin = function () {
+    if (this.isAvailable()) {
+      playTone("square", 1500, 1500, 0.05, 0.15);
+      playTone("square", 2000, 2000, 0.08, 0.15, 0.06);
+    }
   }
 
-}
+  /** *************************************************************************
+   * Play the sound of the player avatar being destroyed.
+   */
+  this.playPlayerExplosion = function () {
+    if (this.isAvailable()) {
+      playNoise(1.0, 0.6, "lowpass", 900);
+    }
+  }
 
-/** ***************************************************************************
- * A textual entity for all texts used in the Space Invaders game.
- *
- * This class presents a textual entity within the game scene. It does really
- * an encapsulation of the 2d drawing context textual presentation functions.
- *
- * @param {SpaceInvaders.Game} game A reference to the target game instance.
- */
-SpaceInvaders.TextEntity = function (game) {
-  SpaceInvaders.Entity.call(this, game);
+  /** *************************************************************************
+   * Start the looping warble sound of the flying saucer.
+   *
+   * The warble is constructed from a carrier oscillator whose frequency is
+   * modulated with a low-frequency oscillator. Sound keeps playing until the
+   * #stopSaucer function is being called.
+   */
+  this.startSaucer = function () {
+    if (!this.isAvailable() || saucerNodes) {
+      return;
+    }
+    var context = actx;
+    var carrier = context.createOscillator();
+    carrier.type = "square";
+    carrier.frequency.value = 600;
 
-  /** A constant default value for the text to be drawn. */
-  this.DEFAULT_TEXT = "";
-  /** A constant default fill style (i.e. color) for the text. */
-  this.DEFAULT_FILL_STYLE = "white";
-  /** A constant default font definition for the text. */
-  this.DEFAULT_FONT = "24pt monospace";
-  /** A constant default text alignment for the rendering. */
-  this.DEFAULT_ALIGN = "start";
-  /** A constant default visibility state for the text. */
-  this.DEFAULT_VISIBLE = true;
-  /** A constant amount of toggles to perform after #blink is called. */
-  this.DEFAULT_BLINK_COUNT = 30;
-  /** A constant amount of updates (i.e. interval) between the blinking. */
-  this.DEFAULT_BLINK_FREQUENCY = 5;
+    var lfo = context.createOscillator();
+    lfo.type = "sine";
+    lfo.frequency.value = 8;
 
-  /** The text to be rendered. */
-  var text = this.DEFAULT_TEXT;
-  /** The fill style (i.e. color) used to draw the text. */
-  var fillStyle = this.DEFAULT_FILL_STYLE;
-  /** The target font description i.e. size, font family, etc. */
-  var font = this.DEFAULT_FONT;
-  /** The text align definition (start|end|center|left|right). */
-  var align = this.DEFAULT_ALIGN;
-  /** The definition whether the entity should be rendered. */
-  var visible = this.DEFAULT_VISIBLE;
-  /** The amount of remaining blinks (visible/invisible toggles). */
-  var blinks = 0;
-  /** The blink timer that will perform the blink frequency calculation. */
-  var blinkTimer = 0;
-  /** Amount of blinks to be perfomed after #blink is called (-1: infinite).*/
-  var blinkCount = this.DEFAULT_BLINK_COUNT;
-  /** The amount of updates (i.e. interval) between the blinks. */
-  var blinkFrequency = this.DEFAULT_BLINK_FREQUENCY;
+    var lfoGain = context.createGain();
+    lfoGain.gain.value = 150;
+
+    var gain = context.createGain();
+    gain.gain.value = 0.06;
+
+    lfo.connect(lfoGain);
+    lfoGain.connect(carrier.frequency);
+    carrier.connect(gain);
+    gain.connect(masterGain);
+
+    lfo.start(context.currentTime);
+    carrier.start(context.currentTime);
+    saucerNodes = [carrier, lfo, lfoGain, gain];
+  }
 
   /** *************************************************************************
-   * Update (i.e. tick) the the logic within the entity.
-   * @param {double} dt The delta time from the previous tick operation.
+   * Stop the looping warble sound of the flying saucer (if playing).
    */
-  this.update = function (dt) {
-    if (blinks > 0 || blinks == -1) {
-      blinkTimer--;
-      if (blinkTimer == 0) {
-        this.setVisible(!this.isVisible());
-        blinks--;
-        blinks = Math.max(blinks, -1);
-        if (blinks > 0 || blinks == -1) {
-          blinkTimer = blinkFrequency;
-        }
-      }
+  this.stopSaucer = function () {
+    if (saucerNodes) {
+      saucerNodes[0].stop();
+      saucerNodes[1].stop();
+      saucerNodes[3].disconnect();
+      saucerNodes = undefined;
     }
   }
 
   /** *************************************************************************
-   * Render (i.e. draw) the text on the screen.
-   * @param {CanvasRenderingContext2D} ctx The drawing context to use.
+   * Play the sound of the flying saucer being hit.
    */
-  this.render = function (ctx) {
-    if (this.isVisible()) {
-      ctx.fillStyle = this.getFillStyle();
-      ctx.textAlign = this.getAlign();
-      ctx.font = this.getFont();
-      ctx.fillText(this.getText(), this.getX(), this.getY());
+  this.playSaucerHit = function () {
+    this.stopSaucer();
+    if (this.isAvailable()) {
+      playTone("triangle", 300, 1500, 0.15, 0.3);
+      playTone("triangle", 1500, 300, 0.45, 0.3, 0.15);
     }
   }
 
   /** *************************************************************************
-   * Start blinking (i.e. toggling visible/invisible).
+   * Play the next note of the four-note alien march.
    *
-   * After this function is called, the target entity will start to blink if it
-   * is currently visible. If the entity is already blinking then the amount of
-   * remaining blinks will be reset back to the amount of the this.BLINK_COUNT.
+   * Notes are played in a round-robin order so the caller only needs to call
+   * this function each time the alien formation takes a step.
    */
-  this.blink = function () {
-    if (this.isVisible() || blinks > 0) {
-      this.setVisible(true);
-      blinks = blinkCount;
-      blinkTimer = blinkFrequency;
+  this.playMarchNote = function () {
+    var frequency = this.MARCH_FREQUENCIES[marchIndex];
+    marchIndex = ((marchIndex + 1) % this.MARCH_FREQUENCIES.length);
+    if (this.isAvailable()) {
+      playTone("square", frequency, frequency, 0.09, 0.25);
     }
   }
 
-  this.getText = function () { return text; }
-  this.getFillStyle = function () { return fillStyle; }
-  this.getFont = function () { return font; }
-  this.getAlign = function () { return align; }
-  this.isVisible = function () { return visible; }
-  this.getBlinkCount = function () { return blinkCount; }
-  this.getBlinkFrequency = function () { return blinkFrequency; }
+  /** *************************************************************************
+   * Reset the alien march back to its first note.
+   */
+  this.resetMarch = function () {
+    marchIndex = 0;
+  }
 
-  this.setText = function (newText) { text = newText; }
-  this.setFillStyle = function (newStyle) { fillStyle = newStyle; }
-  this.setFont = function (newFont) { font = newFont; }
-  this.setAlign = function (newAlign) { align = newAlign; }
-  this.setVisible = function (newVisible) { visible = newVisible; }
-  this.setBlinkCount = function (newCount) { blinkCount = newCount; }
-  this.setBlinkFrequency = function (newFreq) { blinkFrequency = newFreq; }
-}
+  /** *************************************************************************
+   * Check whether sounds can be currently played.
+   * @return {boolean} A definition whether sounds can be played.
+   */
+  this.isAvailable = function () {
+    return (!muted && volume > 0 && this.getContext() != undefined);
+  }
 
-/** ***************************************************************************
- * A welcome state for the Space Invaders game.
- *
- * This state contains the definitions required to show the welcoming message
- * to the user(s). It contains the game name along with the score instructions
- * and an instruction how to start the game. It does not however contain a
- * complex set of game logics as the actual game simulation is not required.
+  /** *************************************************************************
+   * Apply the current volume and mute state into the master gain node.
+   */
+  function applyVolume() {
+    if (masterGain) {
+      masterGain.gain.value = (muted ? 0 : volume);
+    }
+  }
+
+  /** *************************************************************************
+   * Play a single tone that slides between the given frequencies.
+   * @param {string} type The oscillator type (e.g. square or triangle).
+   * @param {number} startFrequency The starting frequency (in Hz).
+   * @param {number} endFrequency The ending frequency (in Hz).
+   * @param {number} duration The duration of the tone (in seconds).
+   * @param {number} level The gain level of the tone.
+   * @param {number} delay An optional delay before the tone (in seconds).
+   */
+  function playTone(type, startFrequency, endFrequency, duration, level, delay) {
+    var start = actx.currentTime + (delay || 0);
+    var end = start + duration;
+
+    var oscillator = actx.createOscillator();
+    oscillator.type = type;
+    oscillator.frequency.setValueAtTime(startFrequency, start);
+    oscillator.frequency.linearRampToValueAtTime(endFrequency, end);
+
+    var gain = actx.createGain();
+    gain.gain.setValueAtTime(level, start);
+    gain.gain.linearRampToValueAtTime(0, end);
+
+    oscillator.connect(gain);
+    gain.connect(masterGain);
+    oscillator.start(start);
+    oscillator.stop(end);
+  }
+
+  /** *************************************************************************
+   * Play a burst of filtered white noise that decays during its duration.
+   * @param {number} duration The duration of the noise (in seconds).
+   * @param {number} level The gain level of the noise.
+   * @param {string} filterType The biquad filter type (e.g. lowpass).
+   * @param {number} filterFrequency The filter frequency (in Hz).
+   */
+  function playNoise(duration, level, filterType, filterFrequency) {
+    var start = actx.currentTime;
+    var end = start + duration;
+
+    // construct one second of white noise when needed for the first time.
+    if (!noiseBuffer) {
+      var length = actx.sampleRate;
+      noiseBuffer = actx.createBuffer(1, length, actx.sampleRate);
+      var data = noiseBuffer.getChannelData(0);
+      for (var i = 0; i < length; i++) {
+        data[i] = (Math.random() * 2 - 1);
+      }
+    }
+
+    var source = actx.createBufferSource();
+    source.buffer = noiseBuffer;
+    source.loop = true;
+
+    var filter = actx.createBiquadFilter();
+    filter.type = filterType;
+    filter.frequency.value = filterFrequency;
+
+    var gain = actx.createGain();
+    gain.gain.setValueAtTime(level, start);
+    gain.gain.linearRampToValueAtTime(0, end);
+
+    source.connect(filter);
+    filter.connect(gain);
+    gain.connect(masterGain);
+    source.start(start);
+    source.stop(end);
+  }
+
+  this.getVolume = function () { return volume; }
+  this.isMuted = function () { return muted; }
+  this.getMarchIndex = function () { return marchIndex; }
+  this.isSaucerPlaying = function () { return saucerNodes != undefined; }
+}
+
+/** ***************************************************************************
+ * The input manager that maps physical inputs into logical game actions.
+ *
+ * States should not listen for the DOM input events by themselves. Instead the
+ * input manager collects the keyboard events (by their KeyboardEvent.code) and
+ * maps them into named actions. Collected events are sampled once per tick by
+ * calling the #poll function, after which the states can query the state of
+ * each action. This way all input is processed in a sync with the game ticks.
+ *
+ * The following action states are available for each tick:
+ *
+ * 1. Down (the action is being held down).
+ * 2. Pressed (the action was pressed down during the previous tick).
+ * 3. Released (the action was released during the previous tick).
+ *
+ * Input manager also tracks whether the game lost the focus (e.g. the window
+ * was blurred or the tab was hidden), so that the states can react on it.
+ *
+ * Gamepads are supported through the Gamepad API. Gamepads are polled on each
+ * tick and their buttons and axes are mapped into the same actions as the keys.
+ * Each connected gamepad gets a slot in the connection order, and the actions
+ * can be queried for a specific player, so that the second gamepad controls
+ * the second player. If a player has no own gamepad, the first one is used.
+ *
+ * Touch screens are supported by dividing the canvas into touch zones, which
+ * are mapped into actions in the same way as the keys. Multiple touches are
+ * tracked separately, so that the avatar can be moved and fired at the same
+ * time. In addition the touch starts are collected as taps, so that states can
+ * provide tap targets e.g. for the menu texts.
+ *
+ * The mouse and the first active touch are also tracked as a pointer, which
+ * is sampled like the keys (down, pressed and released) for states that need
+ * to point and drag things e.g. the level editor.
+ *
+ * @param {function} gamepadProvider An optional function to get the gamepads.
+ */
+SpaceInvaders.Input = function (gamepadProvider) {
+  /** A constant action to move left. */
+  this.MOVE_LEFT = "MOVE_LEFT";
+  /** A constant action to move right. */
+  this.MOVE_RIGHT = "MOVE_RIGHT";
+  /** A constant action to move (or select) up. */
+  this.MOVE_UP = "MOVE_UP";
+  /** A constant action to move (or select) down. */
+  this.MOVE_DOWN = "MOVE_DOWN";
+  /** A constant action to fire the laser. */
+  this.FIRE = "FIRE";
+  /** A constant action to move the avatar of the 2nd player left in the co-op game. */
+  this.MOVE_LEFT_2P = "MOVE_LEFT_2P";
+  /** A constant action to move the avatar of the 2nd player right in the co-op game. */
+  this.MOVE_RIGHT_2P = "MOVE_RIGHT_2P";
+  /** A constant action to fire the laser of the 2nd player in the co-op game. */
+  this.FIRE_2P = "FIRE_2P";
+  /** A constant action to start a single player game. */
+  this.START_1P = "START_1P";
+  /** A constant action to start a two player game. */
+  this.START_2P = "START_2P";
+  /** A constant action to start a two player co-op game. */
+  this.START_COOP = "START_COOP";
+  /** A constant action to start an online versus game. */
+  this.VERSUS = "VERSUS";
+  /** A constant action to confirm a selection. */
+  this.CONFIRM = "CONFIRM";
+  /** A constant action to cancel or to return back. */
+  this.BACK = "BACK";
+  /** A constant action to pause or resume the game. */
+  this.PAUSE = "PAUSE";
+  /** A constant action to toggle the audio mute. */
+  this.MUTE = "MUTE";
+  /** A constant action to toggle the fullscreen mode. */
+  this.FULLSCREEN = "FULLSCREEN";
+  /** A constant action to open the options. */
+  this.OPTIONS = "OPTIONS";
+  /** A constant action to watch the replay of the previous game. */
+  this.REPLAY = "REPLAY";
+  /** A constant action to continue the saved game. */
+  this.CONTINUE = "CONTINUE";
+  /** A constant action to insert a coin (i.e. to add a credit). */
+  this.COIN = "COIN";
+
+  /** A constant list of the actions that are recorded into the replays. */
+  this.RECORDED_ACTIONS = ["MOVE_LEFT", "MOVE_RIGHT", "FIRE", "PAUSE", "CONFIRM"];
+  /** A constant list of the actions of the 2nd player in the co-op game. */
+  this.COOP_ACTIONS = ["MOVE_LEFT_2P", "MOVE_RIGHT_2P", "FIRE_2P"];
+
+  /** A constant key of the local storage item for the key bindings. */
+  this.STORAGE_KEY = "space-invaders-bindings";
+
+  /** A constant definition of the default key codes for each action. */
+  this.DEFAULT_BINDINGS = {
+    MOVE_LEFT: ["ArrowLeft"],
+    MOVE_RIGHT: ["ArrowRight"],
+    MOVE_UP: ["ArrowUp"],
+    MOVE_DOWN: ["ArrowDown"],
+    FIRE: ["Space"],
+    MOVE_LEFT_2P: ["KeyA"],
+    MOVE_RIGHT_2P: ["KeyD"],
+    FIRE_2P: ["KeyW"],
+    START_1P: ["Digit1", "Numpad1"],
+    START_2P: ["Digit2", "Numpad2"],
+    START_COOP: ["Digit3", "Numpad3"],
+    VERSUS: ["KeyV"],
+    CONFIRM: ["Enter", "NumpadEnter"],
+    BACK: ["Backspace", "Escape"],
+    PAUSE: ["KeyP"],
+    MUTE: ["KeyM"],
+    FULLSCREEN: ["KeyF"],
+    OPTIONS: ["KeyO"],
+    REPLAY: ["KeyR"],
+    CONTINUE: ["KeyC"],
+    COIN: ["Digit5", "Numpad5"]
+  };
+
+  /** A constant definition of the default gamepad inputs for each action. */
+  this.DEFAULT_PAD_BINDINGS = {
+    MOVE_LEFT: ["Button14", "AxisLeft"],
+    MOVE_RIGHT: ["Button15", "AxisRight"],
+    MOVE_UP: ["Button12", "AxisUp"],
+    MOVE_DOWN: ["Button13", "AxisDown"],
+    FIRE: ["Button0", "Button2"],
+    MOVE_LEFT_2P: ["Button14", "AxisLeft"],
+    MOVE_RIGHT_2P: ["Button15", "AxisRight"],
+    FIRE_2P: ["Button0", "Button2"],
+    START_1P: ["Button9"],
+    START_2P: ["Button8"],
+    START_COOP: ["Button5"],
+    VERSUS: ["Button6"],
+    CONFIRM: ["Button0", "Button9"],
+    BACK: ["Button1"],
+    PAUSE: ["Button9"],
+    OPTIONS: ["Button3"],
+    CONTINUE: ["Button4"],
+    COIN: ["Button7"]
+  };
+  /** A constant dead zone of the gamepad analog sticks. */
+  this.PAD_DEADZONE = 0.35;
+
+  /** A constant definition of the touch zones in the game coordinates. */
+  this.TOUCH_ZONES = [
+    { code: "TouchPause", x: 612, y: 720, width: 60, height: 48 },
+    { code: "TouchLeft", x: 0, y: 0, width: SpaceInvaders.WIDTH / 4, height: SpaceInvaders.HEIGHT },
+    { code: "TouchRight", x: SpaceInvaders.WIDTH / 4, y: 0, width: SpaceInvaders.WIDTH / 4, height: SpaceInvaders.HEIGHT },
+    { code: "TouchFire", x: SpaceInvaders.WIDTH / 2, y: 0, width: SpaceInvaders.WIDTH / 2, height: SpaceInvaders.HEIGHT }
+  ];
+  /** A constant definition of the touch zones for each action. */
+  this.TOUCH_BINDINGS = {
+    MOVE_LEFT: ["TouchLeft"],
+    MOVE_RIGHT: ["TouchRight"],
+    FIRE: ["TouchFire"],
+    PAUSE: ["TouchPause"]
+  };
+
+  /** The key codes bound for each action. */
+  var bindings = {};
+  /** The gamepad inputs bound for each action. */
+  var padBindings = {};
+  /** The touch zones bound for each action. */
+  var touchBindings = this.TOUCH_BINDINGS;
+  /** The actions that are only read from the gamepad of the 2nd player. */
+  var coopActions = this.COOP_ACTIONS;
+  /** The indices of the connected gamepads in the connection order. */
+  var padIndices = [];
+  /** The gamepad inputs that are currently held down (for each pad slot). */
+  var padDownCodes = [];
+  /** The gamepad inputs pressed during the previous tick (for each pad slot). */
+  var padPressedCodes = [];
+  /** The gamepad inputs released during the previous tick (for each pad slot). */
+  var padReleasedCodes = [];
+  /** The key codes that are currently held down (by the sampled state). */
+  var downCodes = {};
+  /** The key codes that were pressed during the previous tick. */
+  var pressedCodes = {};
+  /** The key codes that were released during the previous tick. */
+  var releasedCodes = {};
+  /** The characters that were typed during the previous tick. */
+  var typedText = "";
+  /** A definition whether the focus was lost during the previous tick. */
+  var focusLost = false;
+  /** The events received after the previous tick, waiting to be sampled. */
+  var pendingEvents = [];
+  /** The target where the event listeners are attached into. */
+  var target = undefined;
+  /** The canvas where the touch listeners are attached into. */
+  var touchTarget = undefined;
+  /** The touch zone codes of the active touches by the touch identifiers. */
+  var touchCodes = {};
+  /** The amount of active touches within each touch zone. */
+  var touchCounts = {};
+  /** The taps (i.e. touch starts) received during the previous tick. */
+  var taps = [];
+  /** A definition whether a touch screen has been used. */
+  var touchEnabled = false;
+  /** The sampled state of the pointer (mouse or the first touch). */
+  var pointer = { x: 0, y: 0, down: false, pressed: false, released: false };
+  /** The identifier of the touch that acts as the pointer (if any). */
+  var pointerTouch = undefined;
+  /** The replay frame mask that overrides the recorded actions (if any). */
+  var playbackMask = undefined;
+
+  /** *************************************************************************
+   * Attach the input manager to listen for the DOM input events.
+   * @param {Document} newTarget The DOM document to listen events from.
+   * @param {HTMLCanvasElement} canvas An optional canvas to listen touches.
+   */
+  this.attach = function (newTarget, canvas) {
+    this.detach();
+    target = newTarget;
+    if (canvas) {
+      touchTarget = canvas;
+      touchTarget.addEventListener("touchstart", this.touchStart, { passive: false });
+      touchTarget.addEventListener("touchmove", this.touchMove, { passive: false });
+      touchTarget.addEventListener("touchend", this.touchEnd, { passive: false });
+      touchTarget.addEventListener("touchcancel", this.touchEnd, { passive: false });
+      touchTarget.addEventListener("mousedown", this.mouseDown);
+      touchTarget.addEventListener("mousemove", this.mouseMove);
+    }
+    target.addEventListener("keydown", this.keyDown);
+    target.addEventListener("keyup", this.keyUp);
+    target.addEventListener("mouseup", this.mouseUp);
+    target.addEventListener("visibilitychange", this.visibilityChange);
+    if (target.defaultView) {
+      target.defaultView.addEventListener("blur", this.blur);
+      target.defaultView.addEventListener("gamepadconnected", this.gamepadConnected);
+      target.defaultView.addEventListener("gamepaddisconnected", this.gamepadDisconnected);
+    }
+  }
+
+  /** *************************************************************************
+   * Detach the input manager from the previously attached target (if any).
+   */
+  this.detach = function () {
+    if (touchTarget) {
+      touchTarget.removeEventListener("touchstart", this.touchStart);
+      touchTarget.removeEventListener("touchmove", this.touchMove);
+      touchTarget.removeEventListener("touchend", this.touchEnd);
+      touchTarget.removeEventListener("touchcancel", this.touchEnd);
+      touchTarget.removeEventListener("mousedown", this.mouseDown);
+      touchTarget.removeEventListener("mousemove", this.mouseMove);
+      touchTarget = undefined;
+    }
+    if (target) {
+      target.removeEventListener("keydown", this.keyDown);
+      target.removeEventListener("keyup", this.keyUp);
+      target.removeEventListener("mouseup", this.mouseUp);
+      target.removeEventListener("visibilitychange", this.visibilityChange);
+      if (target.defaultView) {
+        target.defaultView.removeEventListener("blur", this.blur);
+        target.defaultView.removeEventListener("gamepadconnected", this.gamepadConnected);
+        target.defaultView.removeEventListener("gamepaddisconnected", this.gamepadDisconnected);
+      }
+      target = undefined;
+    }
+  }
+
+  /** *************************************************************************
+   * Sample the received events into the action states for the next tick.
+   *
+   * This function must be called once before each tick. It clears the pressed
+   * and released states of the previous tick and applies all events received
+   * after the previous call.
+   */
+  this.poll = function () {
+    pressedCodes = {};
+    releasedCodes = {};
+    typedText = "";
+    focusLost = false;
+    taps = [];
+    pointer.pressed = false;
+    pointer.released = false;
+    for (var i = 0; i < pendingEvents.length; i++) {
+      var event = pendingEvents[i];
+      switch (event.type) {
+        case "down":
+          if (!downCodes[event.code]) {
+            pressedCodes[event.code] = true;
+          }
+          downCodes[event.code] = true;
+          typedText += event.text;
+          break;
+        case "up":
+          if (downCodes[event.code]) {
+            releasedCodes[event.code] = true;
+          }
+          delete downCodes[event.code];
+          break;
+        case "focus":
+          // keys released while unfocused never reach us, so release all.
+          for (var code in downCodes) {
+            releasedCodes[code] = true;
+          }
+          downCodes = {};
+          touchCodes = {};
+          touchCounts = {};
+          pointer.released = pointer.down;
+          pointer.down = false;
+          pointerTouch = undefined;
+          focusLost = true;
+          break;
+        case "tap":
+          taps.push({ x: event.x, y: event.y });
+          break;
+        case "pointer":
+          pointer.pressed = (pointer.pressed || (event.down && !pointer.down));
+          pointer.released = (pointer.released || (!event.down && pointer.down));
+          pointer.down = event.down;
+          pointer.x = event.x;
+          pointer.y = event.y;
+          break;
+      }
+    }
+    pendingEvents = [];
+    this.pollGamepads();
+  }
+
+  /** *************************************************************************
+   * Sample the current state of the connected gamepads.
+   *
+   * Gamepads that were connected before the listeners were attached do not
+   * fire the connection event in all browsers, so they are detected here too.
+   */
+  this.pollGamepads = function () {
+    var gamepads = getGamepads();
+    for (var i = 0; i < gamepads.length; i++) {
+      if (gamepads[i] && gamepads[i].connected && padIndices.indexOf(gamepads[i].index) == -1) {
+        padIndices.push(gamepads[i].index);
+      }
+    }
+
+    var previousDownCodes = padDownCodes;
+    padDownCodes = [];
+    padPressedCodes = [];
+    padReleasedCodes = [];
+    for (var slot = 0; slot < padIndices.length; slot++) {
+      var gamepad = findGamepad(gamepads, padIndices[slot]);
+      var downCodes = (gamepad ? readGamepad(gamepad, this.PAD_DEADZONE) : {});
+      var previous = (previousDownCodes[slot] || {});
+      var pressed = {};
+      var released = {};
+      for (var code in downCodes) {
+        if (!previous[code]) {
+          pressed[code] = true;
+        }
+      }
+      for (var code in previous) {
+        if (!downCodes[code]) {
+          released[code] = true;
+        }
+      }
+      padDownCodes.push(downCodes);
+      padPressedCodes.push(pressed);
+      padReleasedCodes.push(released);
+    }
+  }
+
+  /** *************************************************************************
+   * Check whether the given action is currently being held down.
+   * @param {string} action The action to be checked.
+   * @param {number} player An optional player number to check the gamepad of.
+   * @return {boolean} A definition whether the action is down.
+   */
+  this.isDown = function (action, player) {
+    var played = playbackBit(action, 0);
+    if (played !== undefined) {
+      return played;
+    }
+    return matches(action, downCodes) || padMatches(action, padDownCodes, player);
+  }
+
+  /** *************************************************************************
+   * Check whether the given action was pressed during the previous tick.
+   * @param {string} action The action to be checked.
+   * @param {number} player An optional player number to check the gamepad of.
+   * @return {boolean} A definition whether the action was pressed.
+   */
+  this.wasPressed = function (action, player) {
+    var played = playbackBit(action, 1);
+    if (played !== undefined) {
+      return played;
+    }
+    return matches(action, pressedCodes) || padMatches(action, padPressedCodes, player);
+  }
+
+  /** *************************************************************************
+   * Check whether the given action was released during the previous tick.
+   * @param {string} action The action to be checked.
+   * @param {number} player An optional player number to check the gamepad of.
+   * @return {boolean} A definition whether the action was released.
+   */
+  this.wasReleased = function (action, player) {
+    var played = playbackBit(action, 2);
+    if (played !== undefined) {
+      return played;
+    }
+    return matches(action, releasedCodes) || padMatches(action, padReleasedCodes, player);
+  }
+
+  /** *************************************************************************
+   * Get the state of the recorded actions as a bit mask for a replay frame.
+   *
+   * Each recorded action reserves three bits (down, pressed and released) in
+   * the order of the recorded actions. The next two bits tell whether the
+   * focus was lost and whether the screen was tapped during the tick. The
+   * co-op actions of the 2nd player are stored after these flags.
+   *
+   * @param {number} player An optional player number to check the gamepad of.
+   * @return {number} The bit mask of the sampled action states.
+   */
+  this.getFrameMask = function (player) {
+    var mask = 0;
+    for (var i = 0; i < this.RECORDED_ACTIONS.length; i++) {
+      var action = this.RECORDED_ACTIONS[i];
+      mask |= (this.isDown(action, player) ? 1 : 0) << (i * 3);
+      mask |= (this.wasPressed(action, player) ? 1 : 0) << (i * 3 + 1);
+      mask |= (this.wasReleased(action, player) ? 1 : 0) << (i * 3 + 2);
+    }
+    var flagShift = (this.RECORDED_ACTIONS.length * 3);
+    mask |= (this.wasFocusLost() ? 1 : 0) << flagShift;
+    mask |= (this.getTaps().length > 0 ? 1 : 0) << (flagShift + 1);
+    for (var i = 0; i < this.COOP_ACTIONS.length; i++) {
+      var action = this.COOP_ACTIONS[i];
+      var shift = (flagShift + 2 + i * 3);
+      mask |= (this.isDown(action, 2) ? 1 : 0) << shift;
+      mask |= (this.wasPressed(action, 2) ? 1 : 0) << (shift + 1);
+      mask |= (this.wasReleased(action, 2) ? 1 : 0) << (shift + 2);
+    }
+    return mask;
+  }
+
+  /** *************************************************************************
+   * Get the played back state bit of the given action.
+   * @param {string} action The action to be checked.
+   * @param {number} offset The offset of the bit (0: down, 1: pressed, 2: released).
+   * @return {boolean} The played back state or undefined when not played back.
+   */
+  var playbackBit = function (action, offset) {
+    if (playbackMask === undefined) {
+      return undefined;
+    }
+    var index = this.RECORDED_ACTIONS.indexOf(action);
+    var shift = (index * 3);
+    if (index == -1) {
+      // the co-op actions of the 2nd player are stored after the flags.
+      index = this.COOP_ACTIONS.indexOf(action);
+      if (index == -1) {
+        return undefined;
+      }
+      shift = (this.RECORDED_ACTIONS.length * 3 + 2 + index * 3);
+    }
+    return (playbackMask & (1 << (shift + offset))) != 0;
+  }.bind(this);
+
+  /** *************************************************************************
+   * Check whether any key or button was pressed during the previous tick.
+   * @return {boolean} A definition whether any key or button was pressed.
+   */
+  this.anyPressed = function () {
+    if (Object.keys(pressedCodes).length > 0) {
+      return true;
+    }
+    for (var i = 0; i < padPressedCodes.length; i++) {
+      if (Object.keys(padPressedCodes[i]).length > 0) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /** *************************************************************************
+   * Bind the given key codes to the given action.
+   * @param {string} action The target action.
+   * @param {string[]} codes The KeyboardEvent.code values for the action.
+   */
+  this.bind = function (action, codes) {
+    bindings[action] = codes.slice();
+  }
+
+  /** *************************************************************************
+   * Load the key bindings from the local storage.
+   *
+   * Only the actions with the default bindings are loaded, so the removed or
+   * renamed actions cannot break the bindings. Actions that are missing from
+   * the storage item keep their current bindings.
+   */
+  this.load = function () {
+    var items = SpaceInvaders.loadItem(this.STORAGE_KEY, {});
+    for (var action in this.DEFAULT_BINDINGS) {
+      var codes = (items && Array.isArray(items[action]) ? items[action] : []);
+      codes = codes.filter(function (code) { return typeof code == "string"; });
+      if (codes.length > 0) {
+        this.bind(action, codes);
+      }
+    }
+  }
+
+  /** *************************************************************************
+   * Save the key bindings into the local storage.
+   * @return {boolean} A definition whether the bindings were stored.
+   */
+  this.save = function () {
+    return SpaceInvaders.saveItem(this.STORAGE_KEY, bindings);
+  }
+
+  /** *************************************************************************
+   * Find the action that has the given key code bound.
+   * @param {string} code The key code to look for.
+   * @param {string[]} actions The actions to be searched.
+   * @return {string} The action with the key code or undefined.
+   */
+  this.findAction = function (code, actions) {
+    for (var i = 0; i < actions.length; i++) {
+      if ((bindings[actions[i]] || []).indexOf(code) != -1) {
+        return actions[i];
+      }
+    }
+    return undefined;
+  }
+
+  /** *************************************************************************
+   * Get the human readable name of the (primary) key bound to the action.
+   * @param {string} action The action whose key name to get.
+   * @return {string} The name of the key.
+   */
+  this.getKeyName = function (action) {
+    return SpaceInvaders.toKeyName((bindings[action] || [])[0]);
+  }
+
+  /** *************************************************************************
+   * Get the key codes of the keys pressed during the previous tick.
+   * @return {string[]} The pressed key codes (excluding touch zones).
+   */
+  this.getPressedKeys = function () {
+    return Object.keys(pressedCodes).filter(function (code) {
+      return code.indexOf("Touch") != 0;
+    });
+  }
+
+  /** *************************************************************************
+   * Reset all action bindings back to the default bindings.
+   */
+  this.resetBindings = function () {
+    bindings = {};
+    for (var action in this.DEFAULT_BINDINGS) {
+      this.bind(action, this.DEFAULT_BINDINGS[action]);
+    }
+    padBindings = {};
+    for (var action in this.DEFAULT_PAD_BINDINGS) {
+      padBindings[action] = this.DEFAULT_PAD_BINDINGS[action].slice();
+    }
+  }
+
+  /** *************************************************************************
+   * A key listener function called when the user presses a key.
+   * @param {KeyboardEvent} e The keyboard event received from the DOM.
+   */
+  this.keyDown = function (e) {
+    if (isBound(e.code)) {
+      e.preventDefault();
+    }
+    if (!e.repeat) {
+      var text = (e.key && e.key.length == 1 ? e.key : "");
+      pendingEvents.push({ type: "down", code: e.code, text: text });
+    }
+  }
+
+  /** *************************************************************************
+   * A key listener function called when the user releases a key press.
+   * @param {KeyboardEvent} e The keyboard event received from the DOM.
+   */
+  this.keyUp = function (e) {
+    if (isBound(e.code)) {
+      e.preventDefault();
+    }
+    pendingEvents.push({ type: "up", code: e.code });
+  }
+
+  /** *************************************************************************
+   * A listener function called when the visibility of the document changes.
+   */
+  this.visibilityChange = function () {
+    if (target && target.hidden) {
+      pendingEvents.push({ type: "focus" });
+    }
+  }
+
+  /** *************************************************************************
+   * A listener function called when the browser window loses the focus.
+   */
+  this.blur = function () {
+    pendingEvents.push({ type: "focus" });
+  }
+
+  /** *************************************************************************
+   * A touch listener function called when new touches start on the canvas.
+   * @param {TouchEvent} e The touch event received from the DOM.
+   */
+  this.touchStart = function (e) {
+    e.preventDefault();
+    touchEnabled = true;
+    for (var i = 0; i < e.changedTouches.length; i++) {
+      var touch = e.changedTouches[i];
+      var point = toGamePoint(touch);
+      pendingEvents.push({ type: "tap", x: point.x, y: point.y });
+      setTouchCode(touch.identifier, findTouchZone(this.TOUCH_ZONES, point));
+      if (pointerTouch === undefined) {
+        pointerTouch = touch.identifier;
+        pendingEvents.push({ type: "pointer", x: point.x, y: point.y, down: true });
+      }
+    }
+  }.bind(this);
+
+  /** *************************************************************************
+   * A touch listener function called when touches move on the canvas.
+   * @param {TouchEvent} e The touch event received from the DOM.
+   */
+  this.touchMove = function (e) {
+    e.preventDefault();
+    for (var i = 0; i < e.changedTouches.length; i++) {
+      var touch = e.changedTouches[i];
+      var point = toGamePoint(touch);
+      setTouchCode(touch.identifier, findTouchZone(this.TOUCH_ZONES, point));
+      if (touch.identifier === pointerTouch) {
+        pendingEvents.push({ type: "pointer", x: point.x, y: point.y, down: true });
+      }
+    }
+  }.bind(this);
+
+  /** *************************************************************************
+   * A touch listener function called when touches end or get cancelled.
+   * @param {TouchEvent} e The touch event received from the DOM.
+   */
+  this.touchEnd = function (e) {
+    e.preventDefault();
+    for (var i = 0; i < e.changedTouches.length; i++) {
+      var touch = e.changedTouches[i];
+      setTouchCode(touch.identifier, undefined);
+      if (touch.identifier === pointerTouch) {
+        var point = toGamePoint(touch);
+        pendingEvents.push({ type: "pointer", x: point.x, y: point.y, down: false });
+        pointerTouch = undefined;
+      }
+    }
+  }
+
+  /** *************************************************************************
+   * A mouse listener function called when a mouse button is pressed.
+   * @param {MouseEvent} e The mouse event received from the DOM.
+   */
+  this.mouseDown = function (e) {
+    if (e.button == 0) {
+      var point = toGamePoint(e);
+      pendingEvents.push({ type: "pointer", x: point.x, y: point.y, down: true });
+    }
+  }
+
+  /** *************************************************************************
+   * A mouse listener function called when the mouse moves over the canvas.
+   * @param {MouseEvent} e The mouse event received from the DOM.
+   */
+  this.mouseMove = function (e) {
+    if (pointerTouch === undefined) {
+      var point = toGamePoint(e);
+      pendingEvents.push({ type: "pointer", x: point.x, y: point.y, down: (e.buttons & 1) != 0 });
+    }
+  }
+
+  /** *************************************************************************
+   * A mouse listener function called when a mouse button is released.
+   *
+   * This listener is attached to the document instead of the canvas, so the
+   * pointer gets released even if the button is released outside the canvas.
+   *
+   * @param {MouseEvent} e The mouse event received from the DOM.
+   */
+  this.mouseUp = function (e) {
+    if (e.button == 0 && touchTarget) {
+      var point = toGamePoint(e);
+      pendingEvents.push({ type: "pointer", x: point.x, y: point.y, down: false });
+    }
+  }
+
+  /** *************************************************************************
+   * A listener function called when a gamepad gets connected.
+   * @param {GamepadEvent} e The gamepad event received from the DOM.
+   */
+  this.gamepadConnected = function (e) {
+    if (padIndices.indexOf(e.gamepad.index) == -1) {
+      padIndices.push(e.gamepad.index);
+    }
+  }
+
+  /** *************************************************************************
+   * A listener function called when a gamepad gets disconnected.
+   * @param {GamepadEvent} e The gamepad event received from the DOM.
+   */
+  this.gamepadDisconnected = function (e) {
+    var slot = padIndices.indexOf(e.gamepad.index);
+    if (slot != -1) {
+      padIndices.splice(slot, 1);
+      padDownCodes.splice(slot, 1);
+    }
+  }
+
+  /** *************************************************************************
+   * Check whether any of the key codes of the action is in the given set.
+   * @param {string} action The action whose key codes to check.
+   * @param {Object} codes A set of key codes.
+   * @return {boolean} A definition whether the action is in the set.
+   */
+  function matches(action, codes) {
+    return matchesCodes(bindings[action], codes)
+      || matchesCodes(touchBindings[action], codes);
+  }
+
+  /** *************************************************************************
+   * Check whether any of the given action codes is in the given set.
+   * @param {string[]} actionCodes The codes bound to an action (if any).
+   * @param {Object} codes A set of codes.
+   * @return {boolean} A definition whether any of the codes is in the set.
+   */
+  function matchesCodes(actionCodes, codes) {
+    actionCodes = (actionCodes || []);
+    for (var i = 0; i < actionCodes.length; i++) {
+      if (codes[actionCodes[i]]) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /** *************************************************************************
+   * Check whether any of the gamepad inputs of the action is in the given set.
+   *
+   * When a player is specified, only the gamepad of that player is checked. A
+   * player without an own gamepad shares the first gamepad, except for the
+   * co-op actions, as a single gamepad must not control both of the avatars.
+   * Without a player all the connected gamepads are checked.
+   *
+   * @param {string} action The action whose gamepad inputs to check.
+   * @param {Object[]} codesBySlot A set of gamepad inputs for each pad slot.
+   * @param {number} player An optional player number (1 or 2).
+   * @return {boolean} A definition whether the action is in the set.
+   */
+  function padMatches(action, codesBySlot, player) {
+    if (codesBySlot.length == 0) {
+      return false;
+    }
+    var first = 0;
+    var last = (codesBySlot.length - 1);
+    if (player) {
+      if (player > codesBySlot.length && coopActions.indexOf(action) != -1) {
+        return false;
+      }
+      first = last = (player <= codesBySlot.length ? (player - 1) : 0);
+    }
+    for (var slot = first; slot <= last; slot++) {
+      if (matchesCodes(padBindings[action], codesBySlot[slot])) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /** *************************************************************************
+   * Change the touch zone of the given touch.
+   *
+   * Each zone acts like a key, which is held down as long as there is at least
+   * one touch within the zone. Therefore the down and up events are only sent
+   * when the first touch enters and the last touch leaves the zone.
+   *
+   * @param {number} identifier The identifier of the touch.
+   * @param {string} code The code of the new zone or undefined if ended.
+   */
+  function setTouchCode(identifier, code) {
+    var previousCode = touchCodes[identifier];
+    if (previousCode == code) {
+      return;
+    }
+    if (previousCode) {
+      touchCounts[previousCode]--;
+      if (touchCounts[previousCode] <= 0) {
+        pendingEvents.push({ type: "up", code: previousCode });
+      }
+    }
+    if (code) {
+      touchCounts[code] = (touchCounts[code] || 0) + 1;
+      if (touchCounts[code] == 1) {
+        pendingEvents.push({ type: "down", code: code, text: "" });
+      }
+      touchCodes[identifier] = code;
+    } else {
+      delete touchCodes[identifier];
+    }
+  }
+
+  /** *************************************************************************
+   * Convert the client coordinates of the touch into the game coordinates.
+   *
+   * The canvas is scaled and its backing store is multiplied by the device
+   * pixel ratio, so the point is scaled from the shown size of the canvas into
+   * the logical resolution instead of the size of the backing store.
+   *
+   * @param {Touch|MouseEvent} touch The touch (or the mouse event) to be converted.
+   * @return {Object} The {x, y} point in the game coordinates.
+   */
+  function toGamePoint(touch) {
+    var rect = touchTarget.getBoundingClientRect();
+    return {
+      x: (touch.clientX - rect.left) * (SpaceInvaders.WIDTH / rect.width),
+      y: (touch.clientY - rect.top) * (SpaceInvaders.HEIGHT / rect.height)
+    };
+  }
+
+  /** *************************************************************************
+   * Find the code of the first touch zone that contains the given point.
+   * @param {Object[]} zones The touch zones to be checked.
+   * @param {Object} point The {x, y} point in the game coordinates.
+   * @return {string} The code of the zone or undefined.
+   */
+  function findTouchZone(zones, point) {
+    for (var i = 0; i < zones.length; i++) {
+      var zone = zones[i];
+      if (point.x >= zone.x && point.x < (zone.x + zone.width)
+        && point.y >= zone.y && point.y < (zone.y + zone.height)) {
+        return zone.code;
+      }
+    }
+    return undefined;
+  }
+
+  /** *************************************************************************
+   * Get the list of gamepads from the gamepad provider or the navigator.
+   * @return {Gamepad[]} The list of gamepads (may contain empty slots).
+   */
+  function getGamepads() {
+    if (gamepadProvider) {
+      return gamepadProvider();
+    }
+    if (typeof navigator != "undefined" && navigator.getGamepads) {
+      return (navigator.getGamepads() || []);
+    }
+    return [];
+  }
+
+  /** *************************************************************************
+   * Find the gamepad with the given index from the list of gamepads.
+   * @param {Gamepad[]} gamepads The list of gamepads.
+   * @param {number} index The index of the gamepad.
+   * @return {Gamepad} The found gamepad or undefined.
+   */
+  function findGamepad(gamepads, index) {
+    for (var i = 0; i < gamepads.length; i++) {
+      if (gamepads[i] && gamepads[i].index == index && gamepads[i].connected) {
+        return gamepads[i];
+      }
+    }
+    return undefined;
+  }
+
+  /** *************************************************************************
+   * Read the buttons and the left analog stick of the gamepad as a set.
+   * @param {Gamepad} gamepad The gamepad to be read.
+   * @param {number} deadzone The dead zone of the analog stick.
+   * @return {Object} A set of gamepad inputs that are held down.
+   */
+  function readGamepad(gamepad, deadzone) {
+    var codes = {};
+    for (var i = 0; i < gamepad.buttons.length; i++) {
+      if (gamepad.buttons[i].pressed) {
+        codes["Button" + i] = true;
+      }
+    }
+    var x = (gamepad.axes[0] || 0);
+    var y = (gamepad.axes[1] || 0);
+    if (x < -deadzone) {
+      codes.AxisLeft = true;
+    } else if (x > deadzone) {
+      codes.AxisRight = true;
+    }
+    if (y < -deadzone) {
+      codes.AxisUp = true;
+    } else if (y > deadzone) {
+      codes.AxisDown = true;
+    }
+    return codes;
+  }
+
+  /** *************************************************************************
+   * Check whether the given key code is bound to any action.
+   * @param {string} code The key code to be checked.
+   * @return {boolean} A definition whether the key code is bound.
+   */
+  function isBound(code) {
+    for (var action in bindings) {
+      if (bindings[action].indexOf(code) != -1) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  this.getBindings = function (action) { return (bindings[action] || []).slice(); }
+  this.getTypedText = function () { return typedText; }
+  this.getGamepadCount = function () { return padIndices.length; }
+  this.getPlaybackMask = function () { return playbackMask; }
+  this.isTouchEnabled = function () { return touchEnabled; }
+  this.getPointer = function () { return pointer; }
+
+  this.setPlaybackMask = function (newMask) { playbackMask = newMask; }
+
+  /** *************************************************************************
+   * Get the taps (i.e. touch starts) received during the previous tick.
+   *
+   * Replays only record whether the screen was tapped, so the played back taps
+   * are reported as a single tap at the origin of the game coordinates.
+   *
+   * @return {Object[]} A list of {x, y} taps in the game coordinates.
+   */
+  this.getTaps = function () {
+    if (playbackMask !== undefined) {
+      var tapBit = (1 << (this.RECORDED_ACTIONS.length * 3 + 1));
+      return ((playbackMask & tapBit) != 0 ? [{ x: 0, y: 0 }] : []);
+    }
+    return taps;
+  }
+
+  /** *************************************************************************
+   * Get the definition whether the focus was lost during the previous tick.
+   * @return {boolean} A definition whether the focus was lost.
+   */
+  this.wasFocusLost = function () {
+    if (playbackMask !== undefined) {
+      return (playbackMask & (1 << (this.RECORDED_ACTIONS.length * 3))) != 0;
+    }
+    return focusLost;
+  }
+
+  // start with the default bindings.
+  this.resetBindings();
+}
+
+/** ***************************************************************************
+ * The network connection of the online versus game.
+ *
+ * Two players on different machines are connected through a relay server (see
+ * relay-server.js), which pairs the joined players into matches and relays the
+ * messages between them. All messages are JSON objects with a type:
+ *
+ * 1. join     (client): joins the lobby of the {difficulty} to wait for an opponent.
+ * 2. waiting  (server): the player is waiting for an opponent in the lobby.
+ * 3. match    (server): a match has started with the given {seed, player}.
+ * 4. score    (client): the current {score} of the player.
+ * 5. garbage  (client): the player cleared alien {rows} for the opponent.
+ * 6. gameover (client): the player has lost all lives with the final {score}.
+ * 7. left     (server): the opponent has left the match.
+ *
+ * Received messages are queued and sampled once per tick with #poll, just like
+ * the input events. A lost connection is reported as a local closed message.
+ * Any object that implements the used subset of the WebSocket interface can be
+ * injected with the socket factory.
+ *
+ * @param {function} socketFactory An optional function to create a socket for an URL.
+ */
+SpaceInvaders.Network = function (socketFactory) {
+  /** A constant version of the message protocol. */
+  this.VERSION = 1;
+  /** A constant type of the message to join the lobby. */
+  this.JOIN = "join";
+  /** A constant type of the message that the player is waiting in the lobby. */
+  this.WAITING = "waiting";
+  /** A constant type of the message that a match has started. */
+  this.MATCH = "match";
+  /** A constant type of the message with the current score. */
+  this.SCORE = "score";
+  /** A constant type of the message with the attacker rows for the opponent. */
+  this.GARBAGE = "garbage";
+  /** A constant type of the message that the game is over. */
+  this.GAME_OVER = "gameover";
+  /** A constant type of the message that the opponent has left. */
+  this.LEFT = "left";
+  /** A constant type of the local message that the connection was closed. */
+  this.CLOSED = "closed";
+
+  /** The socket connected into the relay server (if any). */
+  var socket = undefined;
+  /** A definition whether the socket is open. */
+  var connected = false;
+  /** The messages received after the previous poll. */
+  var pendingMessages = [];
+
+  /** *************************************************************************
+   * Connect into the relay server and join the lobby when connected.
+   *
+   * Players are only paired with the players of the same difficulty preset,
+   * so both players of a match play with the same rules.
+   *
+   * @param {string} url The WebSocket URL of the relay server.
+   * @param {string} difficulty The id of the difficulty preset to be played.
+   * @return {boolean} A definition whether the connection was started.
+   */
+  this.connect = function (url, difficulty) {
+    this.close();
+    try {
+      socket = createSocket(url);
+    } catch (e) {
+      console.warn("Unable to connect into the relay server: " + e);
+      socket = undefined;
+    }
+    if (!socket) {
+      return false;
+    }
+    var network = this;
+    socket.onopen = function () {
+      connected = true;
+      network.send({ type: network.JOIN, version: network.VERSION, difficulty: difficulty });
+    };
+    socket.onmessage = function (e) {
+      var message;
+      try {
+        message = JSON.parse(e.data);
+      } catch (error) {
+        console.warn("Unable to parse the message: " + error);
+        return;
+      }
+      if (message && typeof message.type == "string") {
+        pendingMessages.push(message);
+      }
+    };
+    socket.onclose = function () {
+      connected = false;
+      socket = undefined;
+      pendingMessages.push({ type: network.CLOSED });
+    };
+    return true;
+  }
+
+  /** *************************************************************************
+   * Get the messages received after the previous poll.
+   * @return {Object[]} The received messages in the order of arrival.
+   */
+  this.poll = function () {
+    var messages = pendingMessages;
+    pendingMessages = [];
+    return messages;
+  }
+
+  /** *************************************************************************
+   * Send the given message into the relay server.
+   * @param {Object} message The message to be sent.
+   * @return {boolean} A definition whether the message was sent.
+   */
+  this.send = function (message) {
+    if (!connected) {
+      return false;
+    }
+    socket.send(JSON.stringify(message));
+    return true;
+  }
+
+  /** *************************************************************************
+   * Close the connection (if any) without reporting it as a closed message.
+   */
+  this.close = function () {
+    if (socket) {
+      socket.onopen = socket.onmessage = socket.onclose = null;
+      socket.close();
+      socket = undefined;
+    }
+    connected = false;
+    pendingMessages = [];
+  }
+
+  /** *************************************************************************
+   * Create a new socket with the socket factory or with the WebSocket API.
+   * @param {string} url The WebSocket URL to connect into.
+   * @return {WebSocket} The socket or undefined if not supported.
+   */
+  function createSocket(url) {
+    if (socketFactory) {
+      return socketFactory(url);
+    }
+    if (typeof WebSocket != "undefined") {
+      return new WebSocket(url);
+    }
+    return undefined;
+  }
+
+  this.isConnected = function () { return connected; }
+}
+
+/** ***************************************************************************
+ * A stub 2D drawing context for the headless game simulation.
+ *
+ * This context provides the subset of the CanvasRenderingContext2D interface
+ * used by the game, but all drawing operations are ignored. Game simulation
+ * never reads anything back from the drawing context.
+ *
+ * @param {number} width The width of the stub canvas.
+ * @param {number} height The height of the stub canvas.
+ */
+SpaceInvaders.HeadlessContext = function (width, height) {
+  var context = this;
+
+  /** A stub canvas with the dimensions of the drawing area. */
+  this.canvas = { width: width, height: height, getContext: function () { return context; } };
+
+  this.fillStyle = "black";
+  this.strokeStyle = "black";
+  this.font = "10px sans-serif";
+  this.textAlign = "start";
+  this.globalAlpha = 1;
+  this.globalCompositeOperation = "source-over";
+  this.imageSmoothingEnabled = true;
+
+  this.save = function () { }
+  this.restore = function () { }
+  this.clearRect = function (x, y, w, h) { }
+  this.fillRect = function (x, y, w, h) { }
+  this.strokeRect = function (x, y, w, h) { }
+  this.fillText = function (text, x, y) { }
+  this.drawImage = function () { }
+  this.translate = function (x, y) { }
+  this.setTransform = function (a, b, c, d, e, f) { }
+  this.createRadialGradient = function (x0, y0, r0, x1, y1, r1) {
+    return { addColorStop: function (offset, color) { } };
+  }
+}
+
+/** ***************************************************************************
+ * The root game structure for the Space Invaders game.
+ *
+ * This object module contains the necessary structure to glue the game objects
+ * as a working game. It acts as the main entry point for the application which
+ * is used to start the game and to provide a support for the scene system.
+ *
+ * The application can be created and started with the following way:
+ *
+ * var game = new SpaceInvaders();
+ * game.start();
+ *
+ * After being constructed and called with the previously mentioned way, the
+ * application starts running and will run until the browser window is being
+ * closed or whether an application execption is raised.
+ */
+SpaceInvaders.Game = function () {
+  /** A constant id of the canvas to be used as the rendering target. */
+  var CANVAS_ID = "game-canvas";
+  /** A constant URL of the wave definitions loaded when the game is started. */
+  var WAVES_URL = "waves.json";
+  /** A constant URL of the sprite sheet containing all image assets for the game. */
+  var SPRITE_SHEET_URL = "space_invaders_spritesheet.png";
+  /** A constant definition for the game framerate. */
+  var FPS = (1000.0 / 60.0);
+  /** A constant amount of lives of the computer player in the demo game. */
+  var DEMO_LIVES = 1;
+  /** A constant default WebSocket URL of the relay server for the online versus game. */
+  var VERSUS_URL = "ws://localhost:8787";
+  /** A constant maximum amount of attacker rows accepted from a single message. */
+  var MAX_GARBAGE_ROWS = 4;
+  /** A constant maximum amount of credits (the credit readout has two digits). */
+  var MAX_CREDITS = 99;
+  /** A constant key of the local storage item for the selected difficulty. */
+  var DIFFICULTY_STORAGE_KEY = "space-invaders-difficulty";
+  /** A constant id of the default difficulty preset (the original arcade rules). */
+  var DEFAULT_DIFFICULTY = "arcade";
+  /**
+   * A constant list of the difficulty presets. Each preset has the score bands
+   * with the alien reload rates (the last rate is used above the last band),
+   * the scales of the alien velocity and the starting step size of the waves,
+   * the ticks between the flying saucers, the avatar velocity and the key of
+   * its own hi-score table. The arcade preset uses the original hi-score key.
+   */
+  var DIFFICULTIES = [
+    {
+      id: "easy", name: "EASY",
+      reloadScores: [200, 1000, 2000, 3000], reloadRates: [64, 32, 20, 14, 12],
+      alienVelocityScale: 0.75, alienStepScale: 1.25, saucerInterval: 1500, avatarVelocity: 0.3,
+      hiScoreKey: "space-invaders-hi-scores-easy"
+    },
+    {
+      id: "normal", name: "NORMAL",
+      reloadScores: [200, 1000, 2000, 3000], reloadRates: [56, 24, 14, 10, 8],
+      alienVelocityScale: 0.9, alienStepScale: 1.1, saucerInterval: 1350, avatarVelocity: 0.275,
+      hiScoreKey: "space-invaders-hi-scores-normal"
+    },
+    {
+      id: "arcade", name: "ARCADE",
+      reloadScores: [200, 1000, 2000, 3000], reloadRates: [48, 16, 11, 8, 7],
+      alienVelocityScale: 1, alienStepScale: 1, saucerInterval: 1200, avatarVelocity: 0.25,
+      hiScoreKey: "space-invaders-hi-scores"
+    },
+    {
+      id: "hard", name: "HARD",
+      reloadScores: [200, 1000, 2000, 3000], reloadRates: [32, 12, 8, 6, 5],
+      alienVelocityScale: 1.25, alienStepScale: 0.8, saucerInterval: 900, avatarVelocity: 0.25,
+      hiScoreKey: "space-invaders-hi-scores-hard"
+    }
+  ];
+
+  /** A definition whether the game is initialized or not. */
+  var initialized = false;
+  /** A reference to the HTML5 canvas used as the rendering target. */
+  var canvas = undefined;
+  /** A reference to the 2D drawing context from the HTML5 canvas. */
+  var ctx = undefined;
+  /** A reference to the currently active scene. */
+  var scene = undefined;
+  /** A definition of the time when the game was previously updated. */
+  var previousTickTime = 0;
+  /** A delta accumulator that collects the exceeding update time delta. */
+  var deltaAccumulator = 0;
+
+  /** The persistent operator settings (i.e. the DIP switches). */
+  var settings = new SpaceInvaders.OperatorSettings();
+  /** The DIP switches of the current (or the next) game. */
+  var dipSwitches = settings.getDipSwitches();
+  /** The amount of inserted credits, which are kept until the page is closed. */
+  var credits = 0;
+  /** The persistent display settings (e.g. the classic look). */
+  var display = new SpaceInvaders.DisplaySettings();
+  /** The display filter that post-processes the screen when it is enabled. */
+  var displayFilter = new SpaceInvaders.DisplayFilter();
+  /** The viewport that scales the logical resolution onto the screen. */
+  var viewport = new SpaceInvaders.Viewport(SpaceInvaders.WIDTH, SpaceInvaders.HEIGHT);
+
+  /** A container for the state and data of the 1st player. */
+  var player1Context = new SpaceInvaders.PlayerContext(this);
+  /** A container for the state and data of the 2nd player. */
+  var player2Context = new SpaceInvaders.PlayerContext(this);
+
+  /** The hi-score of the current game instace. */
+  var hiScore = 0;
+  /** The persistent tables of the best scores for each difficulty preset. */
+  var hiScoreTables = {};
+  DIFFICULTIES.forEach(function (preset) {
+    hiScoreTables[preset.id] = new SpaceInvaders.HiScoreTable(preset.hiScoreKey);
+  });
+  /** The difficulty preset of the current (or the next) game. */
+  var difficulty = findDifficulty(DEFAULT_DIFFICULTY);
+  /** The audio subsystem used to play the sound effects. */
+  var audio = new SpaceInvaders.Audio();
+  /** The input manager that maps the user input into game actions. */
+  var input = new SpaceInvaders.Input();
+  /** The seeded random generator used by the game simulation. */
+  var random = new SpaceInvaders.Random();
+  /** The persistent save of the in-progress game. */
+  var saveGame = new SpaceInvaders.SaveGame();
+  /** The wave definitions used to construct the levels. */
+  var waves = new SpaceInvaders.WaveSet();
+  /** The replay of the current (or the previous) game. */
+  var replay = undefined;
+  /** A definition whether the input is being recorded into the replay. */
+  var recording = false;
+  /** A definition whether the replay is being played back. */
+  var replaying = false;
+  /** The index of the next tick to be played back from the replay. */
+  var replayTick = 0;
+  /** The hi-score before the replay was started. */
+  var replayHiScore = 0;
+  /** The difficulty preset before the replay was started. */
+  var replayDifficulty = undefined;
+  /** The wave set edited in the level editor while it is being playtested. */
+  var playtestData = undefined;
+  /** The wave definitions replaced for the duration of the playtest. */
+  var playtestWaves = undefined;
+  /** The hi-score before the playtest was started. */
+  var playtestHiScore = 0;
+  /** A definition whether the demo game (attract mode) is running. */
+  var demo = false;
+  /** The real player contexts replaced for the duration of the demo. */
+  var demoContexts = undefined;
+  /** The hi-score before the demo was started. */
+  var demoHiScore = 0;
+  /** The controller that plays the demo game. */
+  var demoController = new SpaceInvaders.ReferenceBot();
+  /** The controller (e.g. a bot) that plays instead of the user (if any). */
+  var controller = undefined;
+
+  /** The amount of players. */
+  var playerCount = 2;
+  /** The currently active player. */
+  var activePlayer = 1;
+  /** A definition whether both players play simultaneously (co-op). */
+  var coop = false;
+  /** The network connection of the online versus game (if any). */
+  var network = undefined;
+  /** The WebSocket URL of the relay server for the online versus game. */
+  var versusURL = VERSUS_URL;
+  /** The amount of attacker rows sent by the opponent, waiting to be added. */
+  var garbageRows = 0;
+  /** The score of the local player that was previously sent to the opponent. */
+  var sentScore = 0;
+
+  /** The asset manager that loads the sprite sheet (and any other external assets). */
+  var assets = new SpaceInvaders.AssetManager();
+
+  /** *************************************************************************
+   * Set the active player for the game.
+   *
+   * When this function is called, the active player will be changed. This
+   * makes the game to show the "PLAY PLAYER<?>" state to notify the next
+   * player to prepare to play the game. This function is typically only used
+   * when playing the game in a multiplayer mode. In the co-op mode the 1st
+   * player stays active and the scores of both players are shown, which is
+   * also the case in the online versus game where the 2nd score belongs to
+   * the remote opponent.
+   *
+   * @param {integer} newActivePlayer A number {1|2} based on the target player.
+   */
+  this.setActivePlayer = function (newActivePlayer) {
+    activePlayer = newActivePlayer;
+    if (scene) {
+      if (coop || network) {
+        // blink and show the scores of both players.
+        scene.getScore1Text().setVisible(true);
+        scene.getScore1Text().blink();
+        scene.getScore2Text().setVisible(true);
+        scene.getScore2Text().blink();
+      } else if (activePlayer == 1) {
+        // blink and show only score for the 1st player.
+        scene.getScore1Text().setVisible(true);
+        scene.getScore1Text().blink();
+        scene.getScore2Text().setVisible(false);
+      } else if (activePlayer == 2) {
+        // blink and show only score for the 2nd player.
+        scene.getScore2Text().setVisible(true);
+        scene.getScore2Text().blink();
+        scene.getScore1Text().setVisible(false);
+      }
+      scene.setState(new SpaceInvaders.PlayPlayerState(this));
+    }
+  }
+
+  /** ***********************************************************************
+    * Get the definition whether the game is initialized.
+    *
+    * This function provides a simple way to externally check whether the game
+    * has been inited successfully and is ready to run (or already running).
+    *
+    * @return {[]} A definition whether the game is inited.
+    */
+  this.isInitialized = function () {
+    return initialized;
+  };
+
+  /** ***********************************************************************
+   * Get a reference to the currently active scene.
+   *
+   * This function returns a reference to currently active scene. If there is
+   * currently no active scene, then this function returns the default value
+   * (undefined) as a result.
+   *
+   * @return {SpaceInvaders.Scene} The currently active scene or undefined.
+   */
+  this.getScene = function () {
+    return scene;
+  }
+
+  /** ***********************************************************************
+   * Initialize the game.
+   *
+   * Initialization will ensure that the game will get a reference to the 2D
+   * drawing context from the game canvas element. It also provides a way to
+   * define a game wide initializations for game scenes etc. The external
+   * assets are loaded while the loading state is shown, so the welcoming state
+   * is entered only after the sprite sheet and the waves are available.
+   *
+   * @return {boolean} A definition whether the initialization succeeded.
+   */
+  this.init = function () {
+    // a sanity check to prevent re-initialization.
+    if (initialized == true) {
+      console.error("Unable to re-initialize the game.")
+      return false;
+    }
+
+    // get a reference to the target <canvas> element.
+    if (!(canvas = document.getElementById(CANVAS_ID))) {
+      console.error("Unable to find the required canvas element.");
+      return false;
+    }
+
+    // get a reference to the 2D drawing context.
+    if (!(ctx = canvas.getContext("2d"))) {
+      console.error("Unable to get a reference to 2D draw context.");
+      return false;
+    }
+
+    // add the external assets, which are loaded while the loading state is shown.
+    assets.setLoader("waves", loadWaves);
+    assets.add("spriteSheet", "image", SPRITE_SHEET_URL);
+    assets.add("waves", "waves", WAVES_URL);
+
+    // seed the hi-score from the persisted table of the selected difficulty.
+    for (var id in hiScoreTables) {
+      hiScoreTables[id].load();
+    }
+    difficulty = (findDifficulty(SpaceInvaders.loadItem(DIFFICULTY_STORAGE_KEY, DEFAULT_DIFFICULTY)) || difficulty);
+    hiScore = hiScoreTables[difficulty.id].getTopScore();
+
+    // load the operator settings, the display and the audio settings and start listening for the user input.
+    settings.load();
+    dipSwitches = settings.getDipSwitches();
+    display.load();
+    audio.load();
+    input.load();
+    input.attach(document, canvas);
+
+    // scale the canvas to the window and again when the window or the fullscreen mode changes.
+    this.resize();
+    window.addEventListener("resize", this.resize.bind(this));
+    document.addEventListener("fullscreenchange", this.resize.bind(this));
+
+    // save the in-progress game when the page is being closed.
+    window.addEventListener("pagehide", function () {
+      var state = scene.getState();
+      if (state && state.saveProgress) {
+        state.saveProgress();
+      }
+    });
+
+    initScene(this, SpaceInvaders.LoadingState);
+    this.loadAssets();
+    return true;
+  };
+
+  /** ***********************************************************************
+   * Initialize the game without a DOM for the headless simulation.
+   *
+   * Headless game renders into a stub drawing context and does not listen the
+   * user input, load the sprite sheet or touch the local storage. This makes
+   * it possible to step the whole game tick by tick with #tick e.g. in Node,
+   * while the input is being fed directly into the input manager.
+   *
+   * @return {boolean} A definition whether the initialization succeeded.
+   */
+  this.initHeadless = function () {
+    // a sanity check to prevent re-initialization.
+    if (initialized == true) {
+      console.error("Unable to re-initialize the game.")
+      return false;
+    }
+
+    ctx = new SpaceInvaders.HeadlessContext(SpaceInvaders.WIDTH, SpaceInvaders.HEIGHT);
+    canvas = ctx.canvas;
+    initScene(this, SpaceInvaders.WelcomeState);
+    return true;
+  }
+
+  /** ***********************************************************************
+   * Initialize the scene with the given initial state and mark the game inited.
+   * @param {SpaceInvaders.Game} game A reference to the game being inited.
+   * @param {function} State The constructor of the initial state.
+   */
+  var initScene = function (game, State) {
+    // initialize the only scene used within the application.
+    scene = new SpaceInvaders.Scene(game);
+
+    // construct and assign the initial (loading or welcoming) state.
+    scene.setState(new State(game));
+
+    // when the code reaches this point, the initialization succeeded.
+    initialized = true;
+  }
+
+  /** ***********************************************************************
+   * Run the game.
+   *
+   * Running the game means that the game will execute an infinite loop that
+   * runs the game logic updates and draw operations until the user closes
+   * the browser tab or the JavaScript catches and exception from the code.
+   *
+   * It's quite important to note that the requestAnimationFrame provides the
+   * tickTime automatically when it uses the function as a callback.
+   *
+   * @param {double} tickTime A timestamp when the function is called.
+   */
+  this.run = function (tickTime) {
+    // calculate a delta time and store the current tick time.
+    var dt = (tickTime - previousTickTime);
+    previousTickTime = tickTime;
+
+    // update the scene only when we have reasonable delta. A larger delta
+    // means that the loop has been suspended (e.g. the tab was hidden), so we
+    // drop the accumulated time instead of trying to catch it up in a burst.
+    if (dt < 100) {
+      deltaAccumulator += dt;
+      while (deltaAccumulator >= FPS) {
+        this.tick();
+        deltaAccumulator -= FPS;
+      }
+    } else {
+      deltaAccumulator = 0;
+    }
+
+    // swipe old contents from the draw buffer and draw the scene (through the display filter).
+    ctx.clearRect(0, 0, SpaceInvaders.WIDTH, SpaceInvaders.HEIGHT);
+    if (display.isFilter()) {
+      scene.render(displayFilter.begin(viewport.getBackingWidth(), viewport.getBackingHeight()));
+      displayFilter.end(ctx, display.getFilterPreset());
+    } else {
+      scene.render(ctx);
+    }
+
+    // perform a main loop iteration.
+    requestAnimationFrame(this.run.bind(this));
+  };
+
+  /** ***********************************************************************
+   * Load the wave definitions from the given URL into the waves of the game.
+   *
+   * This is the loader of the waves asset. The promise is rejected when the
+   * file cannot be loaded, parsed or validated, so the loading state shows the
+   * failure instead of silently keeping the classic waves.
+   *
+   * @param {string} url The URL of the JSON file.
+   * @return {Promise} A promise of the loaded wave set.
+   */
+  var loadWaves = function (url) {
+    return new Promise(function (resolve, reject) {
+      var request = new XMLHttpRequest();
+      request.open("GET", url);
+      request.onload = function () {
+        var data = undefined;
+        try {
+          data = JSON.parse(request.responseText);
+        } catch (e) {
+          console.warn("Unable to parse the waves from '" + url + "'.");
+        }
+        if ((request.status == 200 || request.status == 0) && data && waves.load(data)) {
+          resolve(waves);
+        } else {
+          reject(new Error("Unable to load the waves from '" + url + "'."));
+        }
+      };
+      request.onerror = function () {
+        reject(new Error("Unable to load the waves from '" + url + "'."));
+      };
+      request.send();
+    });
+  }
+
+  /** ***********************************************************************
+   * Load the external assets that have not been loaded yet.
+   *
+   * The loading state follows the state of the asset manager on each tick and
+   * it shows the failed assets, so the failure is not handled here.
+   */
+  this.loadAssets = function () {
+    assets.load().catch(function () {
+      // the failed assets are already logged by the asset manager.
+    });
+  }
+
+  /** ***********************************************************************
+   * Scale the canvas to the window with the selected scaling mode.
+   *
+   * The game is drawn in the game coordinates of the logical resolution, so
+   * only the canvas and the transform of its drawing context are changed. The
+   * stub canvas of the headless game is never scaled.
+   *
+   * @return {boolean} A definition whether the canvas was scaled.
+   */
+  this.resize = function () {
+    if (!canvas || !canvas.style) {
+      return false;
+    }
+    viewport.layout(window.innerWidth, window.innerHeight, window.devicePixelRatio, display.getScaling());
+    viewport.apply(canvas, ctx);
+    return true;
+  }
+
+  /** ***********************************************************************
+   * Toggle the fullscreen mode of the page.
+   *
+   * The whole page is shown in the fullscreen, so the canvas is scaled by the
+   * resize listener like in any other window size. Browsers may reject the
+   * request (e.g. without a recent user interaction), which is only logged.
+   *
+   * @return {boolean} A definition whether the fullscreen mode was requested.
+   */
+  this.toggleFullscreen = function () {
+    if (typeof document == "undefined" || !document.fullscreenEnabled) {
+      return false;
+    }
+    var request = (document.fullscreenElement ? document.exitFullscreen() : document.documentElement.requestFullscreen());
+    if (request && request.catch) {
+      request.catch(function (e) {
+        console.warn("Unable to toggle the fullscreen mode: " + e.message);
+      });
+    }
+    return true;
+  }
+
+  /** ***********************************************************************
+   * Start the game.
+   *
+   * Game will be first initialized and the started. Game will be using an
+   * infinite loop (via requestAnimationFrame) as the main loop, so the game
+   * will not stop running until the user closes the browser tab or if an
+   * error is detected by the browser JavaScript engine.
+   */
+  this.start = function () {
+    if (this.init()) {
+      this.run(0);
+    }
+  };
+
+  /** ***********************************************************************
+   * Perform a single fixed-length tick of the game logic.
+   *
+   * The user input is sampled at the beginning of each tick, so the states can
+   * query the action states within their update functions. The sampled input
+   * is recorded into the replay of the current game, or replaced with the
+   * recorded input when a replay is being played back. The global actions
+   * that are available in all the states are also handled here, unless the
+   * state captures the typed text. Any key press also unlocks the audio, as
+   * browsers only allow the audio to be started after an user interaction.
+   * The demo game is ended by any input, but an inserted coin is still counted.
+   */
+  this.tick = function () {
+    input.poll();
+    var state = scene.getState();
+    if (input.wasPressed(input.COIN) && !(state && state.CAPTURES_TEXT)) {
+      this.insertCoin();
+    }
+    if (demo) {
+      // any input ends the demo and it is consumed so it does not start a game.
+      var interrupted = (input.anyPressed() || input.getTaps().length > 0 || input.wasFocusLost());
+      if (interrupted) {
+        this.stopDemo();
+        return;
+      }
+    } else if (replaying) {
+      if (input.wasPressed(input.BACK) || replayTick >= replay.getLength()) {
+        this.stopReplay();
+      } else {
+        input.setPlaybackMask(replay.getFrame(replayTick++));
+      }
+    } else if (recording) {
+      replay.record(input.getFrameMask(activePlayer));
+    } else if (playtestData && input.wasPressed(input.BACK)) {
+      // the back press is consumed here so the editor does not handle it too.
+      this.stopPlaytest();
+      return;
+    }
+    if (input.anyPressed()) {
+      audio.unlock();
+    }
+    if (input.wasPressed(input.MUTE) && !(state && state.CAPTURES_TEXT)) {
+      audio.toggleMute();
+    }
+    if (input.wasPressed(input.FULLSCREEN) && !(state && state.CAPTURES_TEXT)) {
+      this.toggleFullscreen();
+    }
+    if (network) {
+      this.updateVersus();
+    }
+    scene.update(FPS);
+  }
+
+  /** ***********************************************************************
+   * Start a new game with the given amount of players.
+   *
+   * The random generator is seeded for the new game and the input of each tick
+   * is recorded into a new replay until the game is over. Games played by a
+   * controller are not recorded, as the controller does not use the input.
+   * Two players either take turns or play simultaneously in the co-op mode.
+   *
+   * @param {number} newPlayerCount The amount of players {1|2}.
+   * @param {number} seed An optional seed for the random generator.
+   * @param {boolean} newCoop A definition whether two players play simultaneously.
+   */
+  this.startGame = function (newPlayerCount, seed, newCoop) {
+    dipSwitches = settings.getDipSwitches();
+    player1Context.reset();
+    player2Context.reset();
+    random = new SpaceInvaders.Random(seed);
+    coop = (newCoop === true && newPlayerCount == 2);
+    replay = new SpaceInvaders.Replay(random.getSeed(), newPlayerCount, coop, difficulty.id, dipSwitches);
+    recording = (controller === undefined);
+    replaying = false;
+    playerCount = newPlayerCount;
+    this.setActivePlayer(1);
+  }
+
+  /** ***********************************************************************
+   * Continue the game from the save in the local storage.
+   *
+   * Continued game is not recorded, as the replay would not contain the input
+   * from the beginning of the game. The DIP switches are restored from the
+   * save, so the changed operator settings apply only from the next game.
+   *
+   * @return {boolean} A definition whether the saved game was continued.
+   */
+  this.continueGame = function () {
+    var data = saveGame.load();
+    if (!data) {
+      return false;
+    }
+    dipSwitches = {
+      lives: data.dipSwitches.lives,
+      bonusLife: data.dipSwitches.bonusLife,
+      deluxe: (data.dipSwitches.deluxe === true)
+    };
+    saveGame.restore(this, data);
+    random = new SpaceInvaders.Random();
+    random.setState(data.random >>> 0);
+    this.selectDifficulty(findDifficulty(data.difficulty) ? data.difficulty : DEFAULT_DIFFICULTY);
+    hiScore = Math.max(hiScore, data.hiScore || 0);
+    recording = false;
+    replaying = false;
+    playerCount = data.playerCount;
+    coop = (data.coop === true && playerCount == 2);
+    this.setActivePlayer(coop || data.activePlayer != 2 ? 1 : 2);
+    return true;
+  }
+
+  /** ***********************************************************************
+   * Save the in-progress game into the local storage.
+   *
+   * Played back replays, playtests, demo games and online versus games are
+   * never saved, so they cannot replace the save of the actual game.
+   *
+   * @param {Object} activeField The serialized field of the active player.
+   * @return {boolean} A definition whether the game was saved.
+   */
+  this.saveProgress = function (activeField) {
+    if (replaying || playtestData || demo || network) {
+      return false;
+    }
+    return saveGame.save(this, activeField);
+  }
+
+  /** ***********************************************************************
+   * Remove the save of the ended game from the local storage.
+   */
+  this.clearProgress = function () {
+    if (!replaying && !playtestData && !demo && !network) {
+      saveGame.clear();
+    }
+  }
+
+  /** ***********************************************************************
+   * Insert a coin i.e. add a single credit (up to the maximum amount).
+   */
+  this.insertCoin = function () {
+    credits = Math.min(MAX_CREDITS, credits + 1);
+    audio.playCoin();
+  }
+
+  /** ***********************************************************************
+   * Check whether there are enough credits to start a game.
+   * @param {number} amount The amount of credits the game costs.
+   * @return {boolean} A definition whether the game can be started.
+   */
+  this.hasCredits = function (amount) {
+    return (settings.isFreePlay() || credits >= amount);
+  }
+
+  /** ***********************************************************************
+   * Use the given amount of credits to start a game.
+   *
+   * Nothing is used in the free play, where the games do not cost anything.
+   *
+   * @param {number} amount The amount of credits the game costs.
+   * @return {boolean} A definition whether there were enough credits.
+   */
+  this.useCredits = function (amount) {
+    if (!this.hasCredits(amount)) {
+      return false;
+    }
+    if (!settings.isFreePlay()) {
+      credits -= amount;
+    }
+    return true;
+  }
+
+  /** ***********************************************************************
+   * Stop recording the input into the replay of the current game.
+   */
+  this.stopRecording = function () {
+    recording = false;
+  }
+
+  /** ***********************************************************************
+   * Start playing back the given replay.
+   *
+   * A replay starts from a fresh game with the recorded seed, the amount of
+   * players, the game mode and the difficulty preset. The recorded actions are
+   * then fed into the input on each tick.
+   *
+   * @param {SpaceInvaders.Replay} newReplay The replay to be played back.
+   */
+  this.playReplay = function (newReplay) {
+    dipSwitches = newReplay.getDipSwitches();
+    player1Context.reset();
+    player2Context.reset();
+    random = new SpaceInvaders.Random(newReplay.getSeed());
+    replay = newReplay;
+    recording = false;
+    replaying = true;
+    replayTick = 0;
+    replayHiScore = hiScore;
+    replayDifficulty = difficulty;
+    difficulty = (findDifficulty(newReplay.getDifficulty()) || findDifficulty(DEFAULT_DIFFICULTY));
+    hiScore = hiScoreTables[difficulty.id].getTopScore();
+    playerCount = newReplay.getPlayerCount();
+    coop = newReplay.isCoop();
+    this.setActivePlayer(1);
+  }
+
+  /** ***********************************************************************
+   * Stop playing back the replay and return back to the welcome state.
+   *
+   * Scores of the played back game are never stored, so the player contexts,
+   * the hi-score and the difficulty are restored when the replay is stopped.
+   */
+  this.stopReplay = function () {
+    replaying = false;
+    input.setPlaybackMask(undefined);
+    player1Context.reset();
+    player2Context.reset();
+    hiScore = replayHiScore;
+    difficulty = replayDifficulty;
+    scene.setState(new SpaceInvaders.WelcomeState(this));
+  }
+
+  /** ***********************************************************************
+   * Start the demo game (attract mode) played by the computer.
+   *
+   * Demo game is played with temporary player contexts, so the contexts of the
+   * real players are left untouched. The demo is not recorded or saved and the
+   * hi-score is restored when the demo is stopped.
+   */
+  this.startDemo = function () {
+    dipSwitches = settings.getDipSwitches();
+    demoContexts = [player1Context, player2Context];
+    player1Context = new SpaceInvaders.PlayerContext(this);
+    player2Context = new SpaceInvaders.PlayerContext(this);
+    player1Context.setLives(DEMO_LIVES);
+    random = new SpaceInvaders.Random();
+    recording = false;
+    replaying = false;
+    demo = true;
+    demoHiScore = hiScore;
+    playerCount = 1;
+    coop = false;
+    this.setActivePlayer(1);
+  }
+
+  /** ***********************************************************************
+   * Stop the demo game and return back to the welcome state.
+   */
+  this.stopDemo = function () {
+    demo = false;
+    player1Context = demoContexts[0];
+    player2Context = demoContexts[1];
+    demoContexts = undefined;
+    hiScore = demoHiScore;
+    audio.stopSaucer();
+    scene.setState(new SpaceInvaders.WelcomeState(this));
+  }
+
+  /** ***********************************************************************
+   * Start playtesting the given wave set from the level editor.
+   *
+   * Playtest is a single player game that uses the given waves instead of the
+   * loaded waves. It is not recorded or saved and its score never makes the
+   * hi-score table. The playtest returns back to the editor when the game is
+   * over or when the back action is pressed.
+   *
+   * @param {Object} data The wave set to be playtested.
+   * @return {boolean} A definition whether the playtest was started.
+   */
+  this.startPlaytest = function (data) {
+    var newWaves = new SpaceInvaders.WaveSet();
+    if (!newWaves.load(data)) {
+      return false;
+    }
+    dipSwitches = settings.getDipSwitches();
+    player1Context.reset();
+    player2Context.reset();
+    random = new SpaceInvaders.Random();
+    recording = false;
+    replaying = false;
+    playtestData = data;
+    playtestWaves = waves;
+    playtestHiScore = hiScore;
+    waves = newWaves;
+    playerCount = 1;
+    coop = false;
+    this.setActivePlayer(1);
+    return true;
+  }
+
+  /** ***********************************************************************
+   * Stop the playtest and return back to the level editor.
+   */
+  this.stopPlaytest = function () {
+    var data = playtestData;
+    waves = playtestWaves;
+    playtestData = undefined;
+    playtestWaves = undefined;
+    player1Context.reset();
+    player2Context.reset();
+    hiScore = playtestHiScore;
+    audio.stopSaucer();
+    scene.setState(new SpaceInvaders.EditorState(this, data));
+  }
+
+  /** ***********************************************************************
+   * Start the online versus game against a remote opponent.
+   *
+   * Both players of the match play the same waves with the seed given by the
+   * relay server. The local player plays with the 1st player context, while
+   * the 2nd player context mirrors the score and the state of the opponent.
+   * Versus games are not recorded, as the replay would not contain the rows
+   * sent by the opponent. The relay server pairs the players only by their
+   * difficulty, so the versus games are played with the default DIP switches.
+   *
+   * @param {SpaceInvaders.Network} newNetwork The network connected into the match.
+   * @param {number} seed The seed of the random generator shared by the match.
+   */
+  this.startVersus = function (newNetwork, seed) {
+    dipSwitches = {
+      lives: settings.DEFAULT_LIVES,
+      bonusLife: settings.DEFAULT_BONUS_LIFE,
+      deluxe: settings.DEFAULT_DELUXE
+    };
+    player1Context.reset();
+    player2Context.reset();
+    random = new SpaceInvaders.Random(seed);
+    recording = false;
+    replaying = false;
+    network = newNetwork;
+    garbageRows = 0;
+    sentScore = 0;
+    playerCount = 1;
+    coop = false;
+    this.setActivePlayer(1);
+  }
+
+  /** ***********************************************************************
+   * Stop the online versus game and close the connection.
+   */
+  this.stopVersus = function () {
+    if (network) {
+      network.close();
+      network = undefined;
+    }
+    garbageRows = 0;
+  }
+
+  /** ***********************************************************************
+   * Exchange the messages of the online versus game with the opponent.
+   *
+   * The received scores and the game over of the opponent are applied into the
+   * 2nd player context and the received attacker rows are collected until the
+   * ingame state takes them. The score of the local player is sent whenever
+   * it has changed.
+   */
+  this.updateVersus = function () {
+    var messages = network.poll();
+    for (var i = 0; i < messages.length; i++) {
+      var message = messages[i];
+      switch (message.type) {
+        case network.SCORE:
+          player2Context.setScore(message.score | 0);
+          break;
+        case network.GARBAGE:
+          garbageRows += Math.max(0, Math.min(MAX_GARBAGE_ROWS, message.rows | 0));
+          break;
+        case network.GAME_OVER:
+          player2Context.setScore(message.score | 0);
+          player2Context.setLives(0);
+          break;
+        case network.LEFT:
+        case network.CLOSED:
+          player2Context.setLives(0);
+          break;
+      }
+    }
+    if (player1Context.getScore() != sentScore) {
+      sentScore = player1Context.getScore();
+      network.send({ type: network.SCORE, score: sentScore });
+    }
+  }
+
+  /** ***********************************************************************
+   * Take the attacker rows sent by the opponent to be added into the field.
+   * @return {number} The amount of the attacker rows.
+   */
+  this.takeGarbageRows = function () {
+    var rows = garbageRows;
+    garbageRows = 0;
+    return rows;
+  }
+
+  /** ***********************************************************************
+   * Select the difficulty preset of the next games.
+   *
+   * Each difficulty preset has its own hi-score table, so the scores remain
+   * comparable. The shown hi-score is changed into the best score of the
+   * selected preset and the selection is saved into the local storage.
+   *
+   * @param {string} id The id of the difficulty preset.
+   * @return {boolean} A definition whether the preset was selected.
+   */
+  this.selectDifficulty = function (id) {
+    var preset = findDifficulty(id);
+    if (!preset) {
+      return false;
+    }
+    difficulty = preset;
+    hiScore = hiScoreTables[preset.id].getTopScore();
+    SpaceInvaders.saveItem(DIFFICULTY_STORAGE_KEY, preset.id);
+    return true;
+  }
+
+  /** ***********************************************************************
+   * Find the difficulty preset with the given id.
+   * @param {string} id The id of the difficulty preset.
+   * @return {Object} The difficulty preset or undefined if not found.
+   */
+  function findDifficulty(id) {
+    for (var i = 0; i < DIFFICULTIES.length; i++) {
+      if (DIFFICULTIES[i].id == id) {
+        return DIFFICULTIES[i];
+      }
+    }
+    return undefined;
+  }
+
+  /** ***********************************************************************
+   * Export the replay of the current (or the previous) game.
+   * @return {string} The replay as a JSON string or undefined if no replay.
+   */
+  this.exportReplay = function () {
+    return (replay ? replay.exportJSON() : undefined);
+  }
+
+  /** ***********************************************************************
+   * Import a replay from the given JSON string and start playing it back.
+   * @param {string} json The replay as a JSON string.
+   * @return {boolean} A definition whether the replay was imported.
+   */
+  this.importReplay = function (json) {
+    var newReplay = new SpaceInvaders.Replay();
+    if (!newReplay.importJSON(json)) {
+      return false;
+    }
+    this.playReplay(newReplay);
+    return true;
+  }
+
+  /** ***********************************************************************
+   * Get the context container of the currently active player.
+   *
+   * Game will always contain a context container for each player. The active
+   * context instance will be changed whenever the active player is changed.
+   *
+   * @returns {SpaceInvaders.PlayerContext} Context of the active player.
+   */
+  this.getActiveContext = function () {
+    return (activePlayer == 1 ? player1Context : player2Context);
+  }
+
+  this.getPlayer1Context = function () { return player1Context; }
+  this.getPlayer2Context = function () { return player2Context; }
+
+  this.getHiScore = function () { return hiScore; }
+  this.getHiScoreTable = function () { return hiScoreTables[difficulty.id]; }
+  this.getDifficulty = function () { return difficulty; }
+  this.getSettings = function () { return settings; }
+  this.getDisplaySettings = function () { return display; }
+  this.getDisplayFilter = function () { return displayFilter; }
+  this.getViewport = function () { return viewport; }
+  this.getStartingLives = function () { return dipSwitches.lives; }
+  this.getBonusLifeScore = function () { return dipSwitches.bonusLife; }
+  this.isDeluxe = function () { return dipSwitches.deluxe === true; }
+  this.getCredits = function () { return credits; }
+  this.isFreePlay = function () { return settings.isFreePlay(); }
+  this.getDifficulties = function () { return DIFFICULTIES; }
+  this.getAudio = function () { return audio; }
+  this.getInput = function () { return input; }
+  this.getRandom = function () { return random; }
+  this.getSaveGame = function () { return saveGame; }
+  this.getWaves = function () { return waves; }
+  this.getReplay = function () { return replay; }
+  this.isRecording = function () { return recording; }
+  this.isReplaying = function () { return replaying; }
+  this.isPlaytesting = function () { return playtestData !== undefined; }
+  this.isDemo = function () { return demo; }
+  this.getController = function () { return (demo ? demoController : controller); }
+  this.getSpriteSheet = function () { return assets.get("spriteSheet"); }
+  this.getAssets = function () { return assets; }
+  this.getPlayerCount = function () { return playerCount; }
+  this.getActivePlayer = function () { return activePlayer; }
+  this.isCoop = function () { return coop; }
+  this.isVersus = function () { return network !== undefined; }
+  this.getNetwork = function () { return network; }
+  this.getVersusURL = function () { return versusURL; }
+  this.getCanvasCtx = function () { return ctx; }
+
+  this.setHiScore = function (newScore) { hiScore = newScore; }
+  this.setPlayerCount = function (newCount) { playerCount = newCount; }
+  this.setAudio = function (newAudio) { audio = newAudio; }
+  this.setController = function (newController) { controller = newController; }
+  this.setVersusURL = function (newURL) { versusURL = newURL; }
+};
+
+/** ***************************************************************************
+ * An entity abstraction for all game objects within the Space Invaders game.
+ *
+ * This class acts as the root of all entities within the game scene. It does
+ * contain all the shared definitions that must be present within all entities
+ * that are created into the game scene. This also includes the root game and
+ * scene instances as well as the 2d-coordinates of the entity.
+ *
+ * @param {SpaceInvaders.Game} game A reference to the target game instance.
+ */
+SpaceInvaders.Entity = function (game) {
+  /** A reference to the root game instance. */
+  this.game = game;
+  /** A reference to the used scene instance. */
+  this.scene = game.getScene();
+
+  /** A constant default value for the y-position. */
+  this.DEFAULT_X = 0;
+  /** A constant default value for the x-position. */
+  this.DEFAULT_Y = 0;
+
+  /** The x-coordinate position of the entity. */
+  var x = this.DEFAULT_X;
+  /** The y-coordinate position of the entity. */
+  var y = this.DEFAULT_Y;
+
+  this.getX = function () { return x; }
+  this.getY = function () { return y; }
+
+  this.setX = function (newX) { x = newX; }
+  this.setY = function (newY) { y = newY; }
+}
+
+/** ***************************************************************************
+ * An entity abstraction for all entities that are collideable.
+ *
+ * This class encapsulates the required definitions for an entity to perform a
+ * collision check with an another entity. The abstraction uses an axis-aligned
+ * bounding box to encapsulate and check whether a collision is executed.
+ *
+ * @param {SpaceInvaders.Game} game A reference to the target game instance.
+ */
+SpaceInvaders.CollideableEntity = function (game) {
+  SpaceInvaders.Entity.call(this, game);
+
+  /** A constant default value for the AABB extent in the x-axis. */
+  this.DEFAULT_EXTENT_X = 0;
+  /** A constant default value for the AABB extent in the y-axis. */
+  this.DEFAULT_EXTENT_Y = 0;
+  /** A constant default value for the enabled state. */
+  this.DEFAULT_ENABLED = true;
+
+  /** The AABB x-axis extent (i.e. half-width). */
+  var extentX = this.DEFAULT_EXTENT_X;
+  /** The AABB y-axis extent (i.e. half-height). */
+  var extentY = this.DEFAULT_EXTENT_Y;
+  /** The x-axis center of the AABB. */
+  var centerX = this.getX() + extentX;
+  /** The y-axis center of the AABB. */
+  var centerY = this.getY() + extentY;
+  /** The definition whether the entity can be collided. */
+  var enabled = this.DEFAULT_ENABLED;
+
+  /** A stored reference to the original parent x-axis setter. */
+  var parentSetX = this.setX;
+  /** A stored reference to the original parent y-axis setter. */
+  var parentSetY = this.setY;
+
+  /****************************************************************************
+   * Check whether this entity collides with an another entity.
+   * @param {SpaceInvades.CollideableEntity} o Another entity to check against.
+   */
+  this.collides = function (o) {
+    // no collision if either entity is currently not collideable.
+    if (!this.isEnabled() || !o.isEnabled()) return false;
+
+    // check whether we have a collisions between the two AABBs.
+    var x = Math.abs(centerX - o.getCenterX()) < (extentX + o.getExtentX());
+    var y = Math.abs(centerY - o.getCenterY()) < (extentY + o.getExtentY());
+    return x && y;
+  }
+
+  /****************************************************************************
+   * Check whether this entity contains the specified pixel.
+   * @param {number} x The x-coordinate of the pixel.
+   * @param {number} y The y-coordinate of the pixel.
+   * @returns {boolean} Boolean indivating whether pixel is included.
+   */
+  this.containsPixel = function (x, y) {
+    return !(x < (centerX - extentX)
+      || x > (centerX + extentX)
+      || y < (centerY - extentY)
+      || y > (centerY + extentY));
+  }
+
+  this.setX = function (newX) {
+    parentSetX(newX);
+    centerX = this.getX() + extentX;
+  }
+
+  this.setY = function (newY) {
+    parentSetY(newY);
+    centerY = this.getY() + extentY;
+  }
+
+  this.setExtentX = function (newExtent) {
+    extentX = newExtent;
+    centerX = this.getX() + extentX;
+  }
+
+  this.setExtentY = function (newExtent) {
+    extentY = newExtent;
+    centerY = this.getY() + extentY;
+  }
+
+  this.getExtentX = function () { return extentX; }
+  this.getExtentY = function () { return extentY; }
+  this.getCenterX = function () { return centerX; }
+  this.getCenterY = function () { return centerY; }
+  this.isEnabled = function () { return enabled; }
+
+  this.setEnabled = function (newEnabled) { enabled = newEnabled; }
+}
+
+/** ***************************************************************************
+ * A sprite entity for image sprites for the Space Invaders game.
+ *
+ * This entity presents a drawable sprite entity that is drawn from an external
+ * image file provided with the #setImage function. Note that it is typically
+ * a good idea to put all sprites in a single sprite sheet so the same image is
+ * being loaded only once and can be therefore used with all sprites.
+ *
+ * @param {SpaceInvaders.Game} game A reference to the root game instance.
+ */
+SpaceInvaders.SpriteEntity = function (game) {
+  SpaceInvaders.CollideableEntity.call(this, game);
+
+  /** A constant default for the sprite width. */
+  this.DEFAULT_WIDTH = 0;
+  /** A constant default for the sprite height. */
+  this.DEFAULT_HEIGHT = 0;
+  /** A constant default for the sprite clipping x-coordinate. */
+  this.DEFAULT_CLIP_X = 0;
+  /** A constant default for the sprite clipping y-coordinate. */
+  this.DEFAULT_CLIP_Y = 0;
+  /** A constant default for the sprite image. */
+  this.DEFAULT_IMAGE = undefined;
+  /** A constant default for the sprite visibility. */
+  this.DEFAULT_VISIBLE = true;
+
+  /** The width of the sprite. */
+  var width = this.DEFAULT_WIDTH;
+  /** The height of the sprite. */
+  var height = this.DEFAULT_HEIGHT;
+  /** The clipping x-coordinate of the image. */
+  var clipX = this.DEFAULT_CLIP_X;
+  /** The clipping y-coordinate of the image. */
+  var clipY = this.DEFAULT_CLIP_Y;
+  /** The source image to render sprite from. */
+  var image = this.DEFAULT_IMAGE;
+  /** The definition whether the sprite is visible. */
+  var visible = this.DEFAULT_VISIBLE;
+
+  /** Ensure initial parent collideable boundary x-axis. */
+  this.setExtentX(width / 2);
+  /** Ensure initial parent collideable boundary y-axis. */
+  this.setExtentY(height / 2);
+
+  this.render = function (ctx) {
+    if (image && this.isVisible()) {
+      ctx.drawImage(image,
+        this.getClipX(),
+        this.getClipY(),
+        this.getWidth(),
+        this.getHeight(),
+        this.getX(),
+        this.getY(),
+        this.getWidth(),
+        this.getHeight());
+    }
+  }
+
+  this.setWidth = function (newWidth) {
+    width = newWidth;
+    this.setExtentX(width / 2);
+  }
+
+  this.setHeight = function (newHeight) {
+    height = newHeight;
+    this.setExtentY(height / 2)
+  }
+
+  this.getWidth = function () { return width; }
+  this.getHeight = function () { return height; }
+  this.getClipX = function () { return clipX; }
+  this.getClipY = function () { return clipY; }
+  this.getImage = function () { return image; }
+  this.isVisible = function () { return visible; }
+
+  this.setClipX = function (newClip) { clipX = newClip; }
+  this.setClipY = function (newClip) { clipY = newClip; }
+  this.setImage = function (newImage) { image = newImage; }
+  this.setVisible = function (newVisible) { visible = newVisible; }
+}
+
+/** ***************************************************************************
+ * An abstraction of all entities that are movable and have a sprite image.
+ *
+ * This class encapsulates the all necessary functionality for all entities for
+ * collideable, movable and drawable sprite entities. For example the player
+ * avatar and all enemies should be constructed from this structure.
+ *
+ * @param {SpaceInvaders.Game} game A reference to the target game instance.
+ */
+SpaceInvaders.MovableSpriteEntity = function (game) {
+  SpaceInvaders.SpriteEntity.call(this, game);
+
+  /** A constant default for the velocity of the movement. */
+  this.DEFAULT_VELOCITY = 0.0;
+  /** A constant default x-axis direction of the movement. */
+  this.DEFAULT_DIRECTION_X = 0.0;
+  /** A constant default y-axis direction of the movement. */
+  this.DEFAULT_DIRECTION_Y = 0.0;
+  /** A constant default step size for the movement. */
+  this.DEFAULT_STEP_SIZE = 0;
+
+  /** The velocity of the entity. */
+  var velocity = this.DEFAULT_VELOCITY;
+  /** The x-axis direction. */
+  var directionX = this.DEFAULT_DIRECTION_X;
+  /** The y-axis direction. */
+  var directionY = this.DEFAULT_DIRECTION_Y;
+
+  /** The size of the movement step (i.e. updates before movement is applied). */
+  var stepSize = 0;
+  /** The step counter to track when to perform a movement step. */
+  var stepCounter = 0;
+
+  /** The step counter to track when to perform an automatic disappear. */
+  var disappearCountdown = 0;
+
+  /** *************************************************************************
+   * Update (i.e. tick) the the logic within the entity.
+   * @param {number} dt The delta time from the previous tick operation.
+   */
+  this.update = function (dt) {
+    if (disappearCountdown > 0) {
+      disappearCountdown--;
+      if (disappearCountdown <= 0) {
+        this.setEnabled(false);
+        this.setVisible(false);
+      }
+    }
+    stepCounter = Math.max(0, stepCounter - 1);
+    if (stepCounter <= 0) {
+      this.setX(this.getX() + directionX * velocity * dt);
+      this.setY(this.getY() + directionY * velocity * dt);
+      stepCounter = stepSize;
+    }
+  }
+
+  /** *************************************************************************
+   * Apply the given step size and clear the current step counter of the entity.
+   * @param {number} newStepSize A new step size for the movable entity.
+   */
+  this.setStepSize = function (newStepSize) {
+    stepSize = newStepSize;
+    stepCounter = stepSize;
+  }
+
+  /** *************************************************************************
+   * Apply the given amount of ticks to perform before automatically disappear.
+   * @param {number} countdown The amount of ticks before disappearing.
+   */
+  this.setDisappearCountdown = function (countdown) {
+    disappearCountdown = Math.max(0, countdown);
+  }
+
+  this.getVelocity = function () { return velocity; }
+  this.getDirectionX = function () { return directionX; }
+  this.getDirectionY = function () { return directionY; }
+  this.getStepSize = function () { return stepSize; }
+  this.getStepCounter = function () { return stepCounter; }
+
+  this.setVelocity = function (newVelocity) { velocity = newVelocity; }
+  this.setDirectionX = function (newDirection) { directionX = newDirection; }
+  this.setDirectionY = function (newDirection) { directionY = newDirection; }
+}
+
+/** ***************************************************************************
+ * An abstraction for the player avatar entity.
+ *
+ * This structure contains the additional definitions required for the player
+ * avatar object, which is the cannon tower that can be moved by the player.
+ * Each avatar knows the player it belongs to, as both players have their own
+ * avatars in the co-op mode.
+ */
+SpaceInvaders.AvatarEntity = function (game, scene) {
+  SpaceInvaders.AnimatedMovableSpriteEntity.call(this, game);
+
+  /** A constant amount of ticks the screen is shaken when the avatar explodes. */
+  this.SHAKE_TICKS = 30;
+
+  /** The number of the player {1|2} who controls the avatar. */
+  var player = 1;
+  /** The x-coordinate where the avatar is (re)launched. */
+  var startX = 45;
+
+  this.explode = function () {
+    // stop and disable the movement of the avatar.
+    this.setDirectionX(0);
+    this.setEnabled(false);
+    game.getAudio().playPlayerExplosion();
+    game.getScene().shake(this.SHAKE_TICKS);
+
+    // assign the explosion animation for the avatar.
+    this.clearAnimationFrames();
+    this.addAnimationFrame(128, 91, 45, 24);
+    this.addAnimationFrame(178, 91, 45, 24);
+    this.setAnimationFrameIndex(0);
+    this.setAnimationStepSize(6);
+    this.setDisappearCountdown(6 * 8);
+
+    // decrement lives and start the scene relaunch counter.
+    scene.decrementPlayerLives(player);
+    scene.startRelaunchCounter(player);
+  }
+
+  this.reset = function () {
+    // reset the starting position of the avatar.
+    this.setX(startX);
+
+    // set avatar back to collideable and visible.
+    this.setEnabled(true);
+    this.setVisible(true);
+
+    // reset the visual presentation of the avatar.
+    this.clearAnimationFrames();
+    this.addAnimationFrame(86, 5, 40, 24);
+    this.setAnimationFrameIndex(0);
+  }
+
+  this.getPlayer = function () { return player; }
+  this.getStartX = function () { return startX; }
+
+  this.setPlayer = function (newPlayer) { player = newPlayer; }
+  this.setStartX = function (newStartX) { startX = newStartX; }
+}
+
+/** ***************************************************************************
+ * An abstraction for all alien shots.
+ *
+ * This structure contains the additional definitions and methods for the alien
+ * shots. There are three different alien shots available; rolling, plumbing
+ * and the squiggly shot. Each shot has a bit different behavior, which are
+ * described in the following table.
+ *
+ * Rolling shot
+ * A "homing" shot that is always launched from the players nearest alien.
+ *
+ * Plunger shot
+ * A shot that follows a predefined alien columns list and is not used when there
+ * is only one alien left.
+ *
+ * Squiggly shot
+ * A shot that follows a predefined alien columns list and is not used when the
+ * flying saucer is being shown.
+ *
+ * Table is based on foundings from the following URL:
+ * http://www.computerarcheology.com/Arcade/SpaceInvaders/Code.html
+ *
+ * @param {SpaceInvaders.Game} game A reference to the target game instance.
+ */
+SpaceInvaders.AlienShotEntity = function (game, scene) {
+  SpaceInvaders.AnimatedMovableSpriteEntity.call(this, game);
+
+  /** A constant shape of the pixels consumed from the shields by the explosion. */
+  this.EXPLOSION_STAMP = [
+    "..#...",
+    "#...#.",
+    "..##.#",
+    ".####.",
+    "#.###.",
+    ".#####",
+    "#.###.",
+    ".#.#.#"
+  ];
+
+  /** A counter to keep track of the amount of update calls. */
+  var progressTicks = 0;
+
+  this.animateAndUpdate = function (dt) {
+    if (this.isVisible()) {
+      this.animate();
+      this.update(dt);
+      progressTicks++;
+    }
+  }
+
+  this.fire = function () {
+    var animationFrames = this.getAnimationFrames();
+    if (animationFrames.length > 3) {
+      animationFrames.pop();
+    }
+    this.setAnimationFrameIndex(0);
+    this.setAnimationStepSize(4);
+    this.setVisible(true);
+    this.setEnabled(true);
+    this.setDirectionY(1);
+    progressTicks = 1;
+  }
+
+  this.explode = function () {
+    this.addAnimationFrame(218, 5, 18, 24);
+    this.setAnimationStepSize(0);
+    this.setAnimationFrameIndex(3);
+    this.setEnabled(false);
+    this.setDisappearCountdown(10);
+    this.setDirectionY(0);
+  }
+
+  this.isReadyToBeFired = function () {
+    // do not allow shot to be re-fired when still in progress.
+    if (this.isVisible()) {
+      return false;
+    }
+
+    // get a reference to the array of alien shots and the reload rate.
+    var shots = scene.getAlienShots();
+    var reloadRate = scene.getAlienReloadRate();
+
+    // iterate over shots to check whether aliens have reloaded their weapons.
+    for (i = 0; i < shots.length; i++) {
+      var shotTicks = shots[i].getProgressTicks();
+      if (shots[i] != this) {
+        if (shotTicks > 0) {
+          if (reloadRate >= shotTicks) {
+            return false;
+          }
+        }
+      }
+    }
+
+    // aliens have been reloaded and it's ok to fire now.
+    return true;
+  }
+
+  this.getProgressTicks = function () { return progressTicks; }
+
+}
+
+/** ***************************************************************************
+ * An abstraction for all player shields.
+ *
+ * This structure contains the logics required for the player avatar shields.
+ * In the original Space Invaders, there are four shields that player mayer use
+ * to protect the avatar against the alien laser shots.
+ *
+ * Shields are destructable, where destructions consume a part of the shield. In
+ * fact, there are three different things that must consume shields.
+ *
+ * 1. Alien shots
+ * 2. Player shots
+ * 3. Alien contact
+ *
+ * Each collision with the previously mentioned entity must consume a part of
+ * the shield where the collision occurs. Collided shots must be first exploded
+ * and then their explosion stamp is used to consume part of the shield pixels.
+ * Note that avatar and alien lasers have a different explosion stamp shape.
+ *
+ * Shield keeps its condition in a pixel mask of its own, so the collisions do
+ * not depend on what has been drawn on the game canvas. The mask is drawn into
+ * an offscreen bitmap, which is only refreshed after the mask has changed.
+ *
+ * @param {SpaceInvaders.Game} game A reference to the target game instance.
+ */
+SpaceInvaders.Shield = function (game) {
+  SpaceInvaders.SpriteEntity.call(this, game);
+
+  /** A constant shape of the intact shield (# marks a solid cell). */
+  this.SHAPE = [
+    "....##############....",
+    "...################...",
+    "..##################..",
+    ".####################.",
+    "######################",
+    "######################",
+    "######################",
+    "######################",
+    "######################",
+    "######################",
+    "######################",
+    "######################",
+    "#######.......########",
+    "######.........#######",
+    "#####...........######",
+    "#####...........######"
+  ];
+  /** A constant fill style (i.e. color) of the shield pixels. */
+  this.FILL_STYLE = [0x20, 0xff, 0x20];
+
+  /** The solid (1) and destroyed (0) pixels in left-to-right, top-to-bottom order. */
+  var mask = undefined;
+  /** The offscreen bitmap where the mask is drawn into. */
+  var bitmap = undefined;
+  /** A definition whether the mask has been changed after it was drawn. */
+  var bitmapDirty = true;
+
+  /** *************************************************************************
+   * Get the pixel mask of the shield.
+   *
+   * The mask is built from the shape when it's being requested for the first
+   * time. Each cell of the shape is scaled to cover the size of the shield.
+   *
+   * @return {Uint8Array} The solid (1) and destroyed (0) pixels of the shield.
+   */
+  this.getMask = function () {
+    if (!mask) {
+      var width = this.getWidth();
+      var height = this.getHeight();
+      mask = new Uint8Array(width * height);
+      for (var y = 0; y < height; y++) {
+        for (var x = 0; x < width; x++) {
+          mask[y * width + x] = (this.isShapeSolid(x, y) ? 1 : 0);
+        }
+      }
+    }
+    return mask;
+  }
+
+  /** *************************************************************************
+   * Check whether the given pixel is solid in the intact shape of the shield.
+   * @param {number} x The x-coordinate of the pixel within the shield.
+   * @param {number} y The y-coordinate of the pixel within the shield.
+   * @return {boolean} A definition whether the pixel belongs to the shape.
+   */
+  this.isShapeSolid = function (x, y) {
+    var row = this.SHAPE[Math.floor(y * this.SHAPE.length / this.getHeight())];
+    return row.charAt(Math.floor(x * row.length / this.getWidth())) == "#";
+  }
+
+  /** *************************************************************************
+   * Restore the given amount of destroyed pixels back into the shield.
+   *
+   * Only the pixels of the intact shape are restored. The pixels are restored
+   * from the bottom upwards, so the shield grows back towards the aliens.
+   *
+   * @param {number} amount The maximum amount of pixels to be restored.
+   * @return {number} The amount of restored pixels.
+   */
+  this.repair = function (amount) {
+    var width = this.getWidth();
+    var data = this.getMask();
+    var restored = 0;
+    for (var y = this.getHeight() - 1; y >= 0 && restored < amount; y--) {
+      for (var x = 0; x < width && restored < amount; x++) {
+        if (data[y * width + x] == 0 && this.isShapeSolid(x, y)) {
+          data[y * width + x] = 1;
+          restored++;
+        }
+      }
+    }
+    bitmapDirty = (bitmapDirty || restored > 0);
+    return restored;
+  }
+
+  /** *************************************************************************
+   * Check whether the given pixel of the scene is a solid shield pixel.
+   * @param {number} pixelX The x-coordinate of the pixel in the scene.
+   * @param {number} pixelY The y-coordinate of the pixel in the scene.
+   * @return {boolean} A definition whether the pixel is solid.
+   */
+  this.isSolid = function (pixelX, pixelY) {
+    var x = Math.floor(pixelX - this.getX());
+    var y = Math.floor(pixelY - this.getY());
+    if (x < 0 || y < 0 || x >= this.getWidth() || y >= this.getHeight()) {
+      return false;
+    }
+    return this.getMask()[y * this.getWidth() + x] == 1;
+  }
+
+  /** *************************************************************************
+   * Check whether the shield precisely collides with the target object.
+   *
+   * This function is used to perform two-phase collision detection. Here we
+   * use a broad (AABB-ABB) and narrow (pixel-pixel) phases to detect whether
+   * the provided object hits the shield. The pixels are iterated based on the
+   * object movement direction, so the first hit pixel is nearest the object.
+   *
+   * @param {SpaceInvaders.CollideableEntity} other Entity to check against.
+   * @return {boolean} A definition whether the object hit the shield.
+   */
+  this.preciseCollides = function (other) {
+    if (this.collides(other)) {
+      var width = this.getWidth();
+      var height = this.getHeight();
+      var data = this.getMask();
+      var upwards = (other instanceof SpaceInvaders.AvatarLaser);
+      for (var i = 0; i < height; i++) {
+        var y = (upwards ? (height - 1 - i) : i);
+        for (var x = 0; x < width; x++) {
+          if (data[y * width + x] == 1 && this.preciseCollide(x, y, other)) {
+            return true;
+          }
+        }
+      }
+    }
+    return false;
+  }
+
+  /** *************************************************************************
+   * Check whether the target pixel collides with the specified object.
+   *
+   * This function checks whether the provided pixel does a pixel-wide hit with
+   * the provided object instance bounding box (AABB). If there is an collision
+   * then the target object will be exploded and the explosion stamp of the
+   * object will be consumed i.e. removed from the shield mask.
+   *
+   * @param {number} x The x-coordinate of the pixel within the shield.
+   * @param {number} y The y-coordinate of the pixel within the shield.
+   * @param {SpaceInvaders.CollideableEntity} object Object to check against.
+   */
+  this.preciseCollide = function (x, y, object) {
+    var pixelX = (this.getX() + x);
+    var pixelY = (this.getY() + y);
+    if (object.containsPixel(pixelX, pixelY)) {
+      object.explode();
+      object.setY(pixelY - object.getExtentY());
+      this.stamp(object.EXPLOSION_STAMP, object.getCenterX(), pixelY);
+      return true;
+    }
+    return false;
+  }
+
+  /** *************************************************************************
+   * Consume the pixels of the given stamp shape away from the shield.
+   *
+   * A stamp is a list of rows, where each # character marks a pixel cell to be
+   * consumed. Stamp cells are scaled with the same scale as the shield shape.
+   *
+   * @param {string[]} stamp The shape of the stamp.
+   * @param {number} centerX The x-coordinate of the stamp center in the scene.
+   * @param {number} centerY The y-coordinate of the stamp center in the scene.
+   */
+  this.stamp = function (stamp, centerX, centerY) {
+    var width = this.getWidth();
+    var height = this.getHeight();
+    var data = this.getMask();
+    var scale = (width / this.SHAPE[0].length);
+    var stampWidth = (stamp[0].length * scale);
+    var stampHeight = (stamp.length * scale);
+    var left = Math.round(centerX - stampWidth / 2 - this.getX());
+    var top = Math.round(centerY - stampHeight / 2 - this.getY());
+    for (var sy = 0; sy < stampHeight; sy++) {
+      for (var sx = 0; sx < stampWidth; sx++) {
+        var x = (left + sx);
+        var y = (top + sy);
+        if (x >= 0 && y >= 0 && x < width && y < height
+          && stamp[Math.floor(sy / scale)].charAt(Math.floor(sx / scale)) == "#") {
+          data[y * width + x] = 0;
+        }
+      }
+    }
+    bitmapDirty = true;
+  }
+
+  /** *************************************************************************
+   * Export the pixel mask as a compact hexadecimal string.
+   * @return {string} The mask where each character holds four pixels.
+   */
+  this.exportMask = function () {
+    var data = this.getMask();
+    var result = "";
+    for (var i = 0; i < data.length; i += 4) {
+      var bits = (data[i] << 3) | (data[i + 1] << 2) | (data[i + 2] << 1) | data[i + 3];
+      result += bits.toString(16);
+    }
+    return result;
+  }
+
+  /** *************************************************************************
+   * Import the pixel mask from a string exported with #exportMask.
+   * @param {string} hex The mask where each character holds four pixels.
+   */
+  this.importMask = function (hex) {
+    var data = this.getMask();
+    for (var i = 0; i < data.length; i++) {
+      var bits = parseInt(hex.charAt(Math.floor(i / 4)), 16) || 0;
+      data[i] = (bits >> (3 - (i % 4))) & 1;
+    }
+    bitmapDirty = true;
+  }
+
+  /** *************************************************************************
+   * Get the offscreen bitmap that contains the drawn shield mask.
+   *
+   * The bitmap requires a DOM, so undefined is returned in the headless mode.
+   *
+   * @return {HTMLCanvasElement} The bitmap or undefined if not available.
+   */
+  this.getBitmap = function () {
+    if (!bitmap && typeof document != "undefined") {
+      bitmap = document.createElement("canvas");
+      bitmap.width = this.getWidth();
+      bitmap.height = this.getHeight();
+    }
+    if (bitmap && bitmapDirty) {
+      var bitmapCtx = bitmap.getContext("2d");
+      var imageData = bitmapCtx.createImageData(bitmap.width, bitmap.height);
+      var data = this.getMask();
+      for (var i = 0; i < data.length; i++) {
+        imageData.data[i * 4] = this.FILL_STYLE[0];
+        imageData.data[i * 4 + 1] = this.FILL_STYLE[1];
+        imageData.data[i * 4 + 2] = this.FILL_STYLE[2];
+        imageData.data[i * 4 + 3] = (data[i] == 1 ? 255 : 0);
+      }
+      bitmapCtx.putImageData(imageData, 0, 0);
+      bitmapDirty = false;
+    }
+    return bitmap;
+  }
+
+  this.render = function (ctx) {
+    if (this.isVisible()) {
+      var image = this.getBitmap();
+      if (image) {
+        ctx.drawImage(image, this.getX(), this.getY());
+      }
+    }
+  }
+
+}
+
+/** ***************************************************************************
+ * An abstraction for all movable sprite entities that can be animated.
+ *
+ * This structure contains the logics required to make an movable entity to be
+ * animated. Animation can be used in two different modes:
+ *
+ * 1. Automatically animated mode.
+ * 2. Manually animated mode.
+ *
+ * Automatically animated mode where the entity is automatically animated when
+ * enough animation steps have been passed. Manually animated mode will only
+ * act as a placeholder for multiple sprites that must be manually assigned to
+ * make the sprite image to change.
+ *
+ * @param {SpaceInvaders.Game} game A reference to the target game instance.
+ */
+SpaceInvaders.AnimatedMovableSpriteEntity = function (game) {
+  SpaceInvaders.MovableSpriteEntity.call(this, game);
+
+  /** A constant default for the animation step size (0 = disable animation). */
+  this.DEFAULT_ANIMATION_STEP_SIZE = 0;
+
+  /** A definition for animation step (i.e. number of ticks) count. */
+  var animationStepSize = this.DEFAULT_ANIMATION_STEP_SIZE;
+  /** A variable used to keep trakc of  the animation change rate. */
+  var animationCounter = 0;
+
+  /** The index of the current animation frame. */
+  var animationFrameIndex = 0;
+  /** The frames for the animation. */
+  var animationFrames = [];
+
+  /** *************************************************************************
+   * Perform an animation step of the animated entity and change the frame when
+   * and if necessary.This function must be called from the parent scene object.
+   */
+  this.animate = function () {
+    if (animationStepSize > 0) {
+      animationCounter = Math.max(0, animationCounter - 1);
+      if (animationCounter <= 0) {
+        var nextFrame = ((animationFrameIndex + 1) % animationFrames.length);
+        this.setAnimationFrameIndex(nextFrame);
+        animationCounter = animationStepSize;
+      }
+    }
+  }
+
+  /** *************************************************************************
+   * Apply the given step size and clear the current step counter of the animation.
+   * @param {number} newStepSize A new step size for the animated entity.
+   */
+  this.setAnimationStepSize = function (newStepSize) {
+    animationStepSize = newStepSize;
+    animationCounter = animationStepSize;
+  }
+
+  /** *************************************************************************
+   * Specify the currently shown animation frame index.
+   * @param {number} newIndex The index of the animation frame to be shown.
+   */
+  this.setAnimationFrameIndex = function (newIndex) {
+    animationFrameIndex = Math.min(animationFrames.length, newIndex);
+
+    // calculate the dimensions for the next animation frame.
+    var newWidth = animationFrames[animationFrameIndex][2];
+    var newHeight = animationFrames[animationFrameIndex][3];
+    var newX = this.getCenterX() - (newWidth / 2);
+    var newY = this.getCenterY() - (newHeight / 2);
+
+    // assign the next animation frame as the current frame.
+    this.setClipX(animationFrames[animationFrameIndex][0]);
+    this.setClipY(animationFrames[animationFrameIndex][1]);
+    this.setWidth(newWidth);
+    this.setHeight(newHeight);
+    this.setX(newX);
+    this.setY(newY);
+  }
+
+  /** *************************************************************************
+   * Add an new animation frame for the animated entity.
+   * @param {number} clipX The sprite-to-image clip x-coordinate.
+   * @param {number} clipY The sprite-to-image clip y-coordinate.
+   * @param {number} width The width of the sprite.
+   * @param {number} height The height of the sprite.
+   */
+  this.addAnimationFrame = function (clipX, clipY, width, height) {
+    animationFrames.push([clipX, clipY, width, height]);
+  }
+
+  /** *************************************************************************
+   * Clear all available animation frames from the entity.
+   */
+  this.clearAnimationFrames = function () {
+    animationFrames = [];
+  }
+
+  this.getAnimationStepSize = function () { return animationStepSize; }
+  this.getAnimationFrameIndex = function () { return animationFrameIndex; }
+  this.getAnimationFrames = function () { return animationFrames; }
+}
+
+/** ***************************************************************************
+ * An alien within the alien formation.
+ *
+ * Alien knows its position (row and column) within the formation of the wave
+ * it belongs to, which is used to select the aliens that fire the alien shots.
+ * Alien also knows how many points the player earns by destroying the alien.
+ *
+ * @param {SpaceInvaders.Game} game A reference to the root game instance.
+ */
+SpaceInvaders.AlienEntity = function (game) {
+  SpaceInvaders.AnimatedMovableSpriteEntity.call(this, game);
+
+  /** The row of the alien within the formation. */
+  var row = 0;
+  /** The column of the alien within the formation. */
+  var column = 0;
+  /** The amount of points earned by destroying the alien. */
+  var points = 0;
+
+  this.getRow = function () { return row; }
+  this.getColumn = function () { return column; }
+  this.getPoints = function () { return points; }
+
+  this.setRow = function (newRow) { row = newRow; }
+  this.setColumn = function (newColumn) { column = newColumn; }
+  this.setPoints = function (newPoints) { points = newPoints; }
+}
+
+SpaceInvaders.AvatarLaser = function (game) {
+  SpaceInvaders.AnimatedMovableSpriteEntity.call(this, game);
+
+  /** A constant shape of the pixels consumed from the shields by the explosion. */
+  this.EXPLOSION_STAMP = [
+    "#...#..#",
+    "..#...#.",
+    ".######.",
+    "########",
+    "########",
+    ".######.",
+    "..#..#..",
+    "#..#...#"
+  ];
+
+  /** *************************************************************************
+   * Explode (i.e. destroy) the avatar laser shot explosion animation.
+   *
+   * This animation replaces the currently shown sprite or sprite animation
+   * with an sprite that indicates that the player shot is exploding. It
+   * will also trigger a timer after which the player shot will be disabled.
+   */
+  this.explode = function () {
+    this.setAnimationStepSize(0);
+    this.setAnimationFrameIndex(3);
+    this.setEnabled(false);
+    this.setDisappearCountdown(10);
+    this.setDirectionX(0);
+    this.setDirectionY(0);
+  }
+
+}
+
+/** ***************************************************************************
+ * A power-up capsule dropped by the aliens in the deluxe rules.
+ *
+ * Capsule falls down towards the avatars and gives its power-up to the avatar
+ * that collects it. The sprite sheet does not contain a capsule sprite, so the
+ * capsule is drawn as a colored box with the letter of its power-up.
+ *
+ * @param {SpaceInvaders.Game} game A reference to the target game instance.
+ */
+SpaceInvaders.CapsuleEntity = function (game) {
+  SpaceInvaders.MovableSpriteEntity.call(this, game);
+
+  /** A constant definition of the letter and the fill style of each power-up. */
+  this.STYLES = {
+    spread: { letter: "S", fillStyle: "#20ff20" },
+    rapid: { letter: "R", fillStyle: "#ffff20" },
+    barrier: { letter: "B", fillStyle: "#20c0ff" },
+    repair: { letter: "+", fillStyle: "#ff40ff" }
+  };
+
+  /** The power-up given by the capsule. */
+  var powerUp = "spread";
+
+  this.render = function (ctx) {
+    if (this.isVisible()) {
+      var style = this.STYLES[powerUp];
+      ctx.fillStyle = style.fillStyle;
+      ctx.fillRect(this.getX(), this.getY(), this.getWidth(), this.getHeight());
+      ctx.fillStyle = "black";
+      ctx.font = "12pt monospace";
+      ctx.textAlign = "center";
+      ctx.fillText(style.letter, this.getCenterX(), this.getY() + this.getHeight() - 3);
+    }
+  }
+
+  this.getPowerUp = function () { return powerUp; }
+
+  this.setPowerUp = function (newPowerUp) { powerUp = newPowerUp; }
+}
+
+/** ***************************************************************************
+ * A temporary barrier above the avatar in the deluxe rules.
+ *
+ * Barrier follows the avatar and stops the alien shots before they reach the
+ * avatar. It is drawn as a thin bar, as there is no sprite for the barrier.
+ *
+ * @param {SpaceInvaders.Game} game A reference to the target game instance.
+ */
+SpaceInvaders.BarrierEntity = function (game) {
+  SpaceInvaders.SpriteEntity.call(this, game);
+
+  /** A constant fill style (i.e. color) of the barrier. */
+  this.FILL_STYLE = "#20c0ff";
+
+  this.render = function (ctx) {
+    if (this.isVisible()) {
+      ctx.fillStyle = this.FILL_STYLE;
+      ctx.fillRect(this.getX(), this.getY(), this.getWidth(), this.getHeight());
+    }
+  }
+}
+
+/** ***************************************************************************
+ * A lightweight particle system for the explosion effects.
+ *
+ * Particles are small squares that burst out from the given position, fall
+ * down with a slight gravity and disappear after their lifetime. They are
+ * only a visual effect, so they are not collided with anything and they draw
+ * their randomness from the given generator instead of the seeded generator
+ * of the game simulation, which keeps the games and the replays unchanged.
+ *
+ * @param {SpaceInvaders.Game} game A reference to the target game instance.
+ * @param {SpaceInvaders.Random} random The generator for the particle bursts.
+ */
+SpaceInvaders.ParticleSystem = function (game, random) {
+  SpaceInvaders.Entity.call(this, game);
+
+  /** A constant maximum amount of particles (the oldest ones are dropped). */
+  this.MAX_PARTICLES = 256;
+  /** A constant size of a particle in pixels. */
+  this.PARTICLE_SIZE = 3;
+  /** A constant minimum lifetime of a particle in ticks. */
+  this.MIN_TICKS = 20;
+  /** A constant maximum lifetime of a particle in ticks. */
+  this.MAX_TICKS = 40;
+  /** A constant downwards acceleration of the particles. */
+  this.GRAVITY = 0.0005;
+
+  /** The living particles i.e. {x, y, velocityX, velocityY, ticks, fillStyle}. */
+  var particles = [];
+
+  /** *************************************************************************
+   * Burst the given amount of particles from the given position.
+   * @param {number} x The x-coordinate of the burst center.
+   * @param {number} y The y-coordinate of the burst center.
+   * @param {number} count The amount of particles to be emitted.
+   * @param {string} fillStyle The fill style (i.e. color) of the particles.
+   * @param {number} speed The maximum velocity of the particles.
+   */
+  this.emit = function (x, y, count, fillStyle, speed) {
+    for (var i = 0; i < count; i++) {
+      var angle = (random.next() * Math.PI * 2);
+      var velocity = (speed * (0.25 + random.next() * 0.75));
+      particles.push({
+        x: x,
+        y: y,
+        velocityX: Math.cos(angle) * velocity,
+        velocityY: Math.sin(angle) * velocity,
+        ticks: this.MIN_TICKS + random.nextInt(this.MAX_TICKS - this.MIN_TICKS + 1),
+        fillStyle: fillStyle
+      });
+    }
+    if (particles.length > this.MAX_PARTICLES) {
+      particles.splice(0, particles.length - this.MAX_PARTICLES);
+    }
+  }
+
+  /** *************************************************************************
+   * Update (i.e. tick) the movement and the lifetime of the particles.
+   * @param {number} dt The delta time from the previous tick operation.
+   */
+  this.update = function (dt) {
+    for (var i = particles.length - 1; i >= 0; i--) {
+      var particle = particles[i];
+      particle.ticks--;
+      if (particle.ticks <= 0) {
+        particles.splice(i, 1);
+      } else {
+        particle.velocityY += this.GRAVITY * dt;
+        particle.x += particle.velocityX * dt;
+        particle.y += particle.velocityY * dt;
+      }
+    }
+  }
+
+  this.render = function (ctx) {
+    for (var i = 0; i < particles.length; i++) {
+      ctx.fillStyle = particles[i].fillStyle;
+      ctx.fillRect(Math.round(particles[i].x), Math.round(particles[i].y), this.PARTICLE_SIZE, this.PARTICLE_SIZE);
+    }
+  }
+
+  /** *************************************************************************
+   * Remove all the particles.
+   */
+  this.clear = function () {
+    particles = [];
+  }
+
+  this.getParticles = function () { return particles; }
+}
+
+/** ***************************************************************************
+ * A textual entity for all texts used in the Space Invaders game.
+ *
+ * This class presents a textual entity within the game scene. It does really
+ * an encapsulation of the 2d drawing context textual presentation functions.
+ *
+ * @param {SpaceInvaders.Game} game A reference to the target game instance.
+ */
+SpaceInvaders.TextEntity = function (game) {
+  SpaceInvaders.Entity.call(this, game);
+
+  /** A constant default value for the text to be drawn. */
+  this.DEFAULT_TEXT = "";
+  /** A constant default fill style (i.e. color) for the text. */
+  this.DEFAULT_FILL_STYLE = "white";
+  /** A constant default font definition for the text. */
+  this.DEFAULT_FONT = "24pt monospace";
+  /** A constant default text alignment for the rendering. */
+  this.DEFAULT_ALIGN = "start";
+  /** A constant default visibility state for the text. */
+  this.DEFAULT_VISIBLE = true;
+  /** A constant amount of toggles to perform after #blink is called. */
+  this.DEFAULT_BLINK_COUNT = 30;
+  /** A constant amount of updates (i.e. interval) between the blinking. */
+  this.DEFAULT_BLINK_FREQUENCY = 5;
+
+  /** The text to be rendered. */
+  var text = this.DEFAULT_TEXT;
+  /** The fill style (i.e. color) used to draw the text. */
+  var fillStyle = this.DEFAULT_FILL_STYLE;
+  /** The target font description i.e. size, font family, etc. */
+  var font = this.DEFAULT_FONT;
+  /** The text align definition (start|end|center|left|right). */
+  var align = this.DEFAULT_ALIGN;
+  /** The definition whether the entity should be rendered. */
+  var visible = this.DEFAULT_VISIBLE;
+  /** The amount of remaining blinks (visible/invisible toggles). */
+  var blinks = 0;
+  /** The blink timer that will perform the blink frequency calculation. */
+  var blinkTimer = 0;
+  /** Amount of blinks to be perfomed after #blink is called (-1: infinite).*/
+  var blinkCount = this.DEFAULT_BLINK_COUNT;
+  /** The amount of updates (i.e. interval) between the blinks. */
+  var blinkFrequency = this.DEFAULT_BLINK_FREQUENCY;
+
+  /** *************************************************************************
+   * Update (i.e. tick) the the logic within the entity.
+   * @param {double} dt The delta time from the previous tick operation.
+   */
+  this.update = function (dt) {
+    if (blinks > 0 || blinks == -1) {
+      blinkTimer--;
+      if (blinkTimer == 0) {
+        this.setVisible(!this.isVisible());
+        blinks--;
+        blinks = Math.max(blinks, -1);
+        if (blinks > 0 || blinks == -1) {
+          blinkTimer = blinkFrequency;
+        }
+      }
+    }
+  }
+
+  /** *************************************************************************
+   * Render (i.e. draw) the text on the screen.
+   * @param {CanvasRenderingContext2D} ctx The drawing context to use.
+   */
+  this.render = function (ctx) {
+    if (this.isVisible()) {
+      ctx.fillStyle = this.getFillStyle();
+      ctx.textAlign = this.getAlign();
+      ctx.font = this.getFont();
+      ctx.fillText(this.getText(), this.getX(), this.getY());
+    }
+  }
+
+  /** *************************************************************************
+   * Start blinking (i.e. toggling visible/invisible).
+   *
+   * After this function is called, the target entity will start to blink if it
+   * is currently visible. If the entity is already blinking then the amount of
+   * remaining blinks will be reset back to the amount of the this.BLINK_COUNT.
+   */
+  this.blink = function () {
+    if (this.isVisible() || blinks > 0) {
+      this.setVisible(true);
+      blinks = blinkCount;
+      blinkTimer = blinkFrequency;
+    }
+  }
+
+  /** *************************************************************************
+   * Check whether the given point is within the bounds of the text.
+   *
+   * The bounds are estimated from the font size and the amount of characters,
+   * as the text metrics are not available without a drawing context. This is
+   * accurate enough for monospace fonts, which are used throughout the game.
+   * A small tolerance is added around the bounds to ease e.g. tapping.
+   *
+   * @param {number} pointX The x-coordinate of the point.
+   * @param {number} pointY The y-coordinate of the point.
+   * @return {boolean} A definition whether the point is within the text.
+   */
+  this.containsPoint = function (pointX, pointY) {
+    var size = (parseFloat(font) || 24) * (4 / 3);
+    var width = (text.length * size * 0.6);
+    var left = this.getX();
+    if (align == "center") {
+      left -= (width / 2);
+    } else if (align == "right" || align == "end") {
+      left -= width;
+    }
+    var tolerance = 10;
+    return pointX >= (left - tolerance)
+      && pointX <= (left + width + tolerance)
+      && pointY >= (this.getY() - size - tolerance)
+      && pointY <= (this.getY() + tolerance);
+  }
+
+  /** *************************************************************************
+   * Check whether any of the given taps is within the bounds of the text.
+   * @param {Object[]} taps A list of {x, y} taps in the game coordinates.
+   * @return {boolean} A definition whether the text was tapped.
+   */
+  this.isTapped = function (taps) {
+    for (var i = 0; i < taps.length; i++) {
+      if (this.containsPoint(taps[i].x, taps[i].y)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  this.getText = function () { return text; }
+  this.getFillStyle = function () { return fillStyle; }
+  this.getFont = function () { return font; }
+  this.getAlign = function () { return align; }
+  this.isVisible = function () { return visible; }
+  this.getBlinkCount = function () { return blinkCount; }
+  this.getBlinkFrequency = function () { return blinkFrequency; }
+
+  this.setText = function (newText) { text = newText; }
+  this.setFillStyle = function (newStyle) { fillStyle = newStyle; }
+  this.setFont = function (newFont) { font = newFont; }
+  this.setAlign = function (newAlign) { align = newAlign; }
+  this.setVisible = function (newVisible) { visible = newVisible; }
+  this.setBlinkCount = function (newCount) { blinkCount = newCount; }
+  this.setBlinkFrequency = function (newFreq) { blinkFrequency = newFreq; }
+}
+
+/** ***************************************************************************
+ * An overlay entity that shows the touch zones on top of the game field.
+ *
+ * The overlay is drawn with a low opacity, so it gives players a hint where
+ * to touch without hiding the actual game contents. Zones are taken from the
+ * touch zone definitions of the input manager.
+ *
+ * @param {SpaceInvaders.Game} game A reference to the target game instance.
+ */
+SpaceInvaders.TouchOverlay = function (game) {
+  SpaceInvaders.Entity.call(this, game);
+
+  /** A constant definition of the labels for each touch zone. */
+  this.LABELS = {
+    TouchPause: "II",
+    TouchLeft: "<",
+    TouchRight: ">",
+    TouchFire: "FIRE"
+  };
+  /** A constant y-coordinate of the zone labels. */
+  this.LABEL_Y = 700;
+
+  /** *************************************************************************
+   * Render (i.e. draw) the touch zones on the screen.
+   * @param {CanvasRenderingContext2D} ctx The drawing context to use.
+   */
+  this.render = function (ctx) {
+    var input = game.getInput();
+    var zones = input.TOUCH_ZONES;
+    ctx.save();
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.15)";
+    ctx.fillStyle = "rgba(255, 255, 255, 0.3)";
+    ctx.textAlign = "center";
+    ctx.font = "24pt monospace";
+    for (var i = 0; i < zones.length; i++) {
+      var zone = zones[i];
+      var labelY = Math.min(this.LABEL_Y, zone.y + zone.height - 12);
+      ctx.strokeRect(zone.x + 0.5, zone.y + 0.5, zone.width - 1, zone.height - 1);
+      ctx.fillText(this.LABELS[zone.code], zone.x + zone.width / 2, labelY);
+    }
+    ctx.restore();
+  }
+}
+
+/** ***************************************************************************
+ * A loading state for the Space Invaders game.
+ *
+ * This state is shown while the external assets (e.g. the sprite sheet) are
+ * being loaded by the asset manager of the game. It shows the progress of the
+ * loading and proceeds into the welcome state after all assets are loaded.
+ * When any of the assets fails to load, the failed assets are listed along
+ * with an instruction to retry the loading with the confirm action (or by
+ * tapping the instruction), instead of showing an empty screen.
+ *
+ * @param {SpaceInvaders.Game} game A reference to the root game instance.
+ */
+SpaceInvaders.LoadingState = function (game) {
+  /** A reference to the root game instance. */
+  this.game = game;
+
+  /** A constant x-coordinate of the progress bar. */
+  this.BAR_X = 136;
+  /** A constant y-coordinate of the progress bar. */
+  this.BAR_Y = 400;
+  /** A constant width of the progress bar. */
+  this.BAR_WIDTH = 400;
+  /** A constant height of the progress bar. */
+  this.BAR_HEIGHT = 24;
+  /** A constant maximum amount of the listed failed assets. */
+  this.MAX_FAILED_ROWS = 5;
+  /** A constant fill style of the error texts. */
+  this.ERROR_FILL_STYLE = "#ff2020";
+
+  /** The progress [0, 1] of the loading. */
+  var progress = 0;
+  /** A definition whether any of the assets has failed to load. */
+  var failed = false;
+
+  var captionText;
+  var progressText;
+  var failedTexts = [];
+  var retryText;
+
+  // initialize the caption text.
+  captionText = new SpaceInvaders.TextEntity(game);
+  captionText.setText("LOADING");
+  captionText.setAlign("center");
+  captionText.setX(SpaceInvaders.WIDTH / 2);
+  captionText.setY(350);
+
+  // initialize the percentage text below the progress bar.
+  progressText = new SpaceInvaders.TextEntity(game);
+  progressText.setText("0%");
+  progressText.setAlign("center");
+  progressText.setFont("18pt monospace");
+  progressText.setX(captionText.getX());
+  progressText.setY(this.BAR_Y + this.BAR_HEIGHT + 40);
+
+  // initialize the texts that list the failed assets.
+  for (var i = 0; i < this.MAX_FAILED_ROWS; i++) {
+    var failedText = new SpaceInvaders.TextEntity(game);
+    failedText.setAlign("center");
+    failedText.setFont("18pt monospace");
+    failedText.setFillStyle(this.ERROR_FILL_STYLE);
+    failedText.setX(captionText.getX());
+    failedText.setY(420 + i * 30);
+    failedTexts.push(failedText);
+  }
+
+  // initialize the instruction to retry the loading.
+  retryText = new SpaceInvaders.TextEntity(game);
+  retryText.setAlign("center");
+  retryText.setFont("18pt monospace");
+  retryText.setX(captionText.getX());
+  retryText.setY(650);
+
+  /** *************************************************************************
+   * Update (i.e. tick) the the logic within the state.
+   * @param {double} dt The delta time from the previous tick operation.
+   */
+  this.update = function (dt) {
+    var assets = game.getAssets();
+    var input = game.getInput();
+    progress = assets.getProgress();
+    progressText.setText(Math.floor(progress * 100) + "%");
+    switch (assets.getState()) {
+      case assets.LOADED:
+        game.getScene().setState(new SpaceInvaders.WelcomeState(game));
+        break;
+      case assets.FAILED:
+        if (!failed) {
+          this.showFailure(assets.getFailedAssets());
+        } else if (input.wasPressed(input.CONFIRM) || retryText.isTapped(input.getTaps())) {
+          this.retry();
+        }
+        break;
+    }
+  }
+
+  /** *************************************************************************
+   * Show the given failed assets and the instruction to retry the loading.
+   * @param {string[]} urls The URLs of the failed assets.
+   */
+  this.showFailure = function (urls) {
+    var input = game.getInput();
+    failed = true;
+    captionText.setText("LOADING FAILED");
+    captionText.setFillStyle(this.ERROR_FILL_STYLE);
+    for (var i = 0; i < failedTexts.length; i++) {
+      failedTexts[i].setText(i < urls.length ? urls[i].toUpperCase() : "");
+    }
+    retryText.setText(input.isTouchEnabled() ? "TAP HERE TO RETRY"
+      : ("PRESS [" + input.getKeyName(input.CONFIRM) + "] TO RETRY"));
+  }
+
+  /** *************************************************************************
+   * Hide the failure and load the failed assets again.
+   */
+  this.retry = function () {
+    failed = false;
+    captionText.setText("LOADING");
+    captionText.setFillStyle("white");
+    game.loadAssets();
+  }
+
+  /** *************************************************************************
+   * Render (i.e. draw) the state on the screen.
+   * @param {CanvasRenderingContext2D} ctx The drawing context to use.
+   */
+  this.render = function (ctx) {
+    captionText.render(ctx);
+    if (failed) {
+      for (var i = 0; i < failedTexts.length; i++) {
+        failedTexts[i].render(ctx);
+      }
+      retryText.render(ctx);
+    } else {
+      ctx.strokeStyle = "white";
+      ctx.strokeRect(this.BAR_X, this.BAR_Y, this.BAR_WIDTH, this.BAR_HEIGHT);
+      ctx.fillStyle = "white";
+      ctx.fillRect(this.BAR_X, this.BAR_Y, this.BAR_WIDTH * progress, this.BAR_HEIGHT);
+      progressText.render(ctx);
+    }
+  }
+
+  /** *************************************************************************
+   * A function that is called when the state is being entered.
+   *
+   * This function is called before the state is being updated (i.e. ticked)
+   * for a first time. This makes it an ideal place to put all listener logic.
+   */
+  this.enter = function () {
+    // ...
+  }
+
+  /** *************************************************************************
+   * A function that is called when the state is being exited.
+   *
+   * This function is called after the state is being updated (i.e. ticked)
+   * for the last time. This makes it an ideal place to cleanup listeners etc.
+   */
+  this.exit = function () {
+    // ...
+  }
+
+  this.isFailed = function () { return failed; }
+  this.getProgress = function () { return progress; }
+}
+
+/** ***************************************************************************
+ * A welcome state for the Space Invaders game.
+ *
+ * This state contains the definitions required to show the welcoming message
+ * to the user(s). It contains the game name along with the score instructions
+ * and an instruction how to start the game. The difficulty preset of the next
+ * game is changed with the left and right actions (or by tapping it). Games
+ * can only be started when there are enough credits for them (a credit for
+ * each player), so only the affordable instructions are shown. It does not
+ * however contain a complex set of game logics as the actual game simulation
+ * is not required.
+ *
+ * @param {SpaceInvaders.Game} game A reference to the root game instance.
+ */
+SpaceInvaders.WelcomeState = function (game) {
+  /** A reference to the root game instance. */
+  this.game = game;
+
+  /** A constant amount of ticks before the shown page is being rotated. */
+  this.PAGE_TICKS = (60 * 8);
+  /** A constant amount of idle ticks before the demo game is started. */
+  this.DEMO_IDLE_TICKS = (60 * 20);
+  /** A constant amount of credits needed for a single player game. */
+  this.SINGLE_PLAYER_CREDITS = 1;
+  /** A constant amount of credits needed for a two player game. */
+  this.MULTI_PLAYER_CREDITS = 2;
+
+  /** A counter of ticks before the shown page is being rotated. */
+  var pageCounter = this.PAGE_TICKS;
+  /** A counter of idle ticks before the demo game is started. */
+  var idleCounter = this.DEMO_IDLE_TICKS;
+  /** A definition whether the hi-score page is currently shown. */
+  var hiScorePageVisible = false;
+  /** The saved game (if any) that can be continued. */
+  var savedGame = game.getSaveGame().load();
+
+  var playText;
+  var nameText;
+  var difficultyText;
+  var singlePlayerText;
+  var multiPlayerText;
+  var coopText;
+  var versusText;
+  var controlsText;
+  var tableCaptionText;
+  var tableRow1Sprite;
+  var tableRow1Text;
+  var tableRowS2prite;
+  var tableRow2Text;
+  var tableRow3Sprite;
+  var tableRow3Text;
+  var tableRow4Sprite;
+  var tableRow4Text;
+  var hiScoreCaptionText;
+  var hiScoreRowTexts;
+  var optionsText;
+  var continueText;
+
+  // initialize the play game text.
+  playText = new SpaceInvaders.TextEntity(game);
+  playText.setText("PLAY");
+  playText.setAlign("center");
+  playText.setX(SpaceInvaders.WIDTH / 2);
+  playText.setY(175);
+
+  // initialize the game name text.
+  nameText = new SpaceInvaders.TextEntity(game);
+  nameText.setText("HTML5 SPACE INVADERS");
+  nameText.setAlign("center");
+  nameText.setFillStyle("#20ff20");
+  nameText.setX(playText.getX());
+  nameText.setY(playText.getY() + 55);
+
+  // initialize the text that shows the selected difficulty preset.
+  difficultyText = new SpaceInvaders.TextEntity(game);
+  difficultyText.setAlign("center");
+  difficultyText.setFont("18pt monospace");
+  difficultyText.setX(playText.getX());
+  difficultyText.setY(nameText.getY() + 35);
+
+  // initialize the single player text.
+  singlePlayerText = new SpaceInvaders.TextEntity(game);
+  singlePlayerText.setText("PRESS [1] FOR A 1 PLAYER GAME");
+  singlePlayerText.setAlign("center");
+  singlePlayerText.setX(playText.getX());
+  singlePlayerText.setY(difficultyText.getY() + 45);
+  singlePlayerText.setBlinkCount(-1);
+  singlePlayerText.setBlinkFrequency(30);
+  singlePlayerText.blink();
+
+  // initialize the multiplayer text.
+  multiPlayerText = new SpaceInvaders.TextEntity(game);
+  multiPlayerText.setText("PRESS [2] FOR A 2 PLAYER GAME");
+  multiPlayerText.setAlign("center");
+  multiPlayerText.setX(playText.getX());
+  multiPlayerText.setY(singlePlayerText.getY() + 35);
+  multiPlayerText.setBlinkCount(-1);
+  multiPlayerText.setBlinkFrequency(30);
+  multiPlayerText.blink();
+
+  // initialize the co-op (i.e. simultaneous two player) text.
+  coopText = new SpaceInvaders.TextEntity(game);
+  coopText.setText("PRESS [3] FOR A 2 PLAYER CO-OP");
+  coopText.setAlign("center");
+  coopText.setX(playText.getX());
+  coopText.setY(multiPlayerText.getY() + 35);
+  coopText.setBlinkCount(-1);
+  coopText.setBlinkFrequency(30);
+  coopText.blink();
+
+  // initialize the online versus text.
+  versusText = new SpaceInvaders.TextEntity(game);
+  versusText.setText("PRESS [V] FOR ONLINE VERSUS");
+  versusText.setAlign("center");
+  versusText.setX(playText.getX());
+  versusText.setY(coopText.getY() + 35);
+  versusText.setBlinkCount(-1);
+  versusText.setBlinkFrequency(30);
+  versusText.blink();
+
+  controlsText = new SpaceInvaders.TextEntity(game);
+  controlsText.setAlign("center");
+  controlsText.setX(playText.getX());
+  controlsText.setY(versusText.getY() + 45);
+
+  // initiailize the score advance table text.
+  tableCaptionText = new SpaceInvaders.TextEntity(game);
+  tableCaptionText.setText("-- SCORE ADVANCE TABLE --");
+  tableCaptionText.setAlign("center");
+  tableCaptionText.setX(playText.getX());
+  tableCaptionText.setY(controlsText.getY() + 75);
+
+  // initialize the 1st table row sprite image.
+  tableRow1Sprite = new SpaceInvaders.SpriteEntity(game);
+  tableRow1Sprite.setImage(game.getSpriteSheet());
+  tableRow1Sprite.setX(playText.getX() - 130);
+  tableRow1Sprite.setY(tableCaptionText.getY() + 25);
+  tableRow1Sprite.setWidth(43);
+  tableRow1Sprite.setHeight(19);
+  tableRow1Sprite.setClipX(5);
+  tableRow1Sprite.setClipY(92);
+
+  // initialize the 1st table row text.
+  tableRow1Text = new SpaceInvaders.TextEntity(game);
+  tableRow1Text.setText("= ?  MYSTERY");
+  tableRow1Text.setX(tableRow1Sprite.getX() + 10 + tableRow1Sprite.getWidth());
+  tableRow1Text.setY(tableRow1Sprite.getY() + 20);
+
+  // initialize the 2nd table row sprite image.
+  tableRow2Sprite = new SpaceInvaders.SpriteEntity(game);
+  tableRow2Sprite.setImage(game.getSpriteSheet());
+  tableRow2Sprite.setX(playText.getX() - 120);
+  tableRow2Sprite.setY(tableRow1Sprite.getY() + 35);
+  tableRow2Sprite.setWidth(24);
+  tableRow2Sprite.setHeight(24);
+  tableRow2Sprite.setClipX(5);
+  tableRow2Sprite.setClipY(63);
+
+  // initialize the 2nd table row text.
+  tableRow2Text = new SpaceInvaders.TextEntity(game);
+  tableRow2Text.setText("= 30 POINTS");
+  tableRow2Text.setX(tableRow1Text.getX());
+  tableRow2Text.setY(tableRow2Sprite.getY() + 22);
+
+  // initialize the 3rd table row sprite image.
+  tableRow3Sprite = new SpaceInvaders.SpriteEntity(game);
+  tableRow3Sprite.setImage(game.getSpriteSheet());
+  tableRow3Sprite.setX(playText.getX() - 125);
+  tableRow3Sprite.setY(tableRow2Sprite.getY() + 35);
+  tableRow3Sprite.setWidth(33);
+  tableRow3Sprite.setHeight(24);
+  tableRow3Sprite.setClipX(5);
+  tableRow3Sprite.setClipY(34);
+
+  // initialize the 3rd table row text.
+  tableRow3Text = new SpaceInvaders.TextEntity(game);
+  tableRow3Text.setText("= 20 POINTS");
+  tableRow3Text.setX(tableRow1Text.getX());
+  tableRow3Text.setY(tableRow3Sprite.getY() + 22);
+
+  // initialize the 4th table row sprite image.
+  tableRow4Sprite = new SpaceInvaders.SpriteEntity(game);
+  tableRow4Sprite.setImage(game.getSpriteSheet());
+  tableRow4Sprite.setX(playText.getX() - 125);
+  tableRow4Sprite.setY(tableRow3Sprite.getY() + 35);
+  tableRow4Sprite.setWidth(36);
+  tableRow4Sprite.setHeight(24);
+  tableRow4Sprite.setClipX(5);
+  tableRow4Sprite.setClipY(5);
+
+  // initialize the 4th table row text.
+  tableRow4Text = new SpaceInvaders.TextEntity(game);
+  tableRow4Text.setText("= 10 POINTS");
+  tableRow4Text.setX(tableRow1Text.getX());
+  tableRow4Text.setY(tableRow4Sprite.getY() + 22);
+
+  // initialize the hi-score table caption text.
+  hiScoreCaptionText = new SpaceInvaders.TextEntity(game);
+  hiScoreCaptionText.setText("-- HI-SCORE TABLE --");
+  hiScoreCaptionText.setAlign("center");
+  hiScoreCaptionText.setX(playText.getX());
+  hiScoreCaptionText.setY(controlsText.getY());
+
+  /** *************************************************************************
+   * Refresh the text rows from the hi-score table of the selected difficulty.
+   */
+  this.refreshHiScoreRows = function () {
+    hiScoreRowTexts = [];
+    var hiScoreEntries = game.getHiScoreTable().getEntries();
+    for (var i = 0; i < hiScoreEntries.length; i++) {
+      var rowText = new SpaceInvaders.TextEntity(game);
+      var rank = (i + 1).toString();
+      rank = (rank.length < 2 ? " " + rank : rank);
+      rowText.setText(rank + ". " + hiScoreEntries[i].name + "  "
+        + SpaceInvaders.toScoreString(hiScoreEntries[i].score));
+      rowText.setAlign("center");
+      rowText.setFont("18pt monospace");
+      rowText.setX(playText.getX());
+      rowText.setY(hiScoreCaptionText.getY() + 40 + (i * 26));
+      hiScoreRowTexts.push(rowText);
+    }
+    hiScorePageVisible = (hiScorePageVisible && hiScoreRowTexts.length > 0);
+  }
+
+  // initialize a text row for each entry of the persisted hi-score table.
+  this.refreshHiScoreRows();
+
+  // initialize the text that describes how to open the options (the credit is at the right).
+  optionsText = new SpaceInvaders.TextEntity(game);
+  optionsText.setFont("18pt monospace");
+  optionsText.setX(27);
+  optionsText.setY(758);
+
+  // initialize the text that offers to continue the saved game (if any).
+  continueText = new SpaceInvaders.TextEntity(game);
+  continueText.setAlign("center");
+  continueText.setFillStyle("#20ff20");
+  continueText.setX(playText.getX());
+  continueText.setY(playText.getY() - 50);
+  continueText.setVisible(savedGame !== undefined);
+
+  /** *************************************************************************
+   * Update (i.e. tick) the the logic within the state.
+   * @param {double} dt The delta time from the previous tick operation.
+   */
+  this.update = function (dt) {
+    playText.update(dt);
+    nameText.update(dt);
+    singlePlayerText.update(dt);
+    multiPlayerText.update(dt);
+    coopText.update(dt);
+    versusText.update(dt);
+    controlsText.update(dt);
+    tableCaptionText.update(dt);
+    this.refreshHints();
+
+    // rotate between the score advance and hi-score pages (if any scores).
+    pageCounter--;
+    if (pageCounter <= 0) {
+      pageCounter = this.PAGE_TICKS;
+      hiScorePageVisible = (!hiScorePageVisible && hiScoreRowTexts.length > 0);
+    }
+
+    // start the game when the amount of players has been selected.
+    var input = game.getInput();
+    var taps = input.getTaps();
+    var replay = game.getReplay();
+    idleCounter = (input.anyPressed() || taps.length > 0 ? this.DEMO_IDLE_TICKS : idleCounter - 1);
+    if ((input.wasPressed(input.START_1P) || singlePlayerText.isTapped(taps))
+      && game.useCredits(this.SINGLE_PLAYER_CREDITS)) {
+      game.startGame(1);
+    } else if ((input.wasPressed(input.START_2P) || multiPlayerText.isTapped(taps))
+      && game.useCredits(this.MULTI_PLAYER_CREDITS)) {
+      game.startGame(2);
+    } else if ((input.wasPressed(input.START_COOP) || coopText.isTapped(taps))
+      && game.useCredits(this.MULTI_PLAYER_CREDITS)) {
+      game.startGame(2, undefined, true);
+    } else if (input.wasPressed(input.MOVE_LEFT)) {
+      this.changeDifficulty(-1);
+    } else if (input.wasPressed(input.MOVE_RIGHT) || difficultyText.isTapped(taps)) {
+      this.changeDifficulty(1);
+    } else if ((input.wasPressed(input.VERSUS) || versusText.isTapped(taps))
+      && game.hasCredits(this.SINGLE_PLAYER_CREDITS)) {
+      game.getScene().setState(new SpaceInvaders.VersusState(game));
+    } else if ((input.wasPressed(input.CONTINUE) || continueText.isTapped(taps))
+      && continueText.isVisible() && game.useCredits(savedGame.playerCount)) {
+      game.continueGame();
+    } else if (input.wasPressed(input.REPLAY) && replay && replay.getLength() > 0) {
+      game.playReplay(replay);
+    } else if (input.wasPressed(input.OPTIONS) || optionsText.isTapped(taps)) {
+      game.getScene().setState(new SpaceInvaders.OptionsState(game));
+    } else if (idleCounter <= 0) {
+      // run the demo game (attract mode) when nobody has played for a while.
+      game.startDemo();
+    }
+  }
+
+  /** *************************************************************************
+   * Select the previous or the next difficulty preset (wraps around).
+   * @param {number} offset The offset of the preset to be selected {-1|1}.
+   */
+  this.changeDifficulty = function (offset) {
+    var difficulties = game.getDifficulties();
+    var index = difficulties.indexOf(game.getDifficulty()) + offset;
+    index = ((index % difficulties.length) + difficulties.length) % difficulties.length;
+    game.selectDifficulty(difficulties[index].id);
+    this.refreshHiScoreRows();
+  }
+
+  /** *************************************************************************
+   * Refresh the instruction texts based on the available input devices.
+   *
+   * Gamepads can be connected and disconnected at any time, so this function
+   * is called on each tick to show the instructions for the correct device.
+   * Keyboard instructions are built from the current (rebindable) bindings.
+   */
+  this.refreshHints = function () {
+    var input = game.getInput();
+    difficultyText.setText("DIFFICULTY: < " + game.getDifficulty().name + " >");
+    if (input.isTouchEnabled()) {
+      singlePlayerText.setText("TAP HERE FOR 1 PLAYER");
+      multiPlayerText.setText("TAP HERE FOR 2 PLAYERS");
+      coopText.setText("TAP HERE FOR 2 PLAYER CO-OP");
+      versusText.setText("TAP HERE FOR ONLINE VERSUS");
+      controlsText.setText("TOUCH ZONES TO MOVE AND FIRE");
+      optionsText.setText("TAP HERE FOR OPTIONS");
+      continueText.setText("TAP HERE TO CONTINUE");
+    } else if (input.getGamepadCount() > 0) {
+      singlePlayerText.setText("PRESS (START) FOR 1 PLAYER");
+      multiPlayerText.setText("PRESS (SELECT) FOR 2 PLAYERS");
+      coopText.setText("PRESS (RB) FOR 2 PLAYER CO-OP");
+      versusText.setText("PRESS (LT) FOR ONLINE VERSUS");
+      controlsText.setText("USE D-PAD AND (A) TO PLAY");
+      optionsText.setText("PRESS (Y) FOR OPTIONS");
+      continueText.setText("PRESS (LB) TO CONTINUE");
+    } else {
+      singlePlayerText.setText("PRESS [" + input.getKeyName(input.START_1P) + "] FOR A 1 PLAYER GAME");
+      multiPlayerText.setText("PRESS [" + input.getKeyName(input.START_2P) + "] FOR A 2 PLAYER GAME");
+      coopText.setText("PRESS [" + input.getKeyName(input.START_COOP) + "] FOR A 2 PLAYER CO-OP");
+      versusText.setText("PRESS [" + input.getKeyName(input.VERSUS) + "] FOR ONLINE VERSUS");
+      controlsText.setText("USE " + input.getKeyName(input.MOVE_LEFT) + "/"
+        + input.getKeyName(input.MOVE_RIGHT) + " AND "
+        + input.getKeyName(input.FIRE) + " TO PLAY");
+      continueText.setText("PRESS [" + input.getKeyName(input.CONTINUE) + "] TO CONTINUE");
+      var replay = game.getReplay();
+      if (replay && replay.getLength() > 0) {
+        optionsText.setText("PRESS [" + input.getKeyName(input.OPTIONS) + "] OPTIONS, ["
+          + input.getKeyName(input.REPLAY) + "] REPLAY");
+      } else {
+        optionsText.setText("PRESS [" + input.getKeyName(input.OPTIONS) + "] FOR OPTIONS");
+      }
+    }
+
+    // ask for a coin instead of the single player game when there are no credits.
+    if (!game.hasCredits(this.SINGLE_PLAYER_CREDITS)) {
+      // a coin cannot be inserted by tapping, so the operator uses the free play instead.
+      singlePlayerText.setText(input.isTouchEnabled() ? "INSERT COIN"
+        : (input.getGamepadCount() > 0 ? "PRESS (RT) TO INSERT COIN"
+          : "PRESS [" + input.getKeyName(input.COIN) + "] TO INSERT COIN"));
+    }
+  }
+
+  // show the instructions for the currently available input devices.
+  this.refreshHints();
+
+  /** *************************************************************************
+   * Render (i.e. draw) the state on the screen.
+   * @param {CanvasRenderingContext2D} ctx The drawing context to use.
+   */
+  this.render = function (ctx) {
+    playText.render(ctx);
+    nameText.render(ctx);
+    difficultyText.render(ctx);
+    singlePlayerText.render(ctx);
+    if (game.hasCredits(this.MULTI_PLAYER_CREDITS)) {
+      multiPlayerText.render(ctx);
+      coopText.render(ctx);
+    }
+    if (game.hasCredits(this.SINGLE_PLAYER_CREDITS)) {
+      versusText.render(ctx);
+    }
+    optionsText.render(ctx);
+    if (savedGame && game.hasCredits(savedGame.playerCount)) {
+      continueText.render(ctx);
+    }
+
+    // render the hi-score page instead of the score advance table if shown.
+    if (hiScorePageVisible) {
+      hiScoreCaptionText.render(ctx);
+      for (var i = 0; i < hiScoreRowTexts.length; i++) {
+        hiScoreRowTexts[i].render(ctx);
+      }
+      return;
+    }
+
+    controlsText.render(ctx);
+    tableCaptionText.render(ctx);
+
+    // render score advance table row sprites.
+    tableRow1Sprite.render(ctx);
+    tableRow2Sprite.render(ctx);
+    tableRow3Sprite.render(ctx);
+    tableRow4Sprite.render(ctx);
+
+    // render score advance table row texts.
+    tableRow1Text.render(ctx);
+    tableRow2Text.render(ctx);
+    tableRow3Text.render(ctx);
+    tableRow4Text.render(ctx);
+  }
+
+  /** *************************************************************************
+   * A function that is called when the state is being entered.
+   *
+   * This function is called before the state is being updated (i.e. ticked)
+   * for a first time. This makes it an ideal place to put all listener logic.
+   */
+  this.enter = function () {
+    // ...
+  }
+
+  /** *************************************************************************
+   * A function that is called when the state is being exited.
+   *
+   * This function is called after the state is being updated (i.e. ticked)
+   * for the last time. This makes it an ideal place to cleanup listeners etc.
+   */
+  this.exit = function () {
+    // ...
+  }
+
+  this.isHiScorePageVisible = function () { return hiScorePageVisible; }
+}
+
+/** ***************************************************************************
+ * A starting state to indicate that the player should prepare to play.
+ *
+ * This scene creates a simple "PLAY PLAYER<?>" text for the next player that
+ * should prepare itself to play the game. This is a typical transition between
+ * the players when the multiplayer game mode is being used. In the co-op mode
+ * both players are told to prepare at the same time.
+ *
+ * @param {SpaceInvaders.Game} game A reference to the root game instance.
+ */
+SpaceInvaders.PlayPlayerState = function (game) {
+
+  /** A constant definition of ticks before this state automatically proceeds. */
+  this.VISIBILITY_TICKS = (30 * 5);
+
+  /** A counter of ticks before automatically proceeding to next state. */
+  var tickCounter = this.VISIBILITY_TICKS;
+  /** A text entity to be shown. */
+  var text;
+
+  // initialize the text describing the player to play next.
+  text = new SpaceInvaders.TextEntity(game);
+  text.setText(game.isCoop() ? "PLAY PLAYERS<1><2>" : "PLAY PLAYER<" + game.getActivePlayer() + ">");
+  text.setAlign("center");
+  text.setX(SpaceInvaders.WIDTH / 2);
+  text.setY(400);
+
+  /** *************************************************************************
+   * Update (i.e. tick) the the logic within the state.
+   * @param {double} dt The delta time from the previous tick operation.
+   */
+  this.update = function (dt) {
+    tickCounter--;
+    if (tickCounter <= 0) {
+      game.getScene().setState(new SpaceInvaders.IngameState(game));
+    }
+  }
+
+  /** *************************************************************************
+   * Render (i.e. draw) the state on the screen.
+   * @param {CanvasRenderingContext2D} ctx The drawing context to use.
+   */
+  this.render = function (ctx) {
+    text.render(ctx);
+  }
+
+  /** *************************************************************************
+   * A function that is called when the state is being entered.
+   *
+   * This function is called before the state is being updated (i.e. ticked)
+   * for a first time. This makes it an ideal place to put all listener logic.
+   */
+  this.enter = function () {
+    // save the game between the turns, so the next turn can be continued.
+    game.saveProgress();
+  }
+
+  /** *************************************************************************
+   * A function that is called when the state is being exited.
+   *
+   * This function is called after the state is being updated (i.e. ticked)
+   * for the last time. This makes it an ideal place to cleanup listeners etc.
+   */
+  this.exit = function () {
+    // ...
+  }
+}
+
+/** ***************************************************************************
+ * A state where players enter their initials into the hi-score table.
+ *
+ * This state is shown after the game is over and when the score of a player
+ * is good enough to be put into the persistent hi-score table. Each player of
+ * the given list gets a turn to enter three initials. Initials can be typed
+ * directly with the letter keys or selected with the up and down actions. The
+ * current initial is being confirmed with the confirm action. On touch screens
+ * the initials are changed by tapping above or below them.
+ *
+ * @param {SpaceInvaders.Game} game A reference to the root game instance.
+ * @param {Object[]} players A list of {player, score} items to be entered.
+ */
+SpaceInvaders.HiScoreEntryState = function (game, players) {
+  /** A reference to the root game instance. */
+  this.game = game;
+
+  /** A constant amount of initials to be entered. */
+  this.INITIAL_COUNT = 3;
+  /** A constant set of characters available for the initials. */
+  this.CHARACTERS = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+  /** A constant definition that the state captures the typed text. */
+  this.CAPTURES_TEXT = true;
+
+  /** The index of the player (within the players list) entering initials. */
+  var playerIndex = -1;
+  /** The indices of the currently selected characters for each initial. */
+  var initials = [];
+  /** The index of the initial being currently entered. */
+  var initialIndex = 0;
+
+  var captionText;
+  var playerText;
+  var initialTexts;
+  var instructionsText;
+
+  // initialize the caption text.
+  captionText = new SpaceInvaders.TextEntity(game);
+  captionText.setText("NEW HI-SCORE");
+  captionText.setAlign("center");
+  captionText.setFillStyle("#20ff20");
+  captionText.setX(SpaceInvaders.WIDTH / 2);
+  captionText.setY(250);
+
+  // initialize the text describing the player and the reached score.
+  playerText = new SpaceInvaders.TextEntity(game);
+  playerText.setAlign("center");
+  playerText.setX(captionText.getX());
+  playerText.setY(captionText.getY() + 75);
+
+  // initialize a text for each of the initials.
+  initialTexts = [];
+  for (var i = 0; i < this.INITIAL_COUNT; i++) {
+    var initialText = new SpaceInvaders.TextEntity(game);
+    initialText.setAlign("center");
+    initialText.setX(captionText.getX() + ((i - 1) * 40));
+    initialText.setY(playerText.getY() + 100);
+    initialText.setBlinkFrequency(15);
+    initialTexts.push(initialText);
+  }
+
+  // initialize the instructions text.
+  instructionsText = new SpaceInvaders.TextEntity(game);
+  instructionsText.setText("ENTER YOUR INITIALS");
+  instructionsText.setAlign("center");
+  instructionsText.setX(captionText.getX());
+  instructionsText.setY(initialTexts[0].getY() + 100);
+
+  /** *************************************************************************
+   * Proceed to the next player or to the welcome state when all are done.
+   *
+   * Score qualification is re-checked for each player, as the entries of the
+   * previous players may have already pushed the score out from the table.
+   */
+  this.nextPlayer = function () {
+    var table = game.getHiScoreTable();
+    do {
+      playerIndex++;
+    } while (playerIndex < players.length && !table.qualifies(players[playerIndex].score));
+
+    if (playerIndex >= players.length) {
+      var scene = game.getScene();
+      scene.setState(new SpaceInvaders.WelcomeState(game));
+      return;
+    }
+
+    // reset the initials for the next player.
+    var player = players[playerIndex];
+    playerText.setText("PLAYER<" + player.player + "> "
+      + SpaceInvaders.toScoreString(player.score));
+    initials = [];
+    for (var i = 0; i < this.INITIAL_COUNT; i++) {
+      initials.push(0);
+    }
+    this.selectInitial(0);
+  }
+
+  /** *************************************************************************
+   * Select the initial to be edited and make it to blink.
+   * @param {number} newIndex The index of the initial to be selected.
+   */
+  this.selectInitial = function (newIndex) {
+    initialIndex = Math.max(0, Math.min(this.INITIAL_COUNT - 1, newIndex));
+    for (var i = 0; i < initialTexts.length; i++) {
+      initialTexts[i].setText(this.CHARACTERS.charAt(initials[i]));
+      initialTexts[i].setVisible(true);
+      initialTexts[i].setBlinkCount(i == initialIndex ? -1 : 0);
+      initialTexts[i].blink();
+    }
+  }
+
+  /** *************************************************************************
+   * Change the character of the currently selected initial.
+   * @param {number} characterIndex The index of the character to be set.
+   */
+  this.setInitial = function (characterIndex) {
+    var count = this.CHARACTERS.length;
+    initials[initialIndex] = ((characterIndex % count) + count) % count;
+    initialTexts[initialIndex].setText(this.CHARACTERS.charAt(initials[initialIndex]));
+  }
+
+  /** *************************************************************************
+   * Confirm the currently selected initial.
+   *
+   * Confirming the last initial will store the initials and the score into
+   * the hi-score table and then proceeds to the next player (if any).
+   */
+  this.confirmInitial = function () {
+    if (initialIndex < (this.INITIAL_COUNT - 1)) {
+      this.selectInitial(initialIndex + 1);
+      return;
+    }
+
+    // store the new entry into the persistent hi-score table.
+    var table = game.getHiScoreTable();
+    table.add(this.getInitials(), players[playerIndex].score);
+    table.save();
+    game.setHiScore(Math.max(game.getHiScore(), table.getTopScore()));
+    this.nextPlayer();
+  }
+
+  /** *************************************************************************
+   * Get the currently selected initials as a string.
+   * @return {string} The selected initials.
+   */
+  this.getInitials = function () {
+    var result = "";
+    for (var i = 0; i < initials.length; i++) {
+      result += this.CHARACTERS.charAt(initials[i]);
+    }
+    return result;
+  }
+
+  /** *************************************************************************
+   * Update (i.e. tick) the the logic within the state.
+   * @param {double} dt The delta time from the previous tick operation.
+   */
+  this.update = function (dt) {
+    for (var i = 0; i < initialTexts.length; i++) {
+      initialTexts[i].update(dt);
+    }
+
+    // apply the typed letters directly into the initials.
+    var input = game.getInput();
+    var text = input.getTypedText().toUpperCase();
+    for (var i = 0; i < text.length; i++) {
+      var characterIndex = this.CHARACTERS.indexOf(text.charAt(i));
+      if (characterIndex != -1) {
+        this.setInitial(characterIndex);
+        this.selectInitial(initialIndex + 1);
+      }
+    }
+
+    if (input.wasPressed(input.MOVE_UP)) {
+      this.setInitial(initials[initialIndex] + 1);
+    } else if (input.wasPressed(input.MOVE_DOWN)) {
+      this.setInitial(initials[initialIndex] - 1);
+    } else if (input.wasPressed(input.MOVE_LEFT) || input.wasPressed(input.BACK)) {
+      this.selectInitial(initialIndex - 1);
+    } else if (input.wasPressed(input.MOVE_RIGHT)) {
+      this.selectInitial(initialIndex + 1);
+    } else if (input.wasPressed(input.CONFIRM)) {
+      this.confirmInitial();
+    } else {
+      this.applyTaps(input.getTaps());
+    }
+  }
+
+  /** *************************************************************************
+   * Apply the taps of a touch screen into the initials.
+   *
+   * Tapping the upper half of an initial selects the next character and the
+   * lower half selects the previous character. Tapping the instructions will
+   * confirm all initials at once.
+   *
+   * @param {Object[]} taps A list of {x, y} taps in the game coordinates.
+   */
+  this.applyTaps = function (taps) {
+    if (taps.length > 0) {
+      instructionsText.setText("TAP HERE WHEN DONE");
+    }
+    if (instructionsText.isTapped(taps)) {
+      initialIndex = (this.INITIAL_COUNT - 1);
+      this.confirmInitial();
+      return;
+    }
+    for (var i = 0; i < taps.length; i++) {
+      for (var j = 0; j < initialTexts.length; j++) {
+        var centerY = (initialTexts[j].getY() - 16);
+        if (Math.abs(taps[i].x - initialTexts[j].getX()) < 20
+          && Math.abs(taps[i].y - centerY) < 48) {
+          this.selectInitial(j);
+          this.setInitial(initials[j] + (taps[i].y < centerY ? 1 : -1));
+        }
+      }
+    }
+  }
+
+  /** *************************************************************************
+   * Render (i.e. draw) the state on the screen.
+   * @param {CanvasRenderingContext2D} ctx The drawing context to use.
+   */
+  this.render = function (ctx) {
+    captionText.render(ctx);
+    playerText.render(ctx);
+    instructionsText.render(ctx);
+    for (var i = 0; i < initialTexts.length; i++) {
+      initialTexts[i].render(ctx);
+    }
+  }
+
+  /** *************************************************************************
+   * A function that is called when the state is being entered.
+   *
+   * This function is called before the state is being updated (i.e. ticked)
+   * for a first time. This makes it an ideal place to put all listener logic.
+   */
+  this.enter = function () {
+    // ...
+  }
+
+  /** *************************************************************************
+   * A function that is called when the state is being exited.
+   *
+   * This function is called after the state is being updated (i.e. ticked)
+   * for the last time. This makes it an ideal place to cleanup listeners etc.
+   */
+  this.exit = function () {
+    // ...
+  }
+
+  // start with the first player of the list.
+  this.nextPlayer();
+}
+
+/** ***************************************************************************
+ * An options state where the players can change the game settings.
+ *
+ * This state is being opened from the welcome state. It shows a list of rows
+ * where each row has a label and the current value. Rows are selected with the
+ * up and down actions and activated with the confirm action. Activating a key
+ * binding row waits for the next key press, which is then bound to the action
+ * unless the key is already used by another action. All bindings are saved
+ * into the local storage as soon as they have been changed.
  *
  * @param {SpaceInvaders.Game} game A reference to the root game instance.
  */
-SpaceInvaders.WelcomeState = function (game) {
+SpaceInvaders.OptionsState = function (game) {
+  /** A reference to the root game instance. */
+  this.game = game;
+
+  /** A constant list of the actions that can be rebound by the players. */
+  this.REBINDABLE_ACTIONS = [
+    "MOVE_LEFT", "MOVE_RIGHT", "FIRE", "MOVE_LEFT_2P", "MOVE_RIGHT_2P", "FIRE_2P",
+    "START_1P", "START_2P", "START_COOP", "VERSUS", "PAUSE", "MUTE", "FULLSCREEN", "OPTIONS", "REPLAY",
+    "CONTINUE", "COIN"
+  ];
+  /** A constant set of human readable labels for the rebindable actions. */
+  this.ACTION_LABELS = {
+    MOVE_LEFT: "MOVE LEFT",
+    MOVE_RIGHT: "MOVE RIGHT",
+    FIRE: "FIRE",
+    MOVE_LEFT_2P: "P2 MOVE LEFT",
+    MOVE_RIGHT_2P: "P2 MOVE RIGHT",
+    FIRE_2P: "P2 FIRE",
+    START_1P: "1 PLAYER GAME",
+    START_2P: "2 PLAYER GAME",
+    START_COOP: "CO-OP GAME",
+    VERSUS: "ONLINE VERSUS",
+    PAUSE: "PAUSE",
+    MUTE: "MUTE AUDIO",
+    FULLSCREEN: "FULLSCREEN",
+    OPTIONS: "OPTIONS",
+    REPLAY: "WATCH REPLAY",
+    CONTINUE: "CONTINUE GAME",
+    COIN: "INSERT COIN",
+    MOVE_UP: "MOVE UP",
+    MOVE_DOWN: "MOVE DOWN",
+    CONFIRM: "CONFIRM",
+    BACK: "BACK"
+  };
+  /** A constant list of the rebindable actions read while the text is typed. */
+  this.TEXT_STATE_ACTIONS = ["MOVE_LEFT", "MOVE_RIGHT", "FIRE"];
+  /** A constant Y-coordinate of the first row. */
+  this.ROW_Y = 170;
+  /** A constant vertical spacing between the rows. */
+  this.ROW_SPACING = 24;
+  /** A constant font of the rows. */
+  this.ROW_FONT = "18pt monospace";
+  /** A constant fill style of the warning messages. */
+  this.WARNING_FILL_STYLE = "#ff2020";
+  /** A constant definition that the state captures the typed text. */
+  this.CAPTURES_TEXT = true;
+
+  /** The rows of the options. */
+  var list = new SpaceInvaders.SettingsList(game, this.ROW_Y, this.ROW_SPACING, this.ROW_FONT);
+  /** The action waiting for a new key or undefined when not rebinding. */
+  var rebindAction = undefined;
+
+  var captionText;
+  var messageText;
+
+  // initialize the caption text.
+  captionText = new SpaceInvaders.TextEntity(game);
+  captionText.setText("-- OPTIONS --");
+  captionText.setAlign("center");
+  captionText.setX(SpaceInvaders.WIDTH / 2);
+  captionText.setY(125);
+
+  // initialize the text for the instructions and the warnings.
+  messageText = new SpaceInvaders.TextEntity(game);
+  messageText.setAlign("center");
+  messageText.setFont("18pt monospace");
+  messageText.setX(captionText.getX());
+  messageText.setY(700);
+
+  /** *************************************************************************
+   * Show the given message below the options.
+   * @param {string} message The message to be shown.
+   * @param {boolean} warning A definition whether the message is a warning.
+   */
+  this.showMessage = function (message, warning) {
+    messageText.setText(message);
+    messageText.setFillStyle(warning ? this.WARNING_FILL_STYLE : "white");
+  }
+
+  /** *************************************************************************
+   * Start waiting for a new key to be bound to the given action.
+   * @param {string} action The action to be rebound.
+   */
+  this.startRebind = function (action) {
+    rebindAction = action;
+    this.showMessage("PRESS [ESCAPE] TO CANCEL", false);
+    list.refreshRows();
+  }
+
+  /** *************************************************************************
+   * Bind the given key code to the action that is waiting for a new key.
+   *
+   * A key code that is already bound to any other action is being rejected
+   * with a warning, so the players cannot lose any of the actions. A letter
+   * key is also rejected for the actions that are read by the states which
+   * capture the typed text, as the letter would be typed at the same time.
+   *
+   * @param {string} code The KeyboardEvent.code value of the pressed key.
+   * @return {boolean} A definition whether the key code was bound.
+   */
+  this.rebind = function (code) {
+    var input = game.getInput();
+    var others = Object.keys(input.DEFAULT_BINDINGS).filter(function (action) {
+      return action != rebindAction;
+    });
+    var conflict = input.findAction(code, others);
+    if (conflict) {
+      this.showMessage("[" + SpaceInvaders.toKeyName(code) + "] IS USED BY "
+        + this.ACTION_LABELS[conflict], true);
+      return false;
+    }
+    if (/^Key[A-Z]$/.test(code) && this.TEXT_STATE_ACTIONS.indexOf(rebindAction) != -1) {
+      this.showMessage("[" + SpaceInvaders.toKeyName(code) + "] IS USED FOR TYPING", true);
+      return false;
+    }
+
+    input.bind(rebindAction, [code]);
+    input.save();
+    rebindAction = undefined;
+    this.showMessage("", false);
+    list.refreshRows();
+    return true;
+  }
+
+  /** *************************************************************************
+   * Cancel waiting for a new key and keep the previous binding.
+   */
+  this.cancelRebind = function () {
+    rebindAction = undefined;
+    this.showMessage("", false);
+    list.refreshRows();
+  }
+
+  /** *************************************************************************
+   * Update (i.e. tick) the the logic within the state.
+   * @param {double} dt The delta time from the previous tick operation.
+   */
+  this.update = function (dt) {
+    var input = game.getInput();
+
+    // wait for the next key press when the action is being rebound.
+    if (rebindAction) {
+      var codes = input.getPressedKeys();
+      if (input.wasPressed(input.BACK)) {
+        this.cancelRebind();
+      } else if (codes.length > 0) {
+        this.rebind(codes[0]);
+      }
+      return;
+    }
+
+    if (input.wasPressed(input.BACK)) {
+      this.close();
+    } else {
+      list.update(input);
+    }
+  }
+
+  /** *************************************************************************
+   * Close the options and return back to the welcome state.
+   */
+  this.close = function () {
+    game.getScene().setState(new SpaceInvaders.WelcomeState(game));
+  }
+
+  /** *************************************************************************
+   * Render (i.e. draw) the state on the screen.
+   * @param {CanvasRenderingContext2D} ctx The drawing context to use.
+   */
+  this.render = function (ctx) {
+    captionText.render(ctx);
+    list.render(ctx);
+    messageText.render(ctx);
+  }
+
+  /** *************************************************************************
+   * A function that is called when the state is being entered.
+   *
+   * This function is called before the state is being updated (i.e. ticked)
+   * for a first time. This makes it an ideal place to put all listener logic.
+   */
+  this.enter = function () {
+    // ...
+  }
+
+  /** *************************************************************************
+   * A function that is called when the state is being exited.
+   *
+   * This function is called after the state is being updated (i.e. ticked)
+   * for the last time. This makes it an ideal place to cleanup listeners etc.
+   */
+  this.exit = function () {
+    // ...
+  }
+
+  this.getList = function () { return list; }
+  this.getSelectedIndex = function () { return list.getSelectedIndex(); }
+  this.getRebindAction = function () { return rebindAction; }
+  this.getRowCount = function () { return list.getRowCount(); }
+  this.getMessageText = function () { return messageText; }
+
+  // initialize a key binding row for each of the rebindable actions.
+  var input = game.getInput();
+  this.REBINDABLE_ACTIONS.forEach(function (action) {
+    list.addRow(this.ACTION_LABELS[action], function () {
+      return (rebindAction == action ? "PRESS A KEY" : input.getKeyName(action));
+    }, function () {
+      this.startRebind(action);
+    }.bind(this));
+  }, this);
+
+  // initialize the rows to open the operator and display settings, the level
+  // editor, to reset the bindings and to return back.
+  list.addRow("OPERATOR SETTINGS", undefined, function () {
+    game.getScene().setState(new SpaceInvaders.OperatorState(game));
+  });
+  list.addRow("DISPLAY SETTINGS", undefined, function () {
+    game.getScene().setState(new SpaceInvaders.DisplayState(game));
+  });
+  list.addRow("LEVEL EDITOR", undefined, function () {
+    game.getScene().setState(new SpaceInvaders.EditorState(game));
+  });
+  list.addRow("RESET KEYS", undefined, function () {
+    input.resetBindings();
+    input.save();
+    this.showMessage("KEYS RESET TO DEFAULTS", false);
+  }.bind(this));
+  list.addRow("BACK", undefined, this.close.bind(this));
+}
+
+/** ***************************************************************************
+ * A list of setting rows for the settings states of the Space Invaders game.
+ *
+ * Each row has a label at the left side and an optional value at the right
+ * side of the screen. Rows are selected with the up and down actions and they
+ * are activated with the confirm action (or by tapping them). The values of
+ * the rows are refreshed after each activation.
+ *
+ * @param {SpaceInvaders.Game} game A reference to the root game instance.
+ * @param {number} rowY The Y-coordinate of the first row.
+ * @param {number} rowSpacing The vertical spacing between the rows.
+ * @param {string} font An optional font of the rows.
+ */
+SpaceInvaders.SettingsList = function (game, rowY, rowSpacing, font) {
+  /** A constant fill style of the selected row. */
+  this.SELECTED_FILL_STYLE = "#20ff20";
+
+  /** The rows of the list i.e. {labelText, valueText, getValue, activate}. */
+  var rows = [];
+  /** The index of the currently selected row. */
+  var selectedIndex = 0;
+
+  /** *************************************************************************
+   * Add a new row at the end of the list.
+   * @param {string} label The label shown at the left side of the row.
+   * @param {function} getValue A function to get the shown value (if any).
+   * @param {function} activate A function called when the row is activated.
+   */
+  this.addRow = function (label, getValue, activate) {
+    var y = rowY + (rows.length * rowSpacing);
+
+    var labelText = new SpaceInvaders.TextEntity(game);
+    labelText.setText(label);
+    labelText.setX(100);
+    labelText.setY(y);
+
+    var valueText = new SpaceInvaders.TextEntity(game);
+    valueText.setAlign("right");
+    valueText.setX(SpaceInvaders.WIDTH - 100);
+    valueText.setY(y);
+
+    if (font) {
+      labelText.setFont(font);
+      valueText.setFont(font);
+    }
+    rows.push({ labelText: labelText, valueText: valueText, getValue: getValue, activate: activate });
+    this.refreshRows();
+  }
+
+  /** *************************************************************************
+   * Refresh the texts and the selection highlight of each row.
+   */
+  this.refreshRows = function () {
+    for (var i = 0; i < rows.length; i++) {
+      var fillStyle = (i == selectedIndex ? this.SELECTED_FILL_STYLE : "white");
+      rows[i].labelText.setFillStyle(fillStyle);
+      rows[i].valueText.setFillStyle(fillStyle);
+      rows[i].valueText.setText(rows[i].getValue ? rows[i].getValue() : "");
+    }
+  }
+
+  /** *************************************************************************
+   * Select the row with the given index (wraps around the list).
+   * @param {number} newIndex The index of the row to be selected.
+   */
+  this.selectRow = function (newIndex) {
+    selectedIndex = ((newIndex % rows.length) + rows.length) % rows.length;
+    this.refreshRows();
+  }
+
+  /** *************************************************************************
+   * Select and activate the row with the given index.
+   * @param {number} index The index of the row to be activated.
+   */
+  this.activateRow = function (index) {
+    this.selectRow(index);
+    rows[index].activate();
+    this.refreshRows();
+  }
+
+  /** *************************************************************************
+   * Update (i.e. tick) the selection and the activation of the rows.
+   * @param {SpaceInvaders.Input} input The input to be read.
+   */
+  this.update = function (input) {
+    if (input.wasPressed(input.MOVE_UP)) {
+      this.selectRow(selectedIndex - 1);
+    } else if (input.wasPressed(input.MOVE_DOWN)) {
+      this.selectRow(selectedIndex + 1);
+    } else if (input.wasPressed(input.CONFIRM)) {
+      this.activateRow(selectedIndex);
+    } else {
+      var taps = input.getTaps();
+      for (var i = 0; i < rows.length; i++) {
+        if (rows[i].labelText.isTapped(taps) || rows[i].valueText.isTapped(taps)) {
+          this.activateRow(i);
+          break;
+        }
+      }
+    }
+  }
+
+  /** *************************************************************************
+   * Render (i.e. draw) the rows on the screen.
+   * @param {CanvasRenderingContext2D} ctx The drawing context to use.
+   */
+  this.render = function (ctx) {
+    for (var i = 0; i < rows.length; i++) {
+      rows[i].labelText.render(ctx);
+      rows[i].valueText.render(ctx);
+    }
+  }
+
+  this.getRows = function () { return rows; }
+  this.getSelectedIndex = function () { return selectedIndex; }
+  this.getRowCount = function () { return rows.length; }
+}
+
+/** ***************************************************************************
+ * An operator settings state for the Space Invaders game.
+ *
+ * This state replaces the DIP switches of the original cabinet. The operator
+ * selects the amount of starting lives, the score that awards the bonus life,
+ * whether the games are free to play (i.e. no coins are needed) and whether
+ * the classic or the deluxe (power-up) rules are used. Rows are selected with
+ * the up and down actions and their values are changed with the confirm
+ * action (or by tapping them). Settings are saved as soon as they have been
+ * changed and they are used from the next game.
+ *
+ * @param {SpaceInvaders.Game} game A reference to the root game instance.
+ */
+SpaceInvaders.OperatorState = function (game) {
+  /** A reference to the root game instance. */
+  this.game = game;
+
+  /** A constant Y-coordinate of the first row. */
+  this.ROW_Y = 250;
+  /** A constant vertical spacing between the rows. */
+  this.ROW_SPACING = 40;
+
+  /** The rows of the settings. */
+  var list = new SpaceInvaders.SettingsList(game, this.ROW_Y, this.ROW_SPACING);
+
+  var captionText;
+  var messageText;
+
+  // initialize the caption text.
+  captionText = new SpaceInvaders.TextEntity(game);
+  captionText.setText("-- OPERATOR SETTINGS --");
+  captionText.setAlign("center");
+  captionText.setX(SpaceInvaders.WIDTH / 2);
+  captionText.setY(175);
+
+  // initialize the text that tells when the settings are applied.
+  messageText = new SpaceInvaders.TextEntity(game);
+  messageText.setText("CHANGES APPLY FROM THE NEXT GAME");
+  messageText.setAlign("center");
+  messageText.setFont("18pt monospace");
+  messageText.setX(captionText.getX());
+  messageText.setY(700);
+
+  /** *************************************************************************
+   * Update (i.e. tick) the the logic within the state.
+   * @param {double} dt The delta time from the previous tick operation.
+   */
+  this.update = function (dt) {
+    var input = game.getInput();
+    if (input.wasPressed(input.BACK)) {
+      this.close();
+    } else {
+      list.update(input);
+    }
+  }
+
+  /** *************************************************************************
+   * Close the settings and return back to the options state.
+   */
+  this.close = function () {
+    game.getScene().setState(new SpaceInvaders.OptionsState(game));
+  }
+
+  /** *************************************************************************
+   * Render (i.e. draw) the state on the screen.
+   * @param {CanvasRenderingContext2D} ctx The drawing context to use.
+   */
+  this.render = function (ctx) {
+    captionText.render(ctx);
+    list.render(ctx);
+    messageText.render(ctx);
+  }
+
+  /** *************************************************************************
+   * A function that is called when the state is being entered.
+   *
+   * This function is called before the state is being updated (i.e. ticked)
+   * for a first time. This makes it an ideal place to put all listener logic.
+   */
+  this.enter = function () {
+    // ...
+  }
+
+  /** *************************************************************************
+   * A function that is called when the state is being exited.
+   *
+   * This function is called after the state is being updated (i.e. ticked)
+   * for the last time. This makes it an ideal place to cleanup listeners etc.
+   */
+  this.exit = function () {
+    // ...
+  }
+
+  this.getList = function () { return list; }
+  this.getSelectedIndex = function () { return list.getSelectedIndex(); }
+  this.getRowCount = function () { return list.getRowCount(); }
+
+  // initialize the rows for each of the DIP switches and to return back.
+  var settings = game.getSettings();
+  list.addRow("STARTING LIVES", function () {
+    return settings.getLives().toString();
+  }, function () {
+    settings.setLives(SpaceInvaders.nextOption(settings.LIVES_OPTIONS, settings.getLives()));
+    settings.save();
+  });
+  list.addRow("BONUS LIFE AT", function () {
+    return SpaceInvaders.toScoreString(settings.getBonusLife());
+  }, function () {
+    settings.setBonusLife(SpaceInvaders.nextOption(settings.BONUS_LIFE_OPTIONS, settings.getBonusLife()));
+    settings.save();
+  });
+  list.addRow("FREE PLAY", function () {
+    return (settings.isFreePlay() ? "ON" : "OFF");
+  }, function () {
+    settings.setFreePlay(!settings.isFreePlay());
+    settings.save();
+  });
+  list.addRow("GAME RULES", function () {
+    return (settings.isDeluxe() ? "DELUXE" : "CLASSIC");
+  }, function () {
+    settings.setDeluxe(!settings.isDeluxe());
+    settings.save();
+  });
+  list.addRow("BACK", undefined, this.close.bind(this));
+}
+
+/** ***************************************************************************
+ * A display settings state for the Space Invaders game.
+ *
+ * This state lets the players choose how the game looks like. The classic
+ * look disables the particle effects and the screen shake of the explosions.
+ * The CRT filter post-processes the screen with the selected preset and the
+ * scaling selects whether the game fits the window or uses whole scales. Rows
+ * are selected with the up and down actions and their values are changed with
+ * the confirm action (or by tapping them). Settings are saved and applied as
+ * soon as they have been changed.
+ *
+ * @param {SpaceInvaders.Game} game A reference to the root game instance.
+ */
+SpaceInvaders.DisplayState = function (game) {
+  /** A reference to the root game instance. */
+  this.game = game;
+
+  /** A constant Y-coordinate of the first row. */
+  this.ROW_Y = 250;
+  /** A constant vertical spacing between the rows. */
+  this.ROW_SPACING = 40;
+
+  /** The rows of the settings. */
+  var list = new SpaceInvaders.SettingsList(game, this.ROW_Y, this.ROW_SPACING);
+
+  var captionText;
+
+  // initialize the caption text.
+  captionText = new SpaceInvaders.TextEntity(game);
+  captionText.setText("-- DISPLAY SETTINGS --");
+  captionText.setAlign("center");
+  captionText.setX(SpaceInvaders.WIDTH / 2);
+  captionText.setY(175);
+
+  /** *************************************************************************
+   * Update (i.e. tick) the the logic within the state.
+   * @param {double} dt The delta time from the previous tick operation.
+   */
+  this.update = function (dt) {
+    var input = game.getInput();
+    if (input.wasPressed(input.BACK)) {
+      this.close();
+    } else {
+      list.update(input);
+    }
+  }
+
+  /** *************************************************************************
+   * Close the settings and return back to the options state.
+   */
+  this.close = function () {
+    game.getScene().setState(new SpaceInvaders.OptionsState(game));
+  }
+
+  /** *************************************************************************
+   * Render (i.e. draw) the state on the screen.
+   * @param {CanvasRenderingContext2D} ctx The drawing context to use.
+   */
+  this.render = function (ctx) {
+    captionText.render(ctx);
+    list.render(ctx);
+  }
+
+  /** *************************************************************************
+   * A function that is called when the state is being entered.
+   *
+   * This function is called before the state is being updated (i.e. ticked)
+   * for a first time. This makes it an ideal place to put all listener logic.
+   */
+  this.enter = function () {
+    // ...
+  }
+
+  /** *************************************************************************
+   * A function that is called when the state is being exited.
+   *
+   * This function is called after the state is being updated (i.e. ticked)
+   * for the last time. This makes it an ideal place to cleanup listeners etc.
+   */
+  this.exit = function () {
+    // ...
+  }
+
+  this.getList = function () { return list; }
+  this.getSelectedIndex = function () { return list.getSelectedIndex(); }
+  this.getRowCount = function () { return list.getRowCount(); }
+
+  // initialize the rows for each of the display settings and to return back.
+  var display = game.getDisplaySettings();
+  list.addRow("CLASSIC LOOK", function () {
+    return (display.isClassicLook() ? "ON" : "OFF");
+  }, function () {
+    display.setClassicLook(!display.isClassicLook());
+    display.save();
+  });
+  list.addRow("CRT FILTER", function () {
+    return (display.isFilter() ? "ON" : "OFF");
+  }, function () {
+    display.setFilter(!display.isFilter());
+    display.save();
+  });
+  list.addRow("FILTER PRESET", function () {
+    return game.getDisplayFilter().PRESETS[display.getFilterPreset()].name;
+  }, function () {
+    display.setFilterPreset(SpaceInvaders.nextOption(display.FILTER_PRESETS, display.getFilterPreset()));
+    display.save();
+  });
+  list.addRow("SCALING", function () {
+    return display.getScaling().toUpperCase();
+  }, function () {
+    display.setScaling(SpaceInvaders.nextOption(display.SCALING_OPTIONS, display.getScaling()));
+    display.save();
+    game.resize();
+  });
+  list.addRow("TOGGLE FULLSCREEN", undefined, function () {
+    game.toggleFullscreen();
+  });
+  list.addRow("BACK", undefined, this.close.bind(this));
+}
+
+/** ***************************************************************************
+ * A level editor state for the Space Invaders game.
+ *
+ * This state allows players to design a wave by placing the alien types into
+ * the formation grid, dragging the shields and adjusting the starting height
+ * and the speed of the aliens. Cells are chosen with the movement actions (or
+ * the pointer) and the alien type of the cell is cycled with the fire action.
+ * The designed wave can be playtested right away, and it can be exported and
+ * imported in the same format as the wave definitions of the game.
+ *
+ * @param {SpaceInvaders.Game} game A reference to the root game instance.
+ * @param {Object} data An optional wave set to be edited.
+ */
+SpaceInvaders.EditorState = function (game, data) {
   /** A reference to the root game instance. */
   this.game = game;
 
-  var playText;
-  var nameText;
-  var singlePlayerText;
-  var multiPlayerText;
-  var controlsText;
-  var tableCaptionText;
-  var tableRow1Sprite;
-  var tableRow1Text;
-  var tableRowS2prite;
-  var tableRow2Text;
-  var tableRow3Sprite;
-  var tableRow3Text;
-  var tableRow4Sprite;
-  var tableRow4Text;
+  /** A constant amount of rows in the formation grid. */
+  this.GRID_ROWS = 5;
+  /** A constant amount of columns in the formation grid. */
+  this.GRID_COLUMNS = 11;
+  /** A constant minimum starting height of the formation. */
+  this.START_Y_MIN = 192;
+  /** A constant maximum starting height of the formation. */
+  this.START_Y_MAX = 408;
+  /** A constant amount to change the starting height by. */
+  this.START_Y_STEP = 24;
+  /** A constant minimum speed of the aliens (the step size is 60 - 5 * speed). */
+  this.SPEED_MIN = 1;
+  /** A constant maximum speed of the aliens (the kills stop at the minimum step). */
+  this.SPEED_MAX = 11;
+  /** A constant area where the shields can be dragged into. */
+  this.SHIELD_AREA = { x: 0, y: 192, width: SpaceInvaders.WIDTH, height: 525 };
+  /** A constant name of the exported file. */
+  this.EXPORT_FILE_NAME = "waves.json";
+  /** A constant fill style of the selected cell and the active buttons. */
+  this.SELECTED_FILL_STYLE = "#20ff20";
+  /** A constant fill style of the warning messages. */
+  this.WARNING_FILL_STYLE = "#ff2020";
+  /** A constant definition that the state captures the typed text. */
+  this.CAPTURES_TEXT = true;
+  /** A constant definition that the state hides the credit (the back button uses the corner). */
+  this.HIDES_CREDIT = true;
+
+  /** The alien types by their names. */
+  var alienTypes = {};
+  /** The names of the alien types in the cycling order. */
+  var typeNames = [];
+  /** The alien type names of the grid cells (undefined for empty cells). */
+  var cells = [];
+  /** The wave properties that are not edited but kept in the export. */
+  var wave = {};
+  /** The shields placed into the wave. */
+  var shields = [];
+  /** The sprites of the placed aliens. */
+  var alienSprites = [];
+  /** The index of the currently selected grid cell. */
+  var cursor = 0;
+  /** The index of the shield being dragged or -1 when not dragging. */
+  var dragShield = -1;
+  /** The offset from the dragged shield position into the pointer. */
+  var dragOffset = { x: 0, y: 0 };
+
+  var captionText;
+  var messageText;
+  var heightText;
+  var heightDownText;
+  var heightUpText;
+  var speedText;
+  var speedDownText;
+  var speedUpText;
+  var playText;
+  var exportText;
+  var importText;
+  var backText;
+  var footerLine;
+
+  /** *************************************************************************
+   * Create a text used within the editor.
+   * @param {string} text The text to be shown.
+   * @param {number} x The x-coordinate of the text.
+   * @param {number} y The y-coordinate of the text.
+   * @param {string} align The text alignment.
+   * @return {SpaceInvaders.TextEntity} The created text.
+   */
+  var createText = function (text, x, y, align) {
+    var entity = new SpaceInvaders.TextEntity(game);
+    entity.setText(text);
+    entity.setFont("18pt monospace");
+    entity.setAlign(align);
+    entity.setX(x);
+    entity.setY(y);
+    return entity;
+  }
+
+  // initialize the caption text.
+  captionText = new SpaceInvaders.TextEntity(game);
+  captionText.setText("-- LEVEL EDITOR --");
+  captionText.setAlign("center");
+  captionText.setX(SpaceInvaders.WIDTH / 2);
+  captionText.setY(125);
+
+  // initialize the buttons to adjust the starting height and the speed.
+  heightDownText = createText("-", 30, 165, "center");
+  heightText = createText("", 175, 165, "center");
+  heightUpText = createText("+", 320, 165, "center");
+  speedDownText = createText("-", 352, 165, "center");
+  speedText = createText("", 497, 165, "center");
+  speedUpText = createText("+", 642, 165, "center");
+
+  // initialize the text for the instructions and the warnings.
+  messageText = createText("", SpaceInvaders.WIDTH / 2, 700, "center");
+
+  // initialize the buttons at the bottom of the screen.
+  playText = createText("PLAY", 84, 758, "center");
+  exportText = createText("EXPORT", 252, 758, "center");
+  importText = createText("IMPORT", 420, 758, "center");
+  backText = createText("BACK", 588, 758, "center");
+
+  // initialize the green static footer line at the bottom of the screen.
+  footerLine = new SpaceInvaders.SpriteEntity(game);
+  footerLine.setImage(game.getSpriteSheet());
+  footerLine.setX(0);
+  footerLine.setY(717);
+  footerLine.setWidth(SpaceInvaders.WIDTH);
+  footerLine.setHeight(3);
+  footerLine.setClipX(0);
+  footerLine.setClipY(117);
+
+  /** *************************************************************************
+   * Load the given wave set into the editor.
+   *
+   * Only the first wave of the set is edited. The set is validated with the
+   * wave set of the game, and its formation must fit into the editor grid.
+   *
+   * @param {Object} newData The wave set to be edited.
+   * @return {boolean} A definition whether the wave set was loaded.
+   */
+  this.importData = function (newData) {
+    if (!new SpaceInvaders.WaveSet().load(newData)) {
+      return false;
+    }
+    var newWave = {};
+    for (var key in newData.defaults) {
+      newWave[key] = newData.defaults[key];
+    }
+    for (var key in newData.waves[0]) {
+      newWave[key] = newData.waves[0][key];
+    }
+    if (newWave.formation.length > this.GRID_ROWS || newWave.formation[0].length > this.GRID_COLUMNS) {
+      console.warn("Unable to edit a formation larger than the editor grid.");
+      return false;
+    }
 
-  // initialize the play game text.
-  playText = new SpaceInvaders.TextEntity(game);
-  playText.setText("PLAY");
-  playText.setAlign("center");
-  playText.setX(672 / 2);
-  playText.setY(175);
+    alienTypes = newData.alienTypes;
+    typeNames = Object.keys(alienTypes);
+    cells = [];
+    for (var row = 0; row < this.GRID_ROWS; row++) {
+      var line = (newWave.formation[row] || "");
+      for (var col = 0; col < this.GRID_COLUMNS; col++) {
+        cells.push((newWave.legend || {})[line.charAt(col)]);
+      }
+    }
+    shields = [];
+    (newWave.shields || []).forEach(function (position) {
+      var shield = new SpaceInvaders.Shield(game);
+      shield.setWidth(66);
+      shield.setHeight(48);
+      shield.setX(position.x);
+      shield.setY(position.y);
+      shields.push(shield);
+    });
+    delete newWave.formation;
+    delete newWave.legend;
+    delete newWave.shields;
+    wave = newWave;
+    this.refresh();
+    return true;
+  }
 
-  // initialize the game name text.
-  nameText = new SpaceInvaders.TextEntity(game);
-  nameText.setText("HTML5 SPACE INVADERS");
-  nameText.setAlign("center");
-  nameText.setFillStyle("#20ff20");
-  nameText.setX(playText.getX());
-  nameText.setY(playText.getY() + 75);
+  /** *************************************************************************
+   * Export the edited wave as a wave set with a single wave.
+   * @return {Object} The wave set as a JSON compatible object.
+   */
+  this.exportData = function () {
+    // assign a legend character for each alien type (prefer the initials).
+    var legend = {};
+    var characters = {};
+    typeNames.forEach(function (name) {
+      var character = name.charAt(0).toUpperCase();
+      for (var code = 65; legend[character] || character == "."; code++) {
+        character = String.fromCharCode(code);
+      }
+      legend[character] = name;
+      characters[name] = character;
+    });
+
+    var formation = [];
+    for (var row = 0; row < this.GRID_ROWS; row++) {
+      var line = "";
+      for (var col = 0; col < this.GRID_COLUMNS; col++) {
+        var name = cells[(row * this.GRID_COLUMNS) + col];
+        line += (name ? characters[name] : ".");
+      }
+      formation.push(line);
+    }
 
-  // initialize the single player text.
-  singlePlayerText = new SpaceInvaders.TextEntity(game);
-  singlePlayerText.setText("PRESS [1] FOR A 1 PLAYER GAME");
-  singlePlayerText.setAlign("center");
-  singlePlayerText.setX(playText.getX());
-  singlePlayerText.setY(nameText.getY() + 75);
-  singlePlayerText.setBlinkCount(-1);
-  singlePlayerText.setBlinkFrequency(30);
-  singlePlayerText.blink();
+    var defaults = {};
+    for (var key in wave) {
+      defaults[key] = wave[key];
+    }
+    defaults.formation = formation;
+    defaults.legend = legend;
+    defaults.shields = shields.map(function (shield) {
+      return { x: shield.getX(), y: shield.getY() };
+    });
+    return { version: 1, alienTypes: alienTypes, defaults: defaults, waves: [{}] };
+  }
 
-  // initialize the multiplayer text.
-  multiPlayerText = new SpaceInvaders.TextEntity(game);
-  multiPlayerText.setText("PRESS [2] FOR A 2 PLAYER GAME");
-  multiPlayerText.setAlign("center");
-  multiPlayerText.setX(playText.getX());
-  multiPlayerText.setY(singlePlayerText.getY() + 50);
-  multiPlayerText.setBlinkCount(-1);
-  multiPlayerText.setBlinkFrequency(30);
-  multiPlayerText.blink();
+  /** *************************************************************************
+   * Export the edited wave as a JSON string.
+   * @return {string} The wave set as a JSON string.
+   */
+  this.exportJSON = function () {
+    return JSON.stringify(this.exportData(), null, 2);
+  }
 
-  controlsText = new SpaceInvaders.TextEntity(game);
-  controlsText.setText("USE ARROW KEYS AND SPACEBAR TO PLAY");
-  controlsText.setAlign("center");
-  controlsText.setX(playText.getX());
-  controlsText.setY(multiPlayerText.getY() + 75);
+  /** *************************************************************************
+   * Import the wave to be edited from the given JSON string.
+   * @param {string} json The wave set as a JSON string.
+   * @return {boolean} A definition whether the wave was imported.
+   */
+  this.importJSON = function (json) {
+    var newData;
+    try {
+      newData = JSON.parse(json);
+    } catch (e) {
+      newData = undefined;
+    }
+    if (!newData || !this.importData(newData)) {
+      this.showMessage("UNABLE TO IMPORT THE WAVE", true);
+      return false;
+    }
+    this.showMessage("WAVE IMPORTED", false);
+    return true;
+  }
 
-  // initiailize the score advance table text.
-  tableCaptionText = new SpaceInvaders.TextEntity(game);
-  tableCaptionText.setText("-- SCORE ADVANCE TABLE --");
-  tableCaptionText.setAlign("center");
-  tableCaptionText.setX(playText.getX());
-  tableCaptionText.setY(controlsText.getY() + 75);
+  /** *************************************************************************
+   * Refresh the alien sprites and the texts from the edited wave.
+   */
+  this.refresh = function () {
+    alienSprites = [];
+    for (var i = 0; i < cells.length; i++) {
+      var type = alienTypes[cells[i]];
+      if (type) {
+        var bounds = this.getCellBounds(i);
+        var sprite = new SpaceInvaders.SpriteEntity(game);
+        sprite.setImage(game.getSpriteSheet());
+        sprite.setX(bounds.x + (type.offsetX || 0));
+        sprite.setY(bounds.y);
+        sprite.setWidth(type.frames[0][2]);
+        sprite.setHeight(type.frames[0][3]);
+        sprite.setClipX(type.frames[0][0]);
+        sprite.setClipY(type.frames[0][1]);
+        alienSprites.push(sprite);
+      }
+    }
+    heightText.setText("HEIGHT " + wave.startY);
+    speedText.setText("SPEED " + this.getSpeed());
+  }
 
-  // initialize the 1st table row sprite image.
-  tableRow1Sprite = new SpaceInvaders.SpriteEntity(game);
-  tableRow1Sprite.setImage(game.getSpriteSheet());
-  tableRow1Sprite.setX(playText.getX() - 130);
-  tableRow1Sprite.setY(tableCaptionText.getY() + 25);
-  tableRow1Sprite.setWidth(43);
-  tableRow1Sprite.setHeight(19);
-  tableRow1Sprite.setClipX(5);
-  tableRow1Sprite.setClipY(92);
+  /** *************************************************************************
+   * Show the given message above the buttons.
+   * @param {string} message The message to be shown.
+   * @param {boolean} warning A definition whether the message is a warning.
+   */
+  this.showMessage = function (message, warning) {
+    messageText.setText(message);
+    messageText.setFillStyle(warning ? this.WARNING_FILL_STYLE : "white");
+  }
 
-  // initialize the 1st table row text.
-  tableRow1Text = new SpaceInvaders.TextEntity(game);
-  tableRow1Text.setText("= ?  MYSTERY");
-  tableRow1Text.setX(tableRow1Sprite.getX() + 10 + tableRow1Sprite.getWidth());
-  tableRow1Text.setY(tableRow1Sprite.getY() + 20);
+  /** *************************************************************************
+   * Get the bounds of the given grid cell in the game coordinates.
+   * @param {number} index The index of the grid cell.
+   * @return {Object} The {x, y, width, height} bounds of the cell.
+   */
+  this.getCellBounds = function (index) {
+    var row = Math.floor(index / this.GRID_COLUMNS);
+    var col = (index % this.GRID_COLUMNS);
+    return {
+      x: wave.startX + (col * wave.columnSpacing),
+      y: wave.startY + (row * wave.rowSpacing),
+      width: wave.columnSpacing,
+      height: wave.rowSpacing
+    };
+  }
 
-  // initialize the 2nd table row sprite image.
-  tableRow2Sprite = new SpaceInvaders.SpriteEntity(game);
-  tableRow2Sprite.setImage(game.getSpriteSheet());
-  tableRow2Sprite.setX(playText.getX() - 120);
-  tableRow2Sprite.setY(tableRow1Sprite.getY() + 35);
-  tableRow2Sprite.setWidth(24);
-  tableRow2Sprite.setHeight(24);
-  tableRow2Sprite.setClipX(5);
-  tableRow2Sprite.setClipY(63);
+  /** *************************************************************************
+   * Find the grid cell that contains the given point.
+   * @param {number} x The x-coordinate of the point.
+   * @param {number} y The y-coordinate of the point.
+   * @return {number} The index of the cell or -1 if none.
+   */
+  this.findCell = function (x, y) {
+    for (var i = 0; i < cells.length; i++) {
+      var bounds = this.getCellBounds(i);
+      if (x >= bounds.x && x < (bounds.x + bounds.width)
+        && y >= bounds.y && y < (bounds.y + bounds.height)) {
+        return i;
+      }
+    }
+    return -1;
+  }
 
-  // initialize the 2nd table row text.
-  tableRow2Text = new SpaceInvaders.TextEntity(game);
-  tableRow2Text.setText("= 30 POINTS");
-  tableRow2Text.setX(tableRow1Text.getX());
-  tableRow2Text.setY(tableRow2Sprite.getY() + 22);
+  /** *************************************************************************
+   * Cycle the alien type of the given cell (empty cell follows the last type).
+   * @param {number} index The index of the grid cell.
+   */
+  this.cycleCell = function (index) {
+    var next = (typeNames.indexOf(cells[index]) + 1);
+    cells[index] = (next < typeNames.length ? typeNames[next] : undefined);
+    this.refresh();
+  }
 
-  // initialize the 3rd table row sprite image.
-  tableRow3Sprite = new SpaceInvaders.SpriteEntity(game);
-  tableRow3Sprite.setImage(game.getSpriteSheet());
-  tableRow3Sprite.setX(playText.getX() - 125);
-  tableRow3Sprite.setY(tableRow2Sprite.getY() + 35);
-  tableRow3Sprite.setWidth(33);
-  tableRow3Sprite.setHeight(24);
-  tableRow3Sprite.setClipX(5);
-  tableRow3Sprite.setClipY(34);
+  /** *************************************************************************
+   * Move the given shield into the given position (within the shield area).
+   * @param {number} index The index of the shield.
+   * @param {number} x The new x-coordinate of the shield.
+   * @param {number} y The new y-coordinate of the shield.
+   */
+  this.moveShield = function (index, x, y) {
+    var area = this.SHIELD_AREA;
+    var shield = shields[index];
+    shield.setX(Math.round(Math.max(area.x, Math.min(area.x + area.width - shield.getWidth(), x))));
+    shield.setY(Math.round(Math.max(area.y, Math.min(area.y + area.height - shield.getHeight(), y))));
+  }
 
-  // initialize the 3rd table row text.
-  tableRow3Text = new SpaceInvaders.TextEntity(game);
-  tableRow3Text.setText("= 20 POINTS");
-  tableRow3Text.setX(tableRow1Text.getX());
-  tableRow3Text.setY(tableRow3Sprite.getY() + 22);
+  /** *************************************************************************
+   * Change the starting height of the formation by the given amount of steps.
+   * @param {number} steps The amount of steps (negative to move upwards).
+   */
+  this.changeStartY = function (steps) {
+    var startY = wave.startY + (steps * this.START_Y_STEP);
+    wave.startY = Math.max(this.START_Y_MIN, Math.min(this.START_Y_MAX, startY));
+    this.refresh();
+  }
 
-  // initialize the 4th table row sprite image.
-  tableRow4Sprite = new SpaceInvaders.SpriteEntity(game);
-  tableRow4Sprite.setImage(game.getSpriteSheet());
-  tableRow4Sprite.setX(playText.getX() - 125);
-  tableRow4Sprite.setY(tableRow3Sprite.getY() + 35);
-  tableRow4Sprite.setWidth(36);
-  tableRow4Sprite.setHeight(24);
-  tableRow4Sprite.setClipX(5);
-  tableRow4Sprite.setClipY(5);
+  /** *************************************************************************
+   * Change the speed of the aliens by the given amount.
+   * @param {number} amount The amount to change the speed by.
+   */
+  this.changeSpeed = function (amount) {
+    var speed = Math.max(this.SPEED_MIN, Math.min(this.SPEED_MAX, this.getSpeed() + amount));
+    wave.stepSize = (60 - (5 * speed));
+    this.refresh();
+  }
 
-  // initialize the 4th table row text.
-  tableRow4Text = new SpaceInvaders.TextEntity(game);
-  tableRow4Text.setText("= 10 POINTS");
-  tableRow4Text.setX(tableRow1Text.getX());
-  tableRow4Text.setY(tableRow4Sprite.getY() + 22);
+  /** *************************************************************************
+   * Get the speed of the aliens derived from the step size of the wave.
+   * @return {number} The speed of the aliens.
+   */
+  this.getSpeed = function () {
+    return Math.round((60 - wave.stepSize) / 5);
+  }
+
+  /** *************************************************************************
+   * Playtest the edited wave.
+   * @return {boolean} A definition whether the playtest was started.
+   */
+  this.playtest = function () {
+    if (!game.startPlaytest(this.exportData())) {
+      this.showMessage("PLACE AT LEAST ONE ALIEN", true);
+      return false;
+    }
+    return true;
+  }
+
+  /** *************************************************************************
+   * Export the edited wave into a file downloaded by the browser.
+   */
+  this.download = function () {
+    if (typeof document == "undefined" || typeof URL == "undefined" || !URL.createObjectURL) {
+      return;
+    }
+    var blob = new Blob([this.exportJSON()], { type: "application/json" });
+    var link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = this.EXPORT_FILE_NAME;
+    link.click();
+    URL.revokeObjectURL(link.href);
+    this.showMessage("WAVE EXPORTED", false);
+  }
+
+  /** *************************************************************************
+   * Let the user choose a file and import the edited wave from it.
+   */
+  this.upload = function () {
+    if (typeof document == "undefined" || typeof FileReader == "undefined") {
+      return;
+    }
+    var fileInput = document.createElement("input");
+    fileInput.type = "file";
+    fileInput.accept = ".json,application/json";
+    fileInput.addEventListener("change", function () {
+      if (fileInput.files.length > 0) {
+        var reader = new FileReader();
+        reader.onload = function () {
+          this.importJSON(reader.result);
+        }.bind(this);
+        reader.readAsText(fileInput.files[0]);
+      }
+    }.bind(this));
+    fileInput.click();
+  }
+
+  /** *************************************************************************
+   * Close the editor and return back to the options.
+   */
+  this.close = function () {
+    game.getScene().setState(new SpaceInvaders.OptionsState(game));
+  }
 
   /** *************************************************************************
    * Update (i.e. tick) the the logic within the state.
    * @param {double} dt The delta time from the previous tick operation.
    */
   this.update = function (dt) {
-    playText.update(dt);
-    nameText.update(dt);
-    singlePlayerText.update(dt);
-    multiPlayerText.update(dt);
-    controlsText.update(dt);
-    tableCaptionText.update(dt);
+    var input = game.getInput();
+    var keys = input.getPressedKeys();
+
+    // move the cursor within the grid and cycle the alien type of the cell.
+    if (input.wasPressed(input.MOVE_LEFT)) {
+      cursor = (cursor % this.GRID_COLUMNS == 0 ? cursor + this.GRID_COLUMNS - 1 : cursor - 1);
+    } else if (input.wasPressed(input.MOVE_RIGHT)) {
+      cursor = ((cursor + 1) % this.GRID_COLUMNS == 0 ? cursor - this.GRID_COLUMNS + 1 : cursor + 1);
+    } else if (input.wasPressed(input.MOVE_UP)) {
+      cursor = ((cursor - this.GRID_COLUMNS + cells.length) % cells.length);
+    } else if (input.wasPressed(input.MOVE_DOWN)) {
+      cursor = ((cursor + this.GRID_COLUMNS) % cells.length);
+    } else if (input.wasPressed(input.FIRE)) {
+      this.cycleCell(cursor);
+    } else if (keys.indexOf("PageUp") != -1) {
+      this.changeStartY(-1);
+    } else if (keys.indexOf("PageDown") != -1) {
+      this.changeStartY(1);
+    } else if (keys.indexOf("Minus") != -1 || keys.indexOf("NumpadSubtract") != -1) {
+      this.changeSpeed(-1);
+    } else if (keys.indexOf("Equal") != -1 || keys.indexOf("NumpadAdd") != -1) {
+      this.changeSpeed(1);
+    } else if (input.wasPressed(input.CONFIRM)) {
+      this.playtest();
+    } else if (input.wasPressed(input.BACK)) {
+      this.close();
+    } else {
+      this.updatePointer(input.getPointer());
+    }
+  }
+
+  /** *************************************************************************
+   * Handle the pointer presses on the buttons, cells and shields.
+   * @param {Object} pointer The sampled state of the pointer.
+   */
+  this.updatePointer = function (pointer) {
+    // drag the grabbed shield along with the pointer.
+    if (dragShield != -1) {
+      this.moveShield(dragShield, pointer.x - dragOffset.x, pointer.y - dragOffset.y);
+      if (!pointer.down) {
+        dragShield = -1;
+      }
+      return;
+    }
+    if (!pointer.pressed) {
+      return;
+    }
+
+    var x = pointer.x;
+    var y = pointer.y;
+    if (heightDownText.containsPoint(x, y)) {
+      this.changeStartY(-1);
+    } else if (heightUpText.containsPoint(x, y)) {
+      this.changeStartY(1);
+    } else if (speedDownText.containsPoint(x, y)) {
+      this.changeSpeed(-1);
+    } else if (speedUpText.containsPoint(x, y)) {
+      this.changeSpeed(1);
+    } else if (playText.containsPoint(x, y)) {
+      this.playtest();
+    } else if (exportText.containsPoint(x, y)) {
+      this.download();
+    } else if (importText.containsPoint(x, y)) {
+      this.upload();
+    } else if (backText.containsPoint(x, y)) {
+      this.close();
+    } else {
+      // grab the shield under the pointer or cycle the cell under the pointer.
+      for (var i = shields.length - 1; i >= 0; i--) {
+        if (shields[i].containsPixel(x, y)) {
+          dragShield = i;
+          dragOffset = { x: x - shields[i].getX(), y: y - shields[i].getY() };
+          return;
+        }
+      }
+      var cell = this.findCell(x, y);
+      if (cell != -1) {
+        cursor = cell;
+        this.cycleCell(cell);
+      }
+    }
   }
 
   /** *************************************************************************
@@ -1274,24 +7339,36 @@ SpaceInvaders.WelcomeState = function (game) {
    * @param {CanvasRenderingContext2D} ctx The drawing context to use.
    */
   this.render = function (ctx) {
-    playText.render(ctx);
-    nameText.render(ctx);
-    singlePlayerText.render(ctx);
-    multiPlayerText.render(ctx);
-    controlsText.render(ctx);
-    tableCaptionText.render(ctx);
-
-    // render score advance table row sprites.
-    tableRow1Sprite.render(ctx);
-    tableRow2Sprite.render(ctx);
-    tableRow3Sprite.render(ctx);
-    tableRow4Sprite.render(ctx);
+    captionText.render(ctx);
+    heightDownText.render(ctx);
+    heightText.render(ctx);
+    heightUpText.render(ctx);
+    speedDownText.render(ctx);
+    speedText.render(ctx);
+    speedUpText.render(ctx);
+
+    // outline the grid cells and highlight the cell under the cursor.
+    ctx.save();
+    ctx.lineWidth = 1;
+    for (var i = 0; i < cells.length; i++) {
+      var bounds = this.getCellBounds(i);
+      ctx.strokeStyle = (i == cursor ? this.SELECTED_FILL_STYLE : "rgba(255, 255, 255, 0.15)");
+      ctx.strokeRect(bounds.x + 0.5, bounds.y + 0.5, bounds.width - 1, bounds.height - 1);
+    }
+    ctx.restore();
 
-    // render score advance table row texts.
-    tableRow1Text.render(ctx);
-    tableRow2Text.render(ctx);
-    tableRow3Text.render(ctx);
-    tableRow4Text.render(ctx);
+    for (var i = 0; i < alienSprites.length; i++) {
+      alienSprites[i].render(ctx);
+    }
+    for (var i = 0; i < shields.length; i++) {
+      shields[i].render(ctx);
+    }
+    footerLine.render(ctx);
+    messageText.render(ctx);
+    playText.render(ctx);
+    exportText.render(ctx);
+    importText.render(ctx);
+    backText.render(ctx);
   }
 
   /** *************************************************************************
@@ -1301,81 +7378,152 @@ SpaceInvaders.WelcomeState = function (game) {
    * for a first time. This makes it an ideal place to put all listener logic.
    */
   this.enter = function () {
-    document.addEventListener("keyup", this.keyUp);
+    // ...
   }
 
   /** *************************************************************************
    * A function that is called when the state is being exited.
    *
    * This function is called after the state is being updated (i.e. ticked)
-   * for the last time. This makes it an ideal place to cleanup listeners etc.
-   */
-  this.exit = function () {
-    document.removeEventListener("keyup", this.keyUp);
-  }
-
-  /** *************************************************************************
-   * A key listener function called when the user releases a key press.
-   * @param {KeyboardEvent} e The keyboard event received from the DOM.
-   */
-  this.keyUp = function (e) {
-    var key = e.keyCode ? e.keyCode : e.which;
-    switch (key) {
-      case game.KEY_1:
-        game.setPlayerCount(1);
-        game.setActivePlayer(1);
-        break;
-      case game.KEY_2:
-        game.setPlayerCount(2);
-        game.setActivePlayer(1);
-        break;
-    }
+   * for the last time. This makes it an ideal place to cleanup listeners etc.
+   */
+  this.exit = function () {
+    // ...
   }
+
+  this.getCursor = function () { return cursor; }
+  this.getCells = function () { return cells.slice(); }
+  this.getShields = function () { return shields; }
+  this.getStartY = function () { return wave.startY; }
+
+  this.setCursor = function (newCursor) { cursor = newCursor; }
+
+  // edit the given wave set or the first wave of the classic waves.
+  var input = game.getInput();
+  if (!data || !this.importData(data)) {
+    var classic = game.getWaves().DEFAULT_WAVES;
+    this.importData({
+      version: classic.version,
+      alienTypes: classic.alienTypes,
+      defaults: classic.defaults,
+      waves: [classic.waves[0]]
+    });
+  }
+  this.showMessage("[" + input.getKeyName(input.FIRE) + "] CHANGES THE ALIEN, DRAG THE SHIELDS", false);
 }
 
 /** ***************************************************************************
- * A starting state to indicate that the player should prepare to play.
+ * A lobby state where the player waits for an online versus opponent.
  *
- * This scene creates a simple "PLAY PLAYER<?>" text for the next player that
- * should prepare itself to play the game. This is a typical transition between
- * the players when the multiplayer game mode is being used.
+ * This state connects into the relay server and joins its lobby. The relay
+ * server pairs two waiting players of the same difficulty into a match and
+ * gives both of them the same seed, so both players play mirrored waves. The
+ * online versus game is started as soon as the match has been found, and the
+ * credit of the game is only used at that point. Waiting can be cancelled with
+ * the back action (or a tap), which returns back to the welcome state.
  *
  * @param {SpaceInvaders.Game} game A reference to the root game instance.
+ * @param {SpaceInvaders.Network} network An optional network to be connected.
  */
-SpaceInvaders.PlayPlayerState = function (game) {
-
-  /** A constant definition of ticks before this state automatically proceeds. */
-  this.VISIBILITY_TICKS = (30 * 5);
-
-  /** A counter of ticks before automatically proceeding to next state. */
-  var tickCounter = this.VISIBILITY_TICKS;
-  /** A text entity to be shown. */
-  var text;
+SpaceInvaders.VersusState = function (game, network) {
+  /** A reference to the root game instance. */
+  this.game = game;
 
-  // initialize the text describing the player to play next.
-  text = new SpaceInvaders.TextEntity(game);
-  text.setText("PLAY PLAYER<" + game.getActivePlayer() + ">");
-  text.setAlign("center");
-  text.setX(672 / 2);
-  text.setY(400);
+  /** A constant fill style of the connection failure. */
+  this.WARNING_FILL_STYLE = "#ff2020";
+
+  var captionText;
+  var statusText;
+  var urlText;
+  var cancelText;
+
+  // use a new network connection unless a network was given.
+  network = (network || new SpaceInvaders.Network());
+
+  // initialize the caption text.
+  captionText = new SpaceInvaders.TextEntity(game);
+  captionText.setText("-- ONLINE VERSUS --");
+  captionText.setAlign("center");
+  captionText.setX(SpaceInvaders.WIDTH / 2);
+  captionText.setY(250);
+
+  // initialize the text that describes the state of the connection.
+  statusText = new SpaceInvaders.TextEntity(game);
+  statusText.setText("CONNECTING...");
+  statusText.setAlign("center");
+  statusText.setX(captionText.getX());
+  statusText.setY(captionText.getY() + 100);
+  statusText.setBlinkCount(-1);
+  statusText.setBlinkFrequency(30);
+  statusText.blink();
+
+  // initialize the text that shows the address of the relay server.
+  urlText = new SpaceInvaders.TextEntity(game);
+  urlText.setText(game.getVersusURL());
+  urlText.setAlign("center");
+  urlText.setFont("18pt monospace");
+  urlText.setX(captionText.getX());
+  urlText.setY(statusText.getY() + 50);
+
+  // initialize the text that describes how to cancel the waiting.
+  cancelText = new SpaceInvaders.TextEntity(game);
+  cancelText.setAlign("center");
+  cancelText.setFont("18pt monospace");
+  cancelText.setX(captionText.getX());
+  cancelText.setY(700);
 
   /** *************************************************************************
    * Update (i.e. tick) the the logic within the state.
    * @param {double} dt The delta time from the previous tick operation.
    */
   this.update = function (dt) {
-    tickCounter--;
-    if (tickCounter <= 0) {
-      game.getScene().setState(new SpaceInvaders.IngameState(game));
+    statusText.update(dt);
+
+    var input = game.getInput();
+    cancelText.setText(input.isTouchEnabled() ? "TAP HERE TO CANCEL"
+      : "PRESS [" + input.getKeyName(input.BACK) + "] TO CANCEL");
+    if (input.wasPressed(input.BACK) || cancelText.isTapped(input.getTaps())) {
+      network.close();
+      game.getScene().setState(new SpaceInvaders.WelcomeState(game));
+      return;
+    }
+
+    // react to the messages from the relay server.
+    var messages = network.poll();
+    for (var i = 0; i < messages.length; i++) {
+      var message = messages[i];
+      if (message.type == network.WAITING) {
+        statusText.setText("WAITING FOR AN OPPONENT");
+      } else if (message.type == network.MATCH) {
+        game.useCredits(1);
+        game.startVersus(network, message.seed >>> 0);
+        return;
+      } else if (message.type == network.CLOSED) {
+        this.fail();
+      }
     }
   }
 
+  /** *************************************************************************
+   * Show that the connection into the relay server has failed.
+   */
+  this.fail = function () {
+    statusText.setText("CONNECTION FAILED");
+    statusText.setFillStyle(this.WARNING_FILL_STYLE);
+    statusText.setVisible(true);
+    statusText.setBlinkCount(0);
+    statusText.blink();
+  }
+
   /** *************************************************************************
    * Render (i.e. draw) the state on the screen.
    * @param {CanvasRenderingContext2D} ctx The drawing context to use.
    */
   this.render = function (ctx) {
-    text.render(ctx);
+    captionText.render(ctx);
+    statusText.render(ctx);
+    urlText.render(ctx);
+    cancelText.render(ctx);
   }
 
   /** *************************************************************************
@@ -1385,7 +7533,9 @@ SpaceInvaders.PlayPlayerState = function (game) {
    * for a first time. This makes it an ideal place to put all listener logic.
    */
   this.enter = function () {
-    // ...
+    if (!network.connect(game.getVersusURL(), game.getDifficulty().id)) {
+      this.fail();
+    }
   }
 
   /** *************************************************************************
@@ -1397,6 +7547,9 @@ SpaceInvaders.PlayPlayerState = function (game) {
   this.exit = function () {
     // ...
   }
+
+  this.getNetwork = function () { return network; }
+  this.getStatusText = function () { return statusText; }
 }
 
 /** ***************************************************************************
@@ -1404,7 +7557,8 @@ SpaceInvaders.PlayPlayerState = function (game) {
  *
  * This is the state where the player(s) actually play the game. Here we allow
  * users to move and fire with the turret so they can prevent the earth from
- * being invaded by the invaders coming from the space.
+ * being invaded by the invaders coming from the space. With the deluxe rules
+ * the destroyed aliens and the flying saucer also drop power-up capsules.
  *
  * @param {SpaceInvaders.Game} game A reference to the root game instance.
  */
@@ -1412,10 +7566,12 @@ SpaceInvaders.IngameState = function (game) {
   /** A reference to the root game instance. */
   this.game = game;
 
-  /** A constant starting step size for the aliens. */
-  this.ALIEN_START_STEP_SIZE = 55;
+  /** A constant definition whether the state hides the credit (the co-op lives use the corner). */
+  this.HIDES_CREDIT = game.isCoop();
   /** A constant amount to decrement step size on each collided alien. */
   this.ALIEN_STEP_DECREMENT_SIZE = 1;
+  /** A constant minimum step size of the aliens (the formation turns only on a step). */
+  this.ALIEN_MIN_STEP_SIZE = 1;
 
   /** A constant index for the plunger shot column array start index. */
   this.ALIEN_PLUNGER_SHOT_START_INDEX = 0;
@@ -1424,22 +7580,80 @@ SpaceInvaders.IngameState = function (game) {
   /** A constant amount of shot indices per shot type (round-robin). */
   this.ALIEN_SHOT_INDICE_COUNT = 15;
 
-  /** A constant time interval between appending the flying saucer. */
-  this.FLYING_SAUCER_INTERVAL = 1200;
   /** A time that is waited after player avatar gets destroyed. */
   this.RELAUNCH_WAIT_TIME = 150;
+  /** A constant minimum amount of ticks between the alien march notes. */
+  this.MARCH_MIN_INTERVAL = 5;
+  /** A constant amount of ticks between saving the game progress. */
+  this.SAVE_INTERVAL = (60 * 5);
+  /** A constant maximum amount of ticks the demo game is played. */
+  this.DEMO_MAX_TICKS = (60 * 45);
+  /** A constant amount of ticks the game over text is shown in the demo game. */
+  this.DEMO_GAME_OVER_TICKS = (60 * 3);
+  /** A constant minimum y-position of the attacker rows sent by the versus opponent. */
+  this.ATTACKER_MIN_Y = 144;
+  /** A constant maximum amount of the reserved life sprites (incl. the bonus life). */
+  this.MAX_LIFE_SPRITES = Math.max.apply(Math, game.getSettings().LIVES_OPTIONS);
+  /** A constant horizontal spacing between the reserved life sprites. */
+  this.LIFE_SPRITE_SPACING = 44;
+  /** A constant list of the power-ups of the deluxe rules. */
+  this.POWER_UPS = ["spread", "rapid", "barrier", "repair"];
+  /** A constant definition of the labels of the power-up timers on the HUD. */
+  this.POWER_UP_LABELS = { spread: "SPREAD", rapid: "RAPID", barrier: "BARRIER", repair: "REPAIR" };
+  /** A constant definition of the amount of ticks each power-up lasts. */
+  this.POWER_UP_TICKS = { spread: (60 * 10), rapid: (60 * 10), barrier: (60 * 8), repair: (60 * 3) };
+  /** A constant chance of a destroyed alien to drop a capsule (the saucer always drops one). */
+  this.CAPSULE_DROP_CHANCE = 0.1;
+  /** A constant falling velocity of the capsules. */
+  this.CAPSULE_VELOCITY = 0.1;
+  /** A constant amount of extra lasers of each avatar for the spread shot and the rapid fire. */
+  this.SPARE_LASER_COUNT = 4;
+  /** A constant x-axis direction of the side lasers of the spread shot. */
+  this.SPREAD_DIRECTION_X = 0.2;
+  /** A constant amount of pixels restored into each shield on each tick of the shield repair. */
+  this.REPAIR_PIXELS = 24;
+  /** A constant amount of the debris particles of a destroyed alien. */
+  this.ALIEN_DEBRIS_COUNT = 12;
+  /** A constant maximum velocity of the debris particles of a destroyed alien. */
+  this.ALIEN_DEBRIS_SPEED = 0.12;
+  /** A constant amount of the particles of the flying saucer burst. */
+  this.SAUCER_BURST_COUNT = 32;
+  /** A constant maximum velocity of the particles of the flying saucer burst. */
+  this.SAUCER_BURST_SPEED = 0.2;
+  /** A constant fill style (i.e. color) of the particles of the flying saucer burst. */
+  this.SAUCER_BURST_FILL_STYLE = "#ff2020";
+  /** A constant amount of the fragment particles of a shield hit. */
+  this.SHIELD_FRAGMENT_COUNT = 6;
+  /** A constant maximum velocity of the fragment particles of a shield hit. */
+  this.SHIELD_FRAGMENT_SPEED = 0.08;
 
   /** A reference to the currently active player context. */
   var ctx = game.getActiveContext();
+  /** The contexts of the players on the field (both players in the co-op game). */
+  var avatarContexts = (game.isCoop() ? [game.getPlayer1Context(), game.getPlayer2Context()] : [ctx]);
+  /** A reference to the wave definition of the current level. */
+  var wave = game.getWaves().getWave(ctx.getLevel());
+  /** A reference to the difficulty preset of the game. */
+  var difficulty = game.getDifficulty();
+  /** A definition whether the game is played with the deluxe (power-up) rules. */
+  var deluxe = game.isDeluxe();
 
   var footerLine;
-  var avatar;
-  var avatarLaser;
+  var avatars;
+  var avatarLasers;
   var avatarLaserCount;
-  var lifesText;
+  var spareLasers;
+  var barriers;
+  var powerUpTexts;
+  var lifesTexts;
   var lifeSprites;
   var gameOverText;
   var gameOverInstructions;
+  var pausedText;
+  var pausedInstructions;
+  var touchOverlay;
+  var replayText;
+  var versusResultText;
 
   var leftOutOfBoundsDetector;
   var rightOutOfBoundsDetector;
@@ -1452,7 +7666,7 @@ SpaceInvaders.IngameState = function (game) {
 
   var flyingSaucer;
   /** The counter to count when the flying saucer is launched. */
-  var flyingSaucerCounter = this.FLYING_SAUCER_INTERVAL;
+  var flyingSaucerCounter = difficulty.saucerInterval;
   /** The flying saucer point table used along with player shot counter. */
   var flyingSaucerPointTable = [
     100, 50, 50, 100, 150, 100, 100, 50, 300, 100, 100, 100, 50, 150, 100
@@ -1469,44 +7683,108 @@ SpaceInvaders.IngameState = function (game) {
   /** A lock used to prevent rolling shot to be created constantly. */
   var alienRollingShotLock = 0;
 
-  /** A counter used to wait before re-launching the game after avatar destruction. */
-  var relaunchCounter = 0;
+  /** The counters used to wait before re-launching the game after avatar destruction. */
+  var relaunchCounters = avatarContexts.map(function () { return 0; });
+
+  /** The falling power-up capsules of the deluxe rules. */
+  var capsules = [];
+  /** The remaining ticks of each power-up of each avatar in the deluxe rules. */
+  var powerUpTicks = avatarContexts.map(function () {
+    return { spread: 0, rapid: 0, barrier: 0, repair: 0 };
+  });
+
+  /** A definition whether the game is currently paused. */
+  var paused = false;
+
+  /** A counter of ticks before the next alien march note is played. */
+  var marchCounter = undefined;
+  /** A counter of ticks before the game progress is saved. */
+  var saveCounter = this.SAVE_INTERVAL;
+  /** A counter of ticks before the demo game is ended. */
+  var demoPlayCounter = this.DEMO_MAX_TICKS;
+  /** A counter of ticks before the ended demo game returns to the welcome state. */
+  var demoCounter = this.DEMO_GAME_OVER_TICKS;
 
   var shields;
 
   this.getAlienReloadRate = function () {
-    // return a reload rate based on the current score.
-    var currentScore = ctx.getScore();
-    if (currentScore <= 200) {
-      return 48;
-    } else if (currentScore <= 1000) {
-      return 16;
-    } else if (currentScore <= 2000) {
-      return 11;
-    } else if (currentScore <= 3000) {
-      return 8;
-    } else {
-      return 7;
+    // return a reload rate based on the current (or the best co-op) score.
+    var currentScore = 0;
+    for (var i = 0; i < avatarContexts.length; i++) {
+      currentScore = Math.max(currentScore, avatarContexts[i].getScore());
     }
+    // use the rate of the first score band of the difficulty that contains the score.
+    var band = 0;
+    while (band < difficulty.reloadScores.length && currentScore > difficulty.reloadScores[band]) {
+      band++;
+    }
+    return difficulty.reloadRates[band];
+  }
+
+  this.getAlienStartVelocity = function () {
+    // return the alien velocity of the current wave scaled by the difficulty.
+    return wave.velocity * difficulty.alienVelocityScale;
+  }
+
+  this.getAlienStartStepSize = function () {
+    // return the alien step size of the current wave scaled by the difficulty.
+    return Math.max(1, Math.round(wave.stepSize * difficulty.alienStepScale));
   }
 
   this.getAlienStartY = function () {
-    // return the topmost alien starting y-position based on the current level.
-    var level = Math.max(1, (ctx.getLevel() % 10));
-    var start = 192;
-    if (level > 1) {
-      start += 48;
-    }
-    if (level > 2) {
-      start += 24;
-    }
-    if (level > 3) {
-      start += 24;
-    }
-    if (level > 5) {
-      start += 24;
+    // return the topmost alien starting y-position based on the current wave.
+    return wave.startY;
+  }
+
+  /** *************************************************************************
+   * Create a new alien of the given type into the given formation cell.
+   * @param {Object} type The alien type of the wave definition.
+   * @param {number} row The row within the alien formation.
+   * @param {number} column The column within the alien formation.
+   * @return {SpaceInvaders.AlienEntity} The alien at the top-left of the scene.
+   */
+  this.createAlien = function (type, row, column) {
+    var alien = new SpaceInvaders.AlienEntity(game);
+    alien.setImage(game.getSpriteSheet());
+    alien.setRow(row);
+    alien.setColumn(column);
+    alien.setPoints(type.points);
+    alien.setDirectionX(1);
+    alien.setVelocity(this.getAlienStartVelocity());
+    alien.setAnimationStepSize(this.getAlienStartStepSize());
+    alien.setStepSize(this.getAlienStartStepSize());
+    alien.setWidth(type.width);
+    alien.setHeight(type.height);
+    for (var i = 0; i < type.frames.length; i++) {
+      var frame = type.frames[i];
+      alien.addAnimationFrame(frame[0], frame[1], frame[2], frame[3]);
     }
-    return start;
+    alien.setAnimationFrameIndex(0);
+    return alien;
+  }
+
+  /** *************************************************************************
+   * Create a new hidden laser for an avatar.
+   * @return {SpaceInvaders.AvatarLaser} The laser ready to be shot.
+   */
+  this.createLaser = function () {
+    var avatarLaser = new SpaceInvaders.AvatarLaser(game);
+    avatarLaser.setImage(game.getSpriteSheet());
+    avatarLaser.setWidth(6);
+    avatarLaser.setHeight(9);
+    avatarLaser.setX(0);
+    avatarLaser.setY(0);
+    avatarLaser.setVelocity(0.75);
+    avatarLaser.setDirectionY(-1);
+    avatarLaser.setVisible(false);
+    avatarLaser.setEnabled(false);
+    avatarLaser.addAnimationFrame(80, 36, 6, 9);
+    avatarLaser.addAnimationFrame(131, 5, 39, 24);
+    avatarLaser.addAnimationFrame(175, 5, 39, 24);
+    avatarLaser.addAnimationFrame(251, 37, 24, 24);
+    avatarLaser.setAnimationStepSize(0);
+    avatarLaser.setAnimationFrameIndex(0);
+    return avatarLaser;
   }
 
   this.constructAliens = function () {
@@ -1514,86 +7792,127 @@ SpaceInvaders.IngameState = function (game) {
     if (aliens == undefined) {
       aliens = [];
       var startRow = this.getAlienStartY();
-      for (row = 0; row < 5; row++) {
-        var y = startRow + (24 * 2 * row);
-        var x = 66;
-        for (col = 0; col < 11; col++) {
-          var alien = new SpaceInvaders.AnimatedMovableSpriteEntity(game);
-          alien.setImage(game.getSpriteSheet());
-          alien.setDirectionX(1);
-          alien.setVelocity(0.4);
-          alien.setAnimationStepSize(this.ALIEN_START_STEP_SIZE);
-          alien.setStepSize(this.ALIEN_START_STEP_SIZE);
-          alien.setY(y);
-          alien.setHeight(24);
-          if (row == 0) {
-            alien.setWidth(24);
-            alien.setX(x + 6 + (col * 2 * 24));
-            alien.addAnimationFrame(5, 62, 24, 24);
-            alien.addAnimationFrame(34, 62, 24, 24);
-          } else if (row < 3) {
-            alien.setWidth(33);
-            alien.setX(x + 1 + (col * 2 * 24));
-            alien.addAnimationFrame(5, 33, 33, 24);
-            alien.addAnimationFrame(43, 33, 33, 24);
-          } else {
-            alien.setWidth(36);
-            alien.setX(x + (col * 2 * 24));
-            alien.addAnimationFrame(5, 5, 36, 24);
-            alien.addAnimationFrame(46, 5, 36, 24);
+      for (var row = 0; row < wave.rows; row++) {
+        var y = startRow + (wave.rowSpacing * row);
+        for (var col = 0; col < wave.columns; col++) {
+          // skip the empty cells of the formation.
+          var type = wave.cells[(row * wave.columns) + col];
+          if (type == undefined) {
+            continue;
           }
-          alien.setAnimationFrameIndex(0);
+          var alien = this.createAlien(type, row, col);
+          alien.setY(y);
+          alien.setX(wave.startX + (type.offsetX || 0) + (col * wave.columnSpacing));
           aliens.push(alien);
         }
       }
     }
   }
 
+  /** *************************************************************************
+   * Add a row of attackers sent by the online versus opponent.
+   *
+   * The new row is placed above the topmost visible row and each column gets
+   * the alien type of its bottommost formation cell. The whole formation is
+   * pushed down when there is no room for the new row above it. The attackers
+   * join the formation, so they march with the same direction. The step size
+   * grows by the decrement of each attacker, so the formation still speeds up
+   * by the amount of the remaining aliens.
+   *
+   * @return {boolean} A definition whether the row was added.
+   */
+  this.addAttackerRow = function () {
+    // find the topmost visible alien to align the new row with the formation.
+    var reference = undefined;
+    for (var i = 0; i < aliens.length; i++) {
+      if (aliens[i].isVisible() && (reference == undefined || aliens[i].getRow() < reference.getRow())) {
+        reference = aliens[i];
+      }
+    }
+    if (reference == undefined) {
+      return false;
+    }
+
+    // push the formation down until there is room for the new row.
+    var centerY = reference.getCenterY() - wave.rowSpacing;
+    while (centerY - (reference.getHeight() / 2) < this.ATTACKER_MIN_Y) {
+      for (i = 0; i < aliens.length; i++) {
+        aliens[i].setY(aliens[i].getY() + wave.rowSpacing);
+      }
+      centerY += wave.rowSpacing;
+    }
+
+    // create the new row with the bottommost alien type of each column.
+    var attackerCount = 0;
+    for (var col = 0; col < wave.columns; col++) {
+      var type = undefined;
+      for (var row = wave.rows - 1; row >= 0 && type == undefined; row--) {
+        type = wave.cells[(row * wave.columns) + col];
+      }
+      if (type == undefined) {
+        continue;
+      }
+      var alien = this.createAlien(type, reference.getRow() - 1, col);
+      alien.setDirectionX(reference.getDirectionX());
+      alien.setVelocity(reference.getVelocity());
+      alien.setAnimationFrameIndex(reference.getAnimationFrameIndex());
+      alien.setX(reference.getCenterX() + ((col - reference.getColumn()) * wave.columnSpacing)
+        - (alien.getWidth() / 2));
+      alien.setY(centerY - (alien.getHeight() / 2));
+      aliens.push(alien);
+      attackerCount++;
+    }
+
+    // keep the whole formation in the same step.
+    var stepSize = reference.getStepSize() + (attackerCount * this.ALIEN_STEP_DECREMENT_SIZE);
+    for (i = 0; i < aliens.length; i++) {
+      aliens[i].setStepSize(stepSize);
+      aliens[i].setAnimationStepSize(stepSize);
+    }
+    return true;
+  }
+
+  /** *************************************************************************
+   * Check whether all aliens of the given formation row have been destroyed.
+   * @param {number} row The row within the alien formation.
+   * @return {boolean} A definition whether the row has been cleared.
+   */
+  this.isRowCleared = function (row) {
+    return !aliens.some(function (alien) {
+      return alien.getRow() == row && alien.isVisible();
+    });
+  }
+
   this.constructShields = function () {
     shields = ctx.getShieldStates();
     if (shields == undefined) {
-      var shield1 = new SpaceInvaders.Shield(game);
-      shield1.setImage(game.getSpriteSheet());
-      shield1.setWidth(66);
-      shield1.setHeight(48);
-      shield1.setClipX(293);
-      shield1.setClipY(5);
-      shield1.setX(135 - shield1.getWidth() / 2);
-      shield1.setY(575);
-
-      var shield2 = new SpaceInvaders.Shield(game);
-      shield2.setImage(game.getSpriteSheet());
-      shield2.setWidth(66);
-      shield2.setHeight(48);
-      shield2.setClipX(293);
-      shield2.setClipY(5);
-      shield2.setX(269 - shield2.getWidth() / 2);
-      shield2.setY(575);
-
-      var shield3 = new SpaceInvaders.Shield(game);
-      shield3.setImage(game.getSpriteSheet());
-      shield3.setWidth(66);
-      shield3.setHeight(48);
-      shield3.setClipX(293);
-      shield3.setClipY(5);
-      shield3.setX(403 - shield3.getWidth() / 2);
-      shield3.setY(575);
-
-      var shield4 = new SpaceInvaders.Shield(game);
-      shield4.setImage(game.getSpriteSheet());
-      shield4.setWidth(66);
-      shield4.setHeight(48);
-      shield4.setClipX(293);
-      shield4.setClipY(5);
-      shield4.setX(537 - shield4.getWidth() / 2);
-      shield4.setY(575);
-
       shields = [];
-      shields.push(shield1);
-      shields.push(shield2);
-      shields.push(shield3);
-      shields.push(shield4);
+      for (var i = 0; i < wave.shields.length; i++) {
+        var shield = new SpaceInvaders.Shield(game);
+        shield.setWidth(66);
+        shield.setHeight(48);
+        shield.setX(wave.shields[i].x);
+        shield.setY(wave.shields[i].y);
+        shields.push(shield);
+      }
+    }
+  }
+
+  /** *************************************************************************
+   * Get the bottommost visible alien within the given formation column.
+   * @param {number} column The column within the alien formation.
+   * @return {SpaceInvaders.AlienEntity} The alien or undefined if none.
+   */
+  this.getBottomAlien = function (column) {
+    var bottom = undefined;
+    for (var i = 0; i < aliens.length; i++) {
+      if (aliens[i].getColumn() == column && aliens[i].isVisible()) {
+        if (bottom == undefined || aliens[i].getRow() > bottom.getRow()) {
+          bottom = aliens[i];
+        }
+      }
     }
+    return bottom;
   }
 
   // initialize the green static footer line at the bottom of the screen.
@@ -1601,64 +7920,99 @@ SpaceInvaders.IngameState = function (game) {
   footerLine.setImage(game.getSpriteSheet());
   footerLine.setX(0);
   footerLine.setY(717);
-  footerLine.setWidth(672);
+  footerLine.setWidth(SpaceInvaders.WIDTH);
   footerLine.setHeight(3);
   footerLine.setClipX(0);
   footerLine.setClipY(117);
 
-  // initialize the green avatar moved by the player.
-  avatar = new SpaceInvaders.AvatarEntity(game, this);
-  avatar.setImage(game.getSpriteSheet());
-  avatar.setWidth(40);
-  avatar.setHeight(24);
-  avatar.setX(45);
-  avatar.setY(648);
-  avatar.setVelocity(0.25);
-  avatar.addAnimationFrame(86, 5, 40, 24);
-  avatar.setAnimationFrameIndex(0);
-
-  // initialize a single laser for the avatar.
-  // we can reuse the same laser instance for the avatar.
-  avatarLaser = new SpaceInvaders.AvatarLaser(game);
-  avatarLaser.setImage(game.getSpriteSheet());
-  avatarLaser.setWidth(6);
-  avatarLaser.setHeight(9);
-  avatarLaser.setX(0);
-  avatarLaser.setY(0);
-  avatarLaser.setVelocity(0.75);
-  avatarLaser.setDirectionY(-1);
-  avatarLaser.setVisible(false);
-  avatarLaser.setEnabled(false);
-  avatarLaser.addAnimationFrame(80, 36, 6, 9);
-  avatarLaser.addAnimationFrame(131, 5, 39, 24);
-  avatarLaser.addAnimationFrame(175, 5, 39, 24);
-  avatarLaser.addAnimationFrame(251, 37, 24, 24);
-  avatarLaser.setAnimationStepSize(0);
-  avatarLaser.setAnimationFrameIndex(0);
-  avatarLaserCount = 0;
-
-  // get the amount of lives for the current player.
-  var lives = ctx.getLives();
+  // initialize an avatar, a laser and a row of lives for each simultaneous player.
+  avatars = [];
+  avatarLasers = [];
+  spareLasers = [];
+  barriers = [];
+  powerUpTexts = [];
+  lifesTexts = [];
+  lifeSprites = [];
+  for (var p = 0; p < avatarContexts.length; p++) {
+    // the 2nd player of the co-op game is placed at the right side of the scene.
+    var mirrored = (p == 1);
+
+    // initialize the green avatar moved by the player.
+    var avatar = new SpaceInvaders.AvatarEntity(game, this);
+    avatar.setPlayer(game.isCoop() ? (p + 1) : game.getActivePlayer());
+    avatar.setStartX(mirrored ? (SpaceInvaders.WIDTH - 45 - 40) : 45);
+    avatar.setImage(game.getSpriteSheet());
+    avatar.setWidth(40);
+    avatar.setHeight(24);
+    avatar.setX(avatar.getStartX());
+    avatar.setY(648);
+    avatar.setVelocity(difficulty.avatarVelocity);
+    avatar.addAnimationFrame(86, 5, 40, 24);
+    avatar.setAnimationFrameIndex(0);
+    avatars.push(avatar);
+
+    // a co-op player without any lives left stays out of the game.
+    if (avatarContexts[p].getLives() <= 0) {
+      avatar.setEnabled(false);
+      avatar.setVisible(false);
+    }
 
-  // initialize the text indicating the amount lifes.
-  lifesText = new SpaceInvaders.TextEntity(game);
-  lifesText.setText(lives.toString());
-  lifesText.setX(27);
-  lifesText.setY(743);
+    // initialize a single laser for the avatar.
+    // we can reuse the same laser instance for the avatar.
+    avatarLasers.push(this.createLaser());
 
-  // initialize the sprites describing the reserved lives.
-  lifeSprites = [];
-  for (i = 0; i < (lives - 1); i++) {
-    var sprite = new SpaceInvaders.SpriteEntity(game);
-    sprite.setImage(game.getSpriteSheet());
-    sprite.setWidth(40);
-    sprite.setHeight(24);
-    sprite.setX(66 + i * 49);
-    sprite.setY(720);
-    sprite.setClipX(85);
-    sprite.setClipY(5);
-    lifeSprites.push(sprite);
+    // initialize the spare lasers, the barrier and the power-up timers of the deluxe rules.
+    var lasers = [];
+    for (var i = 0; deluxe && i < this.SPARE_LASER_COUNT; i++) {
+      lasers.push(this.createLaser());
+    }
+    spareLasers.push(lasers);
+
+    var barrier = new SpaceInvaders.BarrierEntity(game);
+    barrier.setWidth(72);
+    barrier.setHeight(4);
+    barrier.setY(avatar.getY() - 16);
+    barrier.setVisible(false);
+    barrier.setEnabled(false);
+    barriers.push(barrier);
+
+    var powerUpText = new SpaceInvaders.TextEntity(game);
+    powerUpText.setFont("14pt monospace");
+    powerUpText.setFillStyle("#20c0ff");
+    powerUpText.setAlign(mirrored ? "end" : "start");
+    powerUpText.setX(mirrored ? (SpaceInvaders.WIDTH - 27) : 27);
+    powerUpText.setY(708);
+    powerUpTexts.push(powerUpText);
+
+    // get the amount of lives for the player.
+    var lives = avatarContexts[p].getLives();
+
+    // initialize the text indicating the amount lifes.
+    var lifesText = new SpaceInvaders.TextEntity(game);
+    lifesText.setText(lives.toString());
+    lifesText.setAlign(mirrored ? "end" : "start");
+    lifesText.setX(mirrored ? (SpaceInvaders.WIDTH - 27) : 27);
+    lifesText.setY(743);
+    lifesTexts.push(lifesText);
+
+    // initialize the sprites describing the reserved lives (the bonus life included).
+    var sprites = [];
+    for (i = 0; i < this.MAX_LIFE_SPRITES; i++) {
+      var sprite = new SpaceInvaders.SpriteEntity(game);
+      sprite.setImage(game.getSpriteSheet());
+      sprite.setWidth(40);
+      sprite.setHeight(24);
+      var spriteX = (66 + i * this.LIFE_SPRITE_SPACING);
+      sprite.setX(mirrored ? (SpaceInvaders.WIDTH - spriteX - 40) : spriteX);
+      sprite.setY(720);
+      sprite.setClipX(85);
+      sprite.setClipY(5);
+      sprite.setVisible(i < (lives - 1));
+      sprites.push(sprite);
+    }
+    lifeSprites.push(sprites);
   }
+  avatarLaserCount = 0;
 
   // initialize the text that indicates that the game has ended.
   gameOverText = new SpaceInvaders.TextEntity(game);
@@ -1666,37 +8020,71 @@ SpaceInvaders.IngameState = function (game) {
   gameOverText.setFillStyle("#f50305");
   gameOverText.setText("GAME OVER");
   gameOverText.setVisible(false);
-  gameOverText.setX(672 / 2);
+  gameOverText.setX(SpaceInvaders.WIDTH / 2);
   gameOverText.setY(135);
 
   // initialize the text that indicates how to continue from game over.
   gameOverInstructions = new SpaceInvaders.TextEntity(game);
   gameOverInstructions.setAlign("center");
   gameOverInstructions.setFillStyle("#f50305");
-  gameOverInstructions.setText("PRESS ENTER TO CONTINUE");
+  gameOverInstructions.setText(game.isDemo() ? "INSERT COIN" : "PRESS ENTER TO CONTINUE");
   gameOverInstructions.setVisible(false);
-  gameOverInstructions.setX(672 / 2);
+  gameOverInstructions.setX(SpaceInvaders.WIDTH / 2);
   gameOverInstructions.setY(gameOverText.getY() + 40);
 
+  // initialize the text that indicates that the game is paused.
+  pausedText = new SpaceInvaders.TextEntity(game);
+  pausedText.setAlign("center");
+  pausedText.setText("PAUSED");
+  pausedText.setX(SpaceInvaders.WIDTH / 2);
+  pausedText.setY(400);
+
+  // initialize the text that indicates how to resume the paused game.
+  pausedInstructions = new SpaceInvaders.TextEntity(game);
+  pausedInstructions.setAlign("center");
+  pausedInstructions.setText("PRESS [" + game.getInput().getKeyName("PAUSE") + "] TO RESUME");
+  pausedInstructions.setX(SpaceInvaders.WIDTH / 2);
+  pausedInstructions.setY(pausedText.getY() + 40);
+
+  // initialize the overlay that shows the touch zones for touch screens.
+  touchOverlay = new SpaceInvaders.TouchOverlay(game);
+
+  // initialize the text that indicates that a replay, a playtest or a demo is running.
+  // the text is centered, as the credit (or the 2nd co-op player lives) use the right side.
+  replayText = new SpaceInvaders.TextEntity(game);
+  replayText.setAlign("center");
+  replayText.setFillStyle("#20ff20");
+  replayText.setText(game.isPlaytesting() ? "PLAYTEST" : (game.isDemo() ? "DEMO" : "REPLAY"));
+  replayText.setX(SpaceInvaders.WIDTH / 2);
+  replayText.setY(743);
+
+  // initialize the text that tells the result of the online versus game.
+  versusResultText = new SpaceInvaders.TextEntity(game);
+  versusResultText.setAlign("center");
+  versusResultText.setFillStyle("#20ff20");
+  versusResultText.setVisible(false);
+  versusResultText.setX(SpaceInvaders.WIDTH / 2);
+  versusResultText.setY(gameOverInstructions.getY() + 40);
+
   // initialize an out-of-bounds detector at the left side of the scene.
   leftOutOfBoundsDetector = new SpaceInvaders.CollideableEntity(game);
   leftOutOfBoundsDetector.setX(-100);
   leftOutOfBoundsDetector.setY(0);
   leftOutOfBoundsDetector.setExtentX(50);
-  leftOutOfBoundsDetector.setExtentY(768 / 2);
+  leftOutOfBoundsDetector.setExtentY(SpaceInvaders.HEIGHT / 2);
 
   // initialize an out-of-bounds detector at the right side of the scene.
   rightOutOfBoundsDetector = new SpaceInvaders.CollideableEntity(game);
-  rightOutOfBoundsDetector.setX(672);
+  rightOutOfBoundsDetector.setX(SpaceInvaders.WIDTH);
   rightOutOfBoundsDetector.setY(0);
   rightOutOfBoundsDetector.setExtentX(50);
-  rightOutOfBoundsDetector.setExtentY(768 / 2);
+  rightOutOfBoundsDetector.setExtentY(SpaceInvaders.HEIGHT / 2);
 
   // initialize an out-of-bounds detector at the top of the scene.
   topOutOfBoundsDetector = new SpaceInvaders.CollideableEntity(game);
   topOutOfBoundsDetector.setX(0);
   topOutOfBoundsDetector.setY(0);
-  topOutOfBoundsDetector.setExtentX(768 / 2);
+  topOutOfBoundsDetector.setExtentX(SpaceInvaders.HEIGHT / 2);
   topOutOfBoundsDetector.setExtentY(45);
 
   // initialize the flying saucer at the top-right of the screen.
@@ -1705,7 +8093,7 @@ SpaceInvaders.IngameState = function (game) {
   flyingSaucer.setVelocity(0.15);
   flyingSaucer.setEnabled(false);
   flyingSaucer.setVisible(false);
-  flyingSaucer.setX(672 - 43);
+  flyingSaucer.setX(SpaceInvaders.WIDTH - 43);
   flyingSaucer.setY(115);
   flyingSaucer.setWidth(43);
   flyingSaucer.setHeight(19);
@@ -1715,20 +8103,21 @@ SpaceInvaders.IngameState = function (game) {
 
   // initialize aliens.
   this.constructAliens();
+  marchCounter = this.getAlienStartStepSize();
 
   // initialize the left alien director for alien and avatar movement restrictions.
   alienLeftBoundsDetector = new SpaceInvaders.CollideableEntity(game);
   alienLeftBoundsDetector.setX(-45);
   alienLeftBoundsDetector.setY(0);
   alienLeftBoundsDetector.setExtentX(45);
-  alienLeftBoundsDetector.setExtentY(768 / 2);
+  alienLeftBoundsDetector.setExtentY(SpaceInvaders.HEIGHT / 2);
 
   // initialize the right alien director for alien and avatar movement restrictions.
   alienRightBoundsDetector = new SpaceInvaders.CollideableEntity(game);
-  alienRightBoundsDetector.setX(672 - 45);
+  alienRightBoundsDetector.setX(SpaceInvaders.WIDTH - 45);
   alienRightBoundsDetector.setY(0);
   alienRightBoundsDetector.setExtentX(45);
-  alienRightBoundsDetector.setExtentY(768 / 2);
+  alienRightBoundsDetector.setExtentY(SpaceInvaders.HEIGHT / 2);
 
   // ===============
   // = ALIEN SHOTS =
@@ -1788,117 +8177,606 @@ SpaceInvaders.IngameState = function (game) {
   alienShots.push(plungerShot);
   alienShots.push(squigglyShot);
 
-  // construct the four avatar shields for the player.
-  this.constructShields();
+  // construct the four avatar shields for the player.
+  this.constructShields();
+
+  this.getAlienShots = function () { return alienShots; }
+  this.getAliens = function () { return aliens; }
+  this.getShields = function () { return shields; }
+  this.getAvatars = function () { return avatars; }
+  this.getLifesTexts = function () { return lifesTexts; }
+  this.getLifeSprites = function () { return lifeSprites; }
+  this.getVersusResultText = function () { return versusResultText; }
+  this.getGameOverInstructions = function () { return gameOverInstructions; }
+  this.getPausedInstructions = function () { return pausedInstructions; }
+  this.getSpareLasers = function () { return spareLasers; }
+  this.getBarriers = function () { return barriers; }
+  this.getCapsules = function () { return capsules; }
+  this.getPowerUpTicks = function () { return powerUpTicks; }
+  this.getPowerUpTexts = function () { return powerUpTexts; }
+
+  /** *************************************************************************
+   * Get the index of the avatar (and its context) of the target player.
+   * @param {number} playerIndex The number of the target player {1|2}.
+   * @return {number} The index of the avatar.
+   */
+  this.getAvatarIndex = function (playerIndex) {
+    return (game.isCoop() ? (playerIndex - 1) : 0);
+  }
+
+  /** *************************************************************************
+   * Find the first of the given entities that collides with the given entity.
+   * @param {SpaceInvaders.CollideableEntity} entity The entity to be checked.
+   * @param {SpaceInvaders.CollideableEntity[]} others The entities to check against.
+   * @return {SpaceInvaders.CollideableEntity} The colliding entity or undefined.
+   */
+  this.findCollision = function (entity, others) {
+    for (var i = 0; i < others.length; i++) {
+      if (entity.collides(others[i])) {
+        return others[i];
+      }
+    }
+    return undefined;
+  }
+
+  /** *************************************************************************
+   * Check whether any of the avatars is currently in the game.
+   * @return {boolean} A definition whether any avatar is enabled.
+   */
+  this.isAnyAvatarEnabled = function () {
+    return avatars.some(function (avatar) { return avatar.isEnabled(); });
+  }
+
+  this.startRelaunchCounter = function (playerIndex) {
+    relaunchCounters[this.getAvatarIndex(playerIndex)] = this.RELAUNCH_WAIT_TIME;
+  }
+
+  /** *************************************************************************
+   * Pause or resume the game.
+   *
+   * A paused game does not perform any logical updates, which means that the
+   * aliens, shots, the flying saucer counter and the relaunch counter are all
+   * frozen until the game is resumed. The game cannot be paused after it has
+   * already ended.
+   *
+   * @param {boolean} newPaused A definition whether to pause the game.
+   */
+  this.setPaused = function (newPaused) {
+    if (newPaused && gameOverText.isVisible()) {
+      return;
+    }
+    paused = newPaused;
+
+    // silence the flying saucer while paused and continue it when resumed.
+    if (paused) {
+      game.getAudio().stopSaucer();
+      this.saveProgress();
+    } else if (flyingSaucer.isEnabled()) {
+      game.getAudio().startSaucer();
+    }
+  }
+
+  this.isPaused = function () { return paused; }
+  this.isGameOver = function () { return gameOverText.isVisible(); }
+
+  /** *************************************************************************
+   * Save the progress of the game including the current game field.
+   * @return {boolean} A definition whether the progress was saved.
+   */
+  this.saveProgress = function () {
+    if (gameOverText.isVisible()) {
+      return false;
+    }
+    var field = game.getSaveGame().serializeField(aliens, shields, flyingSaucerCounter,
+      powerUpTicks, capsules);
+    return game.saveProgress(field);
+  }
+
+  /** *************************************************************************
+   * Restore the game field from the serialized field of a saved game.
+   * @param {Object} field The field serialized with SaveGame#serializeField.
+   */
+  this.restoreField = function (field) {
+    var alienStates = (field.aliens || []);
+    for (var i = 0; i < aliens.length && i < alienStates.length; i++) {
+      var alienState = alienStates[i];
+      aliens[i].setAnimationFrameIndex(alienState.frame || 0);
+      aliens[i].setX(alienState.x);
+      aliens[i].setY(alienState.y);
+      aliens[i].setDirectionX(alienState.directionX);
+      aliens[i].setStepSize(alienState.stepSize);
+      aliens[i].setAnimationStepSize(alienState.stepSize);
+      aliens[i].setVisible(alienState.alive);
+      aliens[i].setEnabled(alienState.alive);
+    }
+    var shieldStates = (field.shields || []);
+    for (var i = 0; i < shields.length && i < shieldStates.length; i++) {
+      shields[i].setX(shieldStates[i].x);
+      shields[i].setY(shieldStates[i].y);
+      shields[i].importMask(shieldStates[i].mask);
+    }
+    if (typeof field.saucerCounter == "number") {
+      flyingSaucerCounter = field.saucerCounter;
+    }
+    if (game.isDeluxe()) {
+      var tickStates = (field.powerUpTicks || []);
+      for (var i = 0; i < powerUpTicks.length && i < tickStates.length; i++) {
+        for (var j = 0; j < this.POWER_UPS.length; j++) {
+          var powerUp = this.POWER_UPS[j];
+          powerUpTicks[i][powerUp] = (tickStates[i][powerUp] || 0);
+        }
+      }
+      var capsuleStates = (field.capsules || []);
+      for (var i = 0; i < capsuleStates.length; i++) {
+        if (this.POWER_UPS.indexOf(capsuleStates[i].powerUp) < 0) {
+          continue;
+        }
+        var capsule = this.createCapsule(capsuleStates[i].powerUp, 0, 0);
+        capsule.setX(capsuleStates[i].x);
+        capsule.setY(capsuleStates[i].y);
+      }
+    }
+  }
+
+  /** *************************************************************************
+   * Decrement the current amoun of player lives for the target player.
+   *
+   * This function is used to perform all necessary operations to decrement
+   * the amount of lives for the target player. It updates the global lives
+   * count and also ensures that the visual presentation is being updated.
+   *
+   * @param {number} playerIndex The index of the target player.
+   */
+  this.decrementPlayerLives = function (playerIndex) {
+    // get the current amount of lives of the target player.
+    var index = this.getAvatarIndex(playerIndex);
+    var lives = avatarContexts[index].getLives();
+
+    // decrement the amount of lives by one.
+    lives = Math.max(0, lives - 1);
+
+    // set the new lives amount for the target player.
+    avatarContexts[index].setLives(lives);
+
+    // update the visual presentations of the current lives.
+    this.refreshLives(index);
+  }
+
+  /** *************************************************************************
+   * Award the bonus life when the score of the avatar reaches the bonus score.
+   *
+   * Like in the original, each player is awarded a single bonus life within a
+   * game. The score that awards the bonus life is set with the DIP switches.
+   *
+   * @param {number} index The index of the avatar (and its context).
+   */
+  this.checkBonusLife = function (index) {
+    var context = avatarContexts[index];
+    if (!context.isBonusLifeAwarded() && context.getScore() >= game.getBonusLifeScore()) {
+      context.setBonusLifeAwarded(true);
+      context.setLives(context.getLives() + 1);
+      this.refreshLives(index);
+      game.getAudio().playBonusLife();
+    }
+  }
+
+  /** *************************************************************************
+   * Refresh the lives text and the reserved life sprites of the avatar.
+   * @param {number} index The index of the avatar (and its context).
+   */
+  this.refreshLives = function (index) {
+    var lives = avatarContexts[index].getLives();
+    lifesTexts[index].setText(lives.toString());
+    for (var i = 0; i < lifeSprites[index].length; i++) {
+      lifeSprites[index][i].setVisible(i < (lives - 1));
+    }
+  }
+
+  /** *************************************************************************
+   * End the game after all of the players have lost their lives.
+   *
+   * The hi-score is updated from the scores of all players and the game over
+   * text is shown until the players confirm to continue.
+   */
+  this.endGame = function () {
+    // check and update hi-score if necessary.
+    var contexts = [game.getPlayer1Context(), game.getPlayer2Context()];
+    for (var i = 0; i < game.getPlayerCount(); i++) {
+      var score = contexts[i].getScore();
+      if (score > game.getHiScore()) {
+        game.setHiScore(score);
+      }
+    }
+
+    // show the game over text and also the score for 1st player.
+    gameOverText.setVisible(true);
+    gameOverInstructions.setVisible(true);
+    game.getScene().getScore1Text().setVisible(true);
+    game.getAudio().stopSaucer();
+    game.clearProgress();
+
+    // tell the online versus opponent that the game is over.
+    if (game.isVersus()) {
+      var network = game.getNetwork();
+      network.send({ type: network.GAME_OVER, score: ctx.getScore() });
+      versusResultText.setVisible(true);
+      this.refreshVersusResult();
+    }
+  }
+
+  /** *************************************************************************
+   * Refresh the result of the online versus game after the game is over.
+   *
+   * The result is known only after the opponent has also lost all lives (or
+   * left the match), so until then the player waits for the opponent and the
+   * game cannot be continued.
+   */
+  this.refreshVersusResult = function () {
+    var score = game.getPlayer1Context().getScore();
+    var opponent = game.getPlayer2Context();
+    gameOverInstructions.setVisible(!this.isVersusResultPending());
+    if (this.isVersusResultPending()) {
+      versusResultText.setText("WAITING FOR THE OPPONENT");
+    } else if (score > opponent.getScore()) {
+      versusResultText.setText("YOU WIN");
+    } else if (score < opponent.getScore()) {
+      versusResultText.setText("YOU LOSE");
+    } else {
+      versusResultText.setText("DRAW");
+    }
+  }
+
+  /** *************************************************************************
+   * Check whether the online versus game still waits for the opponent result.
+   * @return {boolean} A definition whether the opponent is still playing.
+   */
+  this.isVersusResultPending = function () {
+    return (game.getPlayer2Context().getLives() > 0);
+  }
+
+  /** *************************************************************************
+   * Drop a power-up capsule from the given position with the given chance.
+   *
+   * Both the chance and the power-up are drawn from the seeded generator of
+   * the game, so the games with the deluxe rules can be replayed as well.
+   *
+   * @param {number} centerX The x-coordinate of the capsule center.
+   * @param {number} centerY The y-coordinate of the capsule center.
+   * @param {number} chance The chance [0, 1] that the capsule is dropped.
+   * @return {SpaceInvaders.CapsuleEntity} The dropped capsule or undefined.
+   */
+  this.dropCapsule = function (centerX, centerY, chance) {
+    var random = game.getRandom();
+    if (random.next() >= chance) {
+      return undefined;
+    }
+    return this.createCapsule(this.POWER_UPS[random.nextInt(this.POWER_UPS.length)], centerX, centerY);
+  }
+
+  /** *************************************************************************
+   * Create a falling power-up capsule without drawing from the generator.
+   * @param {string} powerUp The name of the power-up inside the capsule.
+   * @param {number} centerX The x-coordinate of the capsule center.
+   * @param {number} centerY The y-coordinate of the capsule center.
+   * @return {SpaceInvaders.CapsuleEntity} The created capsule.
+   */
+  this.createCapsule = function (powerUp, centerX, centerY) {
+    var capsule = new SpaceInvaders.CapsuleEntity(game);
+    capsule.setPowerUp(powerUp);
+    capsule.setWidth(18);
+    capsule.setHeight(18);
+    capsule.setX(centerX - capsule.getExtentX());
+    capsule.setY(centerY - capsule.getExtentY());
+    capsule.setVelocity(this.CAPSULE_VELOCITY);
+    capsule.setDirectionY(1);
+    capsules.push(capsule);
+    return capsule;
+  }
+
+  /** *************************************************************************
+   * Give the given power-up to the avatar (restarts the timer if active).
+   * @param {number} index The index of the avatar (and its context).
+   * @param {string} powerUp The name of the power-up.
+   */
+  this.collectPowerUp = function (index, powerUp) {
+    powerUpTicks[index][powerUp] = this.POWER_UP_TICKS[powerUp];
+    game.getAudio().playPowerUp();
+  }
+
+  /** *************************************************************************
+   * Burst the fragments of the given shield from the point where it was hit.
+   * @param {SpaceInvaders.Shield} shield The shield that was hit.
+   * @param {SpaceInvaders.CollideableEntity} object The object that hit the shield.
+   */
+  this.emitShieldFragments = function (shield, object) {
+    game.getScene().emitParticles(object.getCenterX(), object.getCenterY(), this.SHIELD_FRAGMENT_COUNT,
+      "rgb(" + shield.FILL_STYLE.join(",") + ")", this.SHIELD_FRAGMENT_SPEED);
+  }
+
+  /** *************************************************************************
+   * Animate the given avatar laser and check whether it hits something.
+   *
+   * The side lasers of the spread shot may leave the scene from its sides, so
+   * they are hidden at the side bounds. Destroyed aliens and the flying saucer
+   * drop the power-up capsules in the deluxe rules.
+   *
+   * @param {SpaceInvaders.AvatarLaser} avatarLaser The laser to be checked.
+   * @param {number} p The index of the avatar (and its context) of the laser.
+   */
+  this.updateLaser = function (avatarLaser, p) {
+    if (avatarLaser.isVisible()) {
+      avatarLaser.animate();
+      if (avatarLaser.collides(topOutOfBoundsDetector)) {
+        // stop the laser and change the image into the splash explosion image.
+        avatarLaser.setDirectionX(0);
+        avatarLaser.setDirectionY(0);
+        avatarLaser.setAnimationFrameIndex(1);
+        avatarLaser.setY(topOutOfBoundsDetector.getY() + topOutOfBoundsDetector.getExtentY() * 2);
+        avatarLaser.setDisappearCountdown(15);
+      } else if (avatarLaser.collides(leftOutOfBoundsDetector) || avatarLaser.collides(rightOutOfBoundsDetector)) {
+        // hide the side laser of the spread shot.
+        avatarLaser.setEnabled(false);
+        avatarLaser.setVisible(false);
+      } else if (avatarLaser.collides(flyingSaucer)) {
+        // hide the avatar laser shot.
+        avatarLaser.setDirectionY(0);
+        avatarLaser.setEnabled(false);
+        avatarLaser.setVisible(false);
+
+        // change the flying saucer to perform a splash explosion.
+        flyingSaucer.setDirectionX(0);
+        flyingSaucer.setEnabled(false);
+        flyingSaucer.setAnimationFrameIndex(1);
+        flyingSaucer.setDisappearCountdown(15);
+        game.getAudio().playSaucerHit();
+        game.getScene().emitParticles(flyingSaucer.getCenterX(), flyingSaucer.getCenterY(),
+          this.SAUCER_BURST_COUNT, this.SAUCER_BURST_FILL_STYLE, this.SAUCER_BURST_SPEED);
+
+        // add points for the player depending on the shot count.
+        var score = flyingSaucerPointTable[avatarLaserCount % 15];
+        avatarContexts[p].addScore(score);
+        this.checkBonusLife(p);
+        if (deluxe) {
+          this.dropCapsule(flyingSaucer.getCenterX(), flyingSaucer.getCenterY(), 1);
+        }
+      } else {
+        // check whether player laser hits shields.
+        for (var i = 0; i < shields.length; i++) {
+          if (shields[i].preciseCollides(avatarLaser)) {
+            this.emitShieldFragments(shields[i], avatarLaser);
+          }
+        }
+        for (var n = 0; n < aliens.length; n++) {
+          if (avatarLaser.collides(aliens[n])) {
+            // disable and stop the laser from further movement.
+            avatarLaser.setDirectionX(0);
+            avatarLaser.setDirectionY(0);
+            avatarLaser.setEnabled(false);
+
+            // make the explosion to show where the alien was at the moment of collision.
+            avatarLaser.setAnimationFrameIndex(2);
+            avatarLaser.setDisappearCountdown(15);
+            avatarLaser.setX(aliens[n].getCenterX() - avatarLaser.getExtentX());
+            avatarLaser.setY(aliens[n].getCenterY() - avatarLaser.getExtentY());
 
-  this.getAlienShots = function () { return alienShots; }
+            // hide and disable the collided alien.
+            aliens[n].setEnabled(false);
+            aliens[n].setVisible(false);
+            game.getAudio().playAlienDeath();
+            game.getScene().emitParticles(aliens[n].getCenterX(), aliens[n].getCenterY(),
+              this.ALIEN_DEBRIS_COUNT, "white", this.ALIEN_DEBRIS_SPEED);
+
+            // assign the score earned from the alien type to the player of the laser.
+            avatarContexts[p].addScore(aliens[n].getPoints());
+            this.checkBonusLife(p);
+
+            // send an attacker row to the online versus opponent when a row is cleared.
+            if (game.isVersus() && this.isRowCleared(aliens[n].getRow())) {
+              var network = game.getNetwork();
+              network.send({ type: network.GARBAGE, rows: 1 });
+            }
+            if (deluxe) {
+              this.dropCapsule(aliens[n].getCenterX(), aliens[n].getCenterY(), this.CAPSULE_DROP_CHANCE);
+            }
 
-  this.startRelaunchCounter = function () {
-    relaunchCounter = this.RELAUNCH_WAIT_TIME;
+            // speed up the movement of the aliens.
+            var newStepSize = Math.max(this.ALIEN_MIN_STEP_SIZE,
+              aliens[0].getStepSize() - this.ALIEN_STEP_DECREMENT_SIZE);
+            for (var m = 0; m < aliens.length; m++) {
+              aliens[m].setStepSize(newStepSize);
+              aliens[m].setAnimationStepSize(newStepSize);
+            }
+            break;
+          }
+        }
+      }
+    }
   }
 
   /** *************************************************************************
-   * Decrement the current amoun of player lives for the target player.
+   * Update the capsules and the power-ups of the deluxe rules.
    *
-   * This function is used to perform all necessary operations to decrement
-   * the amount of lives for the target player. It updates the global lives
-   * count and also ensures that the visual presentation is being updated.
+   * The capsules fall until an avatar collects them or they reach the ground.
+   * The power-up timers count down only while the avatar is in the game, as
+   * the avatar loses its power-ups when it is destroyed.
    *
-   * @param {number} playerIndex The index of the target player.
+   * @param {double} dt The delta time from the previous tick operation.
    */
-  this.decrementPlayerLives = function (playerIndex) {
-    // get the current amount of lives of the target player.
-    var lives = ctx.getLives();
-
-    // decrement the amount of lives by one.
-    lives = Math.max(0, lives - 1);
+  this.updatePowerUps = function (dt) {
+    for (var i = 0; i < capsules.length; i++) {
+      var capsule = capsules[i];
+      capsule.update(dt);
+      var avatar = this.findCollision(capsule, avatars);
+      if (avatar) {
+        capsule.setVisible(false);
+        this.collectPowerUp(avatars.indexOf(avatar), capsule.getPowerUp());
+      } else if (capsule.collides(footerLine)) {
+        capsule.setVisible(false);
+      }
+    }
+    capsules = capsules.filter(function (capsule) { return capsule.isVisible(); });
+
+    for (var p = 0; p < avatars.length; p++) {
+      var ticks = powerUpTicks[p];
+      var timers = [];
+      for (i = 0; i < this.POWER_UPS.length; i++) {
+        var powerUp = this.POWER_UPS[i];
+        ticks[powerUp] = (avatars[p].isEnabled() ? Math.max(0, ticks[powerUp] - 1) : 0);
+        if (ticks[powerUp] > 0) {
+          timers.push(this.POWER_UP_LABELS[powerUp] + " " + Math.ceil(ticks[powerUp] / 60));
+        }
+      }
+      powerUpTexts[p].setText(timers.join("  "));
 
-    // set the new lives amount for the target player.
-    ctx.setLives(lives);
+      // restore the shield pixels while the shield repair lasts.
+      if (ticks.repair > 0) {
+        for (i = 0; i < shields.length; i++) {
+          shields[i].repair(this.REPAIR_PIXELS);
+        }
+      }
 
-    // update the visual presentations of the current lives.
-    lifesText.setText(lives.toString());
-    if (lifeSprites.length > 0) {
-      lifeSprites[Math.max(0, lives - 1)].setVisible(false);
+      // keep the barrier above the avatar while the barrier lasts.
+      barriers[p].setVisible(ticks.barrier > 0);
+      barriers[p].setEnabled(ticks.barrier > 0);
+      barriers[p].setX(avatars[p].getCenterX() - barriers[p].getExtentX());
     }
   }
 
   this.update = function (dt) {
-    // skip logical updates if the game has ended.
+    var input = game.getInput();
+    var taps = input.getTaps();
+    var isTapped = function (text) {
+      // the played back taps do not have a position, so any tap is accepted.
+      return (game.isReplaying() ? taps.length > 0 : text.isTapped(taps));
+    };
+    if (input.isTouchEnabled() && !game.isDemo()) {
+      gameOverInstructions.setText("TAP TO CONTINUE");
+      pausedInstructions.setText("TAP TO RESUME");
+    }
+
+    // wait for the confirmation to continue if the game has ended.
     if (gameOverText.isVisible()) {
+      if (game.isVersus()) {
+        this.refreshVersusResult();
+      }
+      if (game.isDemo()) {
+        demoCounter--;
+        if (demoCounter <= 0) {
+          this.continueFromGameOver();
+        }
+      } else if (game.isVersus() && this.isVersusResultPending()) {
+        // keep the connection open until the result of the opponent arrives.
+      } else if (input.wasPressed(input.CONFIRM) || isTapped(gameOverInstructions)) {
+        this.continueFromGameOver();
+      }
       return;
     }
 
-    // decrement relaunch counter if launched or handle destruction state.
-    if (relaunchCounter > 0) {
-      relaunchCounter--;
-    } else if (avatar.isEnabled() == false) {
-      var playerCount = game.getPlayerCount();
-      if (playerCount == 1) {
-        // check whether it's time end game or reset the avatar.
-        if (ctx.getLives() == 0) {
-          // check and update hi-score if necessary.
-          var score = ctx.getScore();
-          if (score > game.getHiScore()) {
-            game.setHiScore(score);
-          }
+    // toggle the pause or pause automatically when the game loses the focus.
+    if (input.wasPressed(input.PAUSE) || (paused && isTapped(pausedInstructions))) {
+      this.setPaused(!paused);
+    } else if (input.wasFocusLost()) {
+      this.setPaused(true);
+    }
 
-          // show the game over text.
-          gameOverText.setVisible(true);
-          gameOverInstructions.setVisible(true);
-        } else {
-          avatar.reset();
-        }
-      } else {
-        // multi-player mode:
-        ctx.setAlienStates(aliens);
-        ctx.setShieldStates(shields);
-        var playerIndex = game.getActivePlayer();
-        if (playerIndex == 1) {
-          game.setActivePlayer(2);
-          var scene = game.getScene();
-          var state = new SpaceInvaders.PlayPlayerState(game);
-          scene.setState(state);
-        } else {
-          // check whether the game should end.
-          var player1Ctx = game.getPlayer1Context();
-          var player2Ctx = game.getPlayer2Context();
-          if (player2Ctx.getLives() == 0) {
-            // check and update hi-score if necessary.
-            var score = player1Ctx.getScore();
-            if (score > game.getHiScore()) {
-              game.setHiScore(score);
-            }
+    // skip logical updates if the game is paused.
+    if (paused) {
+      return;
+    }
+    this.applyInput(input);
+
+    // end the demo game when it has been played long enough.
+    if (game.isDemo()) {
+      demoPlayCounter--;
+      if (demoPlayCounter <= 0) {
+        gameOverText.setVisible(true);
+        gameOverInstructions.setVisible(true);
+        game.getAudio().stopSaucer();
+        return;
+      }
+    }
 
-            // check and update hi-score if necessary.
-            score = player2Ctx.getScore();
-            if (score > game.getHiScore()) {
-              game.setHiScore(score);
-            }
+    // save the progress periodically, so the game survives a page reload.
+    saveCounter--;
+    if (saveCounter <= 0) {
+      saveCounter = this.SAVE_INTERVAL;
+      this.saveProgress();
+    }
 
-            // show the game over text and also the score for 1st player.
-            gameOverText.setVisible(true);
-            gameOverInstructions.setVisible(true);
-            game.getScene().getScore1Text().setVisible(true);
+    // decrement relaunch counters if launched or handle destruction states.
+    for (var p = 0; p < avatars.length; p++) {
+      if (relaunchCounters[p] > 0) {
+        relaunchCounters[p]--;
+      } else if (avatars[p].isEnabled() == false) {
+        if (game.isCoop()) {
+          // co-op mode: relaunch the avatar or end the game when all lives are lost.
+          if (avatarContexts[p].getLives() > 0) {
+            avatars[p].reset();
+          } else if (avatarContexts.every(function (context) { return context.getLives() == 0; })) {
+            this.endGame();
+            break;
+          }
+        } else if (game.getPlayerCount() == 1) {
+          // check whether it's time end game or reset the avatar.
+          if (ctx.getLives() == 0) {
+            this.endGame();
           } else {
-            game.setActivePlayer(1);
+            avatars[p].reset();
+          }
+        } else {
+          // multi-player mode:
+          ctx.setAlienStates(aliens);
+          ctx.setShieldStates(shields);
+          var playerIndex = game.getActivePlayer();
+          if (playerIndex == 1) {
+            game.setActivePlayer(2);
             var scene = game.getScene();
             var state = new SpaceInvaders.PlayPlayerState(game);
             scene.setState(state);
+          } else {
+            // check whether the game should end.
+            var player2Ctx = game.getPlayer2Context();
+            if (player2Ctx.getLives() == 0) {
+              this.endGame();
+            } else {
+              game.setActivePlayer(1);
+              var scene = game.getScene();
+              var state = new SpaceInvaders.PlayPlayerState(game);
+              scene.setState(state);
+            }
           }
         }
       }
     }
 
-    avatar.update(dt);
-    avatar.animate();
+    for (var p = 0; p < avatars.length; p++) {
+      avatars[p].update(dt);
+      avatars[p].animate();
 
-    if (avatarLaser.isVisible()) {
-      avatarLaser.update(dt);
+      if (avatarLasers[p].isVisible()) {
+        avatarLasers[p].update(dt);
+      }
+      for (var i = 0; i < spareLasers[p].length; i++) {
+        if (spareLasers[p][i].isVisible()) {
+          spareLasers[p][i].update(dt);
+        }
+      }
     }
 
     flyingSaucer.update(dt);
 
+    // move the capsules and count down the power-ups of the deluxe rules.
+    if (deluxe) {
+      this.updatePowerUps(dt);
+    }
+
+    // add the attacker rows sent by the online versus opponent.
+    if (game.isVersus()) {
+      for (var garbageRows = game.takeGarbageRows(); garbageRows > 0; garbageRows--) {
+        this.addAttackerRow();
+      }
+    }
+
     // check whether any of the aliens hit the alien movement bounds.
     var aliensHitBounds = false;
     for (i = 0; i < aliens.length && !aliensHitBounds; i++) {
@@ -1915,7 +8793,7 @@ SpaceInvaders.IngameState = function (game) {
 
     // animate and update the currently visible aliens.
     var activeAlienCount = 0;
-    if (avatar.isEnabled()) {
+    if (this.isAnyAvatarEnabled()) {
       for (i = 0; i < aliens.length; i++) {
         if (aliensHitBounds && aliens[i].getStepCounter()) {
           aliens[i].setDirectionX(-aliens[i].getDirectionX());
@@ -1928,60 +8806,76 @@ SpaceInvaders.IngameState = function (game) {
 
           // check whether the alien has just landed.
           if (aliens[i].collides(footerLine)) {
-            avatar.explode();
+            for (var p = 0; p < avatars.length; p++) {
+              if (avatars[p].isEnabled()) {
+                avatars[p].explode();
+              }
+            }
           }
         }
       }
 
       // check whether all aliens are destroyed i.e. the level is cleared.
       if (activeAlienCount <= 0) {
-        ctx.setLevel(ctx.getLevel() + 1);
+        for (var p = 0; p < avatarContexts.length; p++) {
+          avatarContexts[p].setLevel(ctx.getLevel() + 1);
+        }
         var scene = game.getScene();
         scene.setState(new SpaceInvaders.PlayPlayerState(game));
         return;
       }
-    }
 
-    // check that the avatar cannot go out-of-bounds from the either side of the scene.
-    if (avatar.getDirectionX() == -1) {
-      if (alienLeftBoundsDetector.collides(avatar)) {
-        avatar.setDirectionX(0);
-        avatar.setX(alienLeftBoundsDetector.getX() + 2 * alienLeftBoundsDetector.getExtentX());
+      // play the next march note each time the alien formation takes a step.
+      marchCounter--;
+      if (marchCounter <= 0) {
+        game.getAudio().playMarchNote();
+        marchCounter = Math.max(this.MARCH_MIN_INTERVAL, aliens[0].getStepSize());
       }
-    } else if (avatar.getDirectionX() == 1) {
-      if (alienRightBoundsDetector.collides(avatar)) {
-        avatar.setDirectionX(0);
-        avatar.setX(alienRightBoundsDetector.getX() - avatar.getWidth());
+    }
+
+    // check that the avatars cannot go out-of-bounds from the either side of the scene.
+    for (var p = 0; p < avatars.length; p++) {
+      var avatar = avatars[p];
+      if (avatar.getDirectionX() == -1) {
+        if (alienLeftBoundsDetector.collides(avatar)) {
+          avatar.setDirectionX(0);
+          avatar.setX(alienLeftBoundsDetector.getX() + 2 * alienLeftBoundsDetector.getExtentX());
+        }
+      } else if (avatar.getDirectionX() == 1) {
+        if (alienRightBoundsDetector.collides(avatar)) {
+          avatar.setDirectionX(0);
+          avatar.setX(alienRightBoundsDetector.getX() - avatar.getWidth());
+        }
       }
     }
 
     // check and apply a state for the alien rolling missile.
-    if (avatar.isEnabled()) {
+    if (this.isAnyAvatarEnabled()) {
       if (alienRollingShotLock > 0) {
         alienRollingShotLock--;
       }
       if (alienShots[0].isReadyToBeFired() && alienRollingShotLock <= 0) {
-        // find the nearest alien from the list of aliens.
-        var avatarX = avatar.getCenterX();
-        var aliendIdx = -1;
+        // find the bottommost alien from the column nearest to the nearer avatar.
+        var nearest = undefined;
         var prevDistance = -1;
-        for (col = 0; col < 11; col++) {
-          var distance = Math.abs(aliens[col].getCenterX() - avatarX);
-          if (prevDistance != -1 && distance > prevDistance) {
-            break;
-          }
-          for (row = 4; row >= 0; row--) {
-            var idx = (row * 11) + col;
-            if (aliens[idx].isVisible()) {
-              alienIdx = idx;
-              prevDistance = distance;
-              break;
+        for (var col = 0; col < wave.columns; col++) {
+          var alien = this.getBottomAlien(col);
+          if (alien != undefined) {
+            for (var p = 0; p < avatars.length; p++) {
+              if (avatars[p].isEnabled() == false) {
+                continue;
+              }
+              var distance = Math.abs(alien.getCenterX() - avatars[p].getCenterX());
+              if (prevDistance == -1 || distance <= prevDistance) {
+                nearest = alien;
+                prevDistance = distance;
+              }
             }
           }
         }
-        if (alienIdx != -1) {
-          alienShots[0].setX(aliens[alienIdx].getCenterX() - alienShots[0].getExtentX());
-          alienShots[0].setY(aliens[alienIdx].getY() + aliens[alienIdx].getHeight());
+        if (nearest != undefined && wave.shots[0]) {
+          alienShots[0].setX(nearest.getCenterX() - alienShots[0].getExtentX());
+          alienShots[0].setY(nearest.getY() + nearest.getHeight());
           alienShots[0].fire();
         }
         alienRollingShotLock = this.getAlienReloadRate() * 4;
@@ -1991,21 +8885,18 @@ SpaceInvaders.IngameState = function (game) {
     // ========================================================================
     // create an alien plunger missile if it is being ready.
     if (activeAlienCount > 1) {
-      if (avatar.isEnabled() && alienShots[1].isReadyToBeFired()) {
+      if (this.isAnyAvatarEnabled() && alienShots[1].isReadyToBeFired()) {
         // get the next target column and increment the column index pointer.
         var column = alienShotColumn[alienPlungerShotColumnIndice];
         alienPlungerShotColumnIndice = (alienPlungerShotColumnIndice + 1);
         alienPlungerShotColumnIndice = (alienPlungerShotColumnIndice % this.ALIEN_SHOT_INDICE_COUNT);
 
-        for (n = 4; n >= 0; n--) {
-          var idx = (n * 11) + column;
-          if (aliens[idx].isVisible()) {
-            // assign the position of the plunger shot based on the nearest alien.
-            alienShots[1].setX(aliens[idx].getCenterX() - alienShots[1].getExtentX());
-            alienShots[1].setY(aliens[idx].getY() + aliens[idx].getHeight());
-            alienShots[1].fire();
-            break;
-          }
+        var alien = this.getBottomAlien(column % wave.columns);
+        if (alien != undefined && wave.shots[1]) {
+          // assign the position of the plunger shot based on the nearest alien.
+          alienShots[1].setX(alien.getCenterX() - alienShots[1].getExtentX());
+          alienShots[1].setY(alien.getY() + alien.getHeight());
+          alienShots[1].fire();
         }
       }
     }
@@ -2017,13 +8908,13 @@ SpaceInvaders.IngameState = function (game) {
 
     // ========================================================================
     // create an flying saucer or an alien squiggly missile if it is being ready.
-    if (avatar.isEnabled() && flyingSaucer.isVisible() == false && alienShots[2].isReadyToBeFired()) {
+    if (this.isAnyAvatarEnabled() && flyingSaucer.isVisible() == false && alienShots[2].isReadyToBeFired()) {
       // check whether it is time to launch the flying saucer.
       if (flyingSaucerCounter <= 0 && activeAlienCount >= 8) {
         // set saucer movement direction depending on the player shot count.
         if ((avatarLaserCount % 2) == 0) {
           flyingSaucer.setDirectionX(-1);
-          flyingSaucer.setX(672 - flyingSaucer.getWidth());
+          flyingSaucer.setX(SpaceInvaders.WIDTH - flyingSaucer.getWidth());
         } else {
           flyingSaucer.setDirectionX(1);
           flyingSaucer.setX(0);
@@ -2033,116 +8924,62 @@ SpaceInvaders.IngameState = function (game) {
         flyingSaucer.setEnabled(true);
         flyingSaucer.setVisible(true);
         flyingSaucer.setAnimationFrameIndex(0);
-        flyingSaucerCounter = this.FLYING_SAUCER_INTERVAL;
+        flyingSaucerCounter = difficulty.saucerInterval;
+        game.getAudio().startSaucer();
       } else {
         // get the next target column and increment the column index pointer.
         var column = alienShotColumn[alienSquigglyShotColumnIndice];
         alienSquigglyShotColumnIndice = (alienSquigglyShotColumnIndice + 1);
         alienSquigglyShotColumnIndice = (alienSquigglyShotColumnIndice % this.ALIEN_SHOT_INDICE_COUNT);
 
-        for (n = 4; n >= 0; n--) {
-          var idx = (n * 11) + column;
-          if (aliens[idx].isVisible()) {
-            // assign the position of the plunger shot based on the nearest alien.
-            alienShots[2].setX(aliens[idx].getCenterX() - alienShots[2].getExtentX());
-            alienShots[2].setY(aliens[idx].getY() + aliens[idx].getHeight());
-            alienShots[2].fire();
-            break;
-          }
+        var alien = this.getBottomAlien(column % wave.columns);
+        if (alien != undefined && wave.shots[2]) {
+          // assign the position of the squiggly shot based on the nearest alien.
+          alienShots[2].setX(alien.getCenterX() - alienShots[2].getExtentX());
+          alienShots[2].setY(alien.getY() + alien.getHeight());
+          alienShots[2].fire();
         }
       }
     }
 
     // animate, update and check collisions for all alien shots.
+    var lasers = avatarLasers.concat.apply(avatarLasers, spareLasers);
     for (var i = 0; i < alienShots.length; i++) {
       alienShots[i].animateAndUpdate(dt);
-      if (alienShots[i].collides(avatar)) {
+      var hitBarrier = this.findCollision(alienShots[i], barriers);
+      var hitAvatar = this.findCollision(alienShots[i], avatars);
+      var hitLaser = this.findCollision(alienShots[i], lasers);
+      if (hitBarrier) {
+        // explode at the barrier of the deluxe rules.
+        alienShots[i].explode();
+      } else if (hitAvatar) {
         // hide the shot and explode the avatar.
         alienShots[i].setEnabled(false);
         alienShots[i].setVisible(false);
-        avatar.explode();
+        hitAvatar.explode();
       } else if (alienShots[i].collides(footerLine)) {
         // explode at the footer.
         alienShots[i].explode();
-      } else if (alienShots[i].collides(avatarLaser)) {
+      } else if (hitLaser) {
         // explode at the collision point.
         alienShots[i].setEnabled(false);
         alienShots[i].setVisible(false);
-        avatarLaser.explode();
+        hitLaser.explode();
       } else {
         // explode when a shield is being hit.
         for (var j = 0; j < shields.length; j++) {
-          shields[j].preciseCollides(alienShots[i]);
+          if (shields[j].preciseCollides(alienShots[i])) {
+            this.emitShieldFragments(shields[j], alienShots[i]);
+          }
         }
       }
     }
 
-    // animate and check whether the laser shot by the avatar hits something.
-    if (avatarLaser.isVisible()) {
-      avatarLaser.animate();
-      if (avatarLaser.collides(topOutOfBoundsDetector)) {
-        // stop the laser and change the image into the splash explosion image.
-        avatarLaser.setDirectionY(0);
-        avatarLaser.setAnimationFrameIndex(1);
-        avatarLaser.setY(topOutOfBoundsDetector.getY() + topOutOfBoundsDetector.getExtentY() * 2);
-        avatarLaser.setDisappearCountdown(15);
-      } else if (avatarLaser.collides(flyingSaucer)) {
-        // hide the avatar laser shot.
-        avatarLaser.setDirectionY(0);
-        avatarLaser.setEnabled(false);
-        avatarLaser.setVisible(false);
-
-        // change the flying saucer to perform a splash explosion.
-        flyingSaucer.setDirectionX(0);
-        flyingSaucer.setAnimationFrameIndex(1);
-        flyingSaucer.setDisappearCountdown(15);
-
-        // add points for the player depending on the shot count.
-        var score = flyingSaucerPointTable[avatarLaserCount % 15];
-        ctx.addScore(score);
-      } else {
-        // check whether player laser hits shields.
-        for (var i = 0; i < shields.length; i++) {
-          shields[i].preciseCollides(avatarLaser)
-        }
-        for (n = 0; n < aliens.length; n++) {
-          if (avatarLaser.collides(aliens[n])) {
-            // disable and stop the laser from further movement.
-            avatarLaser.setDirectionY(0);
-            avatarLaser.setEnabled(false);
-
-            // make the explosion to show where the alien was at the moment of collision.
-            avatarLaser.setAnimationFrameIndex(2);
-            avatarLaser.setDisappearCountdown(15);
-            avatarLaser.setX(aliens[n].getCenterX() - avatarLaser.getExtentX());
-            avatarLaser.setY(aliens[n].getCenterY() - avatarLaser.getExtentY());
-
-            // hide and disable the collided alien.
-            aliens[n].setEnabled(false);
-            aliens[n].setVisible(false);
-
-            // earn score to player based on the alien type.
-            var score = 0;
-            if (n < 11) {
-              score = 30;
-            } else if (n < 33) {
-              score = 20;
-            } else {
-              score = 10;
-            }
-
-            // assign the earned score to currently active player.
-            ctx.addScore(score);
-
-            // speed up the movement of the aliens.
-            var newStepSize = aliens[0].getStepSize() - this.ALIEN_STEP_DECREMENT_SIZE;
-            for (m = 0; m < aliens.length; m++) {
-              aliens[m].setStepSize(newStepSize);
-              aliens[m].setAnimationStepSize(newStepSize);
-            }
-            break;
-          }
-        }
+    // animate and check whether the lasers shot by the avatars hit something.
+    for (var p = 0; p < avatarLasers.length; p++) {
+      this.updateLaser(avatarLasers[p], p);
+      for (i = 0; i < spareLasers[p].length; i++) {
+        this.updateLaser(spareLasers[p][i], p);
       }
     }
 
@@ -2152,11 +8989,13 @@ SpaceInvaders.IngameState = function (game) {
         if (rightOutOfBoundsDetector.collides(flyingSaucer)) {
           flyingSaucer.setEnabled(false);
           flyingSaucer.setVisible(false);
+          game.getAudio().stopSaucer();
         }
       } else {
         if (leftOutOfBoundsDetector.collides(flyingSaucer)) {
           flyingSaucer.setEnabled(false);
           flyingSaucer.setVisible(false);
+          game.getAudio().stopSaucer();
         }
       }
     }
@@ -2165,17 +9004,32 @@ SpaceInvaders.IngameState = function (game) {
 
   this.render = function (ctx) {
     footerLine.render(ctx);
-    avatar.render(ctx);
+    for (i = 0; i < avatars.length; i++) {
+      avatars[i].render(ctx);
+    }
     for (i = 0; i < shields.length; i++) {
       shields[i].render(ctx);
     }
-    avatarLaser.render(ctx);
-    lifesText.render(ctx);
+    for (i = 0; i < avatars.length; i++) {
+      avatarLasers[i].render(ctx);
+      for (var j = 0; j < spareLasers[i].length; j++) {
+        spareLasers[i][j].render(ctx);
+      }
+      barriers[i].render(ctx);
+      powerUpTexts[i].render(ctx);
+      lifesTexts[i].render(ctx);
+    }
+    for (i = 0; i < capsules.length; i++) {
+      capsules[i].render(ctx);
+    }
     flyingSaucer.render(ctx);
     gameOverText.render(ctx);
     gameOverInstructions.render(ctx);
+    versusResultText.render(ctx);
     for (i = 0; i < lifeSprites.length; i++) {
-      lifeSprites[i].render(ctx);
+      for (var j = 0; j < lifeSprites[i].length; j++) {
+        lifeSprites[i][j].render(ctx);
+      }
     }
     for (i = 0; i < aliens.length; i++) {
       aliens[i].render(ctx);
@@ -2183,6 +9037,22 @@ SpaceInvaders.IngameState = function (game) {
     for (i = 0; i < alienShots.length; i++) {
       alienShots[i].render(ctx);
     }
+
+    // show the touch zones when the game is being played with touches.
+    if (game.getInput().isTouchEnabled() && !paused && !gameOverText.isVisible()) {
+      touchOverlay.render(ctx);
+    }
+    if (game.isReplaying() || game.isPlaytesting() || game.isDemo()) {
+      replayText.render(ctx);
+    }
+
+    // dim the game field and show the pause texts on top of it.
+    if (paused) {
+      ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+      ctx.fillRect(0, 0, SpaceInvaders.WIDTH, SpaceInvaders.HEIGHT);
+      pausedText.render(ctx);
+      pausedInstructions.render(ctx);
+    }
   }
 
   /** *************************************************************************
@@ -2192,8 +9062,7 @@ SpaceInvaders.IngameState = function (game) {
    * for a first time. This makes it an ideal place to put all listener logic.
    */
   this.enter = function () {
-    document.addEventListener("keyup", this.keyUp);
-    document.addEventListener("keydown", this.keyDown);
+    // ...
   }
 
   /** *************************************************************************
@@ -2203,77 +9072,216 @@ SpaceInvaders.IngameState = function (game) {
    * for the last time. This makes it an ideal place to cleanup listeners etc.
    */
   this.exit = function () {
-    document.removeEventListener("keyup", this.keyUp);
-    document.removeEventListener("keydown", this.keyDown);
+    game.getAudio().stopSaucer();
   }
 
   /** *************************************************************************
-   * A key listener function called when the user releases a key press.
-   * @param {KeyboardEvent} e The keyboard event received from the DOM.
+   * Apply the user input into the avatar movement and laser shots.
+   *
+   * When the game has a controller (e.g. a bot or the demo player), the intents
+   * are asked from the controller with a snapshot of the game field instead of
+   * reading them from the user input. In the co-op game the controller plays
+   * the 1st player, while the 2nd player always uses the co-op actions.
+   *
+   * @param {SpaceInvaders.Input} input The input manager to query actions.
    */
-  this.keyUp = function (e) {
-    var key = e.keyCode ? e.keyCode : e.which;
-    switch (key) {
-      case game.KEY_LEFT:
-        if (avatar.isEnabled() && avatar.getDirectionX() == -1) {
-          avatar.setDirectionX(0);
-        }
-        break;
-      case game.KEY_RIGHT:
-        if (avatar.isEnabled() && avatar.getDirectionX() == 1) {
-          avatar.setDirectionX(0);
-        }
-        break;
-      case game.KEY_SPACEBAR:
-        if (avatar.isEnabled() && avatarLaser.isVisible() == false) {
-          // shoot the laser from the avatar position.
-          avatarLaser.setVisible(true);
-          avatarLaser.setEnabled(true);
-          avatarLaser.setDirectionY(-1);
-          avatarLaser.setX(avatar.getCenterX() - avatarLaser.getExtentX());
-          avatarLaser.setY(avatar.getY());
-          avatarLaser.setAnimationFrameIndex(0);
-
-          // increment the laser counter.
-          avatarLaserCount++;
-        }
-        break;
-      case game.KEY_ENTER: {
-        if (gameOverText.isVisible()) {
-          // reset game context before returning to welcome scene.
-          game.getPlayer1Context().reset();
-          game.getPlayer2Context().reset();
-
-          // return back to the welcome scene.
-          var scene = game.getScene();
-          var state = new SpaceInvaders.WelcomeState(game);
-          scene.setState(state);
-        }
-        break;
+  this.applyInput = function (input) {
+    for (var p = 0; p < avatars.length; p++) {
+      if (avatars[p].isEnabled() == false) {
+        continue;
       }
+
+      // get the intents from the controller or from the actions being held down.
+      var player = avatars[p].getPlayer();
+      var controller = (p == 0 ? game.getController() : undefined);
+      var left = (p == 0 ? input.MOVE_LEFT : input.MOVE_LEFT_2P);
+      var right = (p == 0 ? input.MOVE_RIGHT : input.MOVE_RIGHT_2P);
+      var fire = (p == 0 ? input.FIRE : input.FIRE_2P);
+      var intent = (controller ? controller.update(this.getSnapshot()) : {
+        move: (input.isDown(right, player) ? 1 : 0) - (input.isDown(left, player) ? 1 : 0),
+        fire: input.wasPressed(fire, player)
+      });
+      this.applyIntent(avatars[p], avatarLasers[p], intent);
     }
   }
 
   /** *************************************************************************
-   * A key listener function called when the user releases a key press.
-   * @param {KeyboardEvent} e The keyboard event received from the DOM.
+   * Apply the given intents into the movement and the laser of an avatar.
+   * @param {SpaceInvaders.AvatarEntity} avatar The avatar to be moved.
+   * @param {SpaceInvaders.AvatarLaser} avatarLaser The laser of the avatar.
+   * @param {Object} intent The {move, fire} intents.
    */
-  this.keyDown = function (e) {
-    var key = e.keyCode ? e.keyCode : e.which;
-    switch (key) {
-      case game.KEY_LEFT:
-        if (avatar.isEnabled()) {
-          avatar.setDirectionX(-1);
-        }
-        break;
-      case game.KEY_RIGHT:
-        if (avatar.isEnabled()) {
-          avatar.setDirectionX(1);
-        }
-        break;
+  this.applyIntent = function (avatar, avatarLaser, intent) {
+    // move the avatar towards the intended direction.
+    intent = (intent || {});
+    if (intent.move < 0) {
+      avatar.setDirectionX(-1);
+    } else if (intent.move > 0) {
+      avatar.setDirectionX(1);
+    } else {
+      avatar.setDirectionX(0);
+    }
+
+    if (intent.fire && deluxe) {
+      this.fireVolley(avatar);
+    } else if (intent.fire && avatarLaser.isVisible() == false) {
+      // shoot the laser from the avatar position.
+      this.launchLaser(avatar, avatarLaser, 0);
+
+      // increment the laser counter.
+      avatarLaserCount++;
+      game.getAudio().playShot();
+    }
+  }
+
+  /** *************************************************************************
+   * Shoot the given laser from the position of the given avatar.
+   * @param {SpaceInvaders.AvatarEntity} avatar The avatar shooting the laser.
+   * @param {SpaceInvaders.AvatarLaser} avatarLaser The laser to be shot.
+   * @param {number} directionX The x-axis direction of the laser (0 = straight up).
+   */
+  this.launchLaser = function (avatar, avatarLaser, directionX) {
+    avatarLaser.setVisible(true);
+    avatarLaser.setEnabled(true);
+    avatarLaser.setDirectionX(directionX);
+    avatarLaser.setDirectionY(-1);
+    avatarLaser.setX(avatar.getCenterX() - avatarLaser.getExtentX());
+    avatarLaser.setY(avatar.getY());
+    avatarLaser.setAnimationFrameIndex(0);
+  }
+
+  /** *************************************************************************
+   * Shoot a volley of lasers from the given avatar with the deluxe rules.
+   *
+   * Without power-ups a volley is a single laser like in the classic rules and
+   * the next volley waits until the previous one is over. The spread shot adds
+   * two side lasers into the volley and the rapid fire lets the avatar shoot
+   * with any of its free lasers, so several volleys can be in the air.
+   *
+   * @param {SpaceInvaders.AvatarEntity} avatar The avatar shooting the volley.
+   */
+  this.fireVolley = function (avatar) {
+    var index = avatars.indexOf(avatar);
+    var ticks = powerUpTicks[index];
+    var lasers = [avatarLasers[index]].concat(spareLasers[index]);
+    var freeLasers = lasers.filter(function (laser) { return laser.isVisible() == false; });
+    if (freeLasers.length == 0 || (ticks.rapid <= 0 && freeLasers.length < lasers.length)) {
+      return;
+    }
+
+    var directions = (ticks.spread > 0 ? [0, -this.SPREAD_DIRECTION_X, this.SPREAD_DIRECTION_X] : [0]);
+    for (var i = 0; i < directions.length && i < freeLasers.length; i++) {
+      this.launchLaser(avatar, freeLasers[i], directions[i]);
+    }
+
+    // increment the laser counter once for the whole volley.
+    avatarLaserCount++;
+    game.getAudio().playShot();
+  }
+
+  /** *************************************************************************
+   * Get a read-only snapshot of the game field for the controllers.
+   *
+   * Snapshot is built from copies of the entity states, so the controllers
+   * cannot modify the game through it. Entities are described with their
+   * {x, y, width, height} bounds and the shields contain a copy of their pixel
+   * masks (one byte per pixel in row order, 1 = solid). In the co-op game the
+   * snapshot describes the avatar and the laser of the 1st player.
+   *
+   * @return {Object} The frozen snapshot of the game field.
+   */
+  this.getSnapshot = function () {
+    var describe = function (entity, properties) {
+      var description = {
+        x: entity.getX(),
+        y: entity.getY(),
+        width: entity.getWidth(),
+        height: entity.getHeight()
+      };
+      for (var key in properties) {
+        description[key] = properties[key];
+      }
+      return Object.freeze(description);
+    };
+    var shotTypes = game.getWaves().SHOT_TYPES;
+    return Object.freeze({
+      avatar: describe(avatars[0]),
+      laser: describe(avatarLasers[0], { visible: avatarLasers[0].isVisible() }),
+      aliens: Object.freeze(aliens.filter(function (alien) {
+        return alien.isVisible();
+      }).map(function (alien) {
+        return describe(alien, { row: alien.getRow(), column: alien.getColumn(), points: alien.getPoints() });
+      })),
+      alienShots: Object.freeze(alienShots.filter(function (shot) {
+        return shot.isEnabled();
+      }).map(function (shot) {
+        return describe(shot, { type: shotTypes[alienShots.indexOf(shot)] });
+      })),
+      saucer: (flyingSaucer.isEnabled() ? describe(flyingSaucer, { directionX: flyingSaucer.getDirectionX() }) : undefined),
+      shields: Object.freeze(shields.map(function (shield) {
+        return describe(shield, { mask: shield.getMask().slice() });
+      })),
+      bounds: Object.freeze({
+        left: alienLeftBoundsDetector.getX() + (alienLeftBoundsDetector.getExtentX() * 2),
+        right: alienRightBoundsDetector.getX()
+      }),
+      score: ctx.getScore(),
+      lives: ctx.getLives(),
+      level: ctx.getLevel()
+    });
+  }
+
+  /** *************************************************************************
+   * Leave the ended game into the hi-score entry or into the welcome state.
+   */
+  this.continueFromGameOver = function () {
+    // scores of a played back game are not stored into the hi-score table.
+    if (game.isReplaying()) {
+      game.stopReplay();
+      return;
+    }
+    if (game.isPlaytesting()) {
+      game.stopPlaytest();
+      return;
+    }
+    if (game.isDemo()) {
+      game.stopDemo();
+      return;
+    }
+    // scores of an online versus game are not stored into the hi-score table.
+    var versus = game.isVersus();
+    game.stopRecording();
+    game.stopVersus();
+
+    // collect the players whose scores make the hi-score table.
+    var table = game.getHiScoreTable();
+    var qualified = [];
+    var contexts = [game.getPlayer1Context(), game.getPlayer2Context()];
+    for (var i = 0; !versus && i < game.getPlayerCount(); i++) {
+      var score = contexts[i].getScore();
+      if (table.qualifies(score)) {
+        qualified.push({ player: (i + 1), score: score });
+      }
+    }
+
+    // reset game context before leaving the scene.
+    game.getPlayer1Context().reset();
+    game.getPlayer2Context().reset();
+
+    // enter the initials or return back to the welcome scene.
+    var scene = game.getScene();
+    if (qualified.length > 0) {
+      scene.setState(new SpaceInvaders.HiScoreEntryState(game, qualified));
+    } else {
+      scene.setState(new SpaceInvaders.WelcomeState(game));
     }
   }
 
+  // restore the saved game field when a saved game is being continued.
+  if (ctx.getSavedField()) {
+    this.restoreField(ctx.getSavedField());
+    ctx.setSavedField(undefined);
+  }
 }
 
 /** ***************************************************************************
@@ -2281,10 +9289,16 @@ SpaceInvaders.IngameState = function (game) {
  *
  * Space Invaders contains only one scene that is kept visible during the whole
  * application execution. This scene will always contain the 3 score at the top
- * of the scene (i.e. 1st and 2nd player scores and the high score).The center
- * contents of the screen will be changed dynamically based on the current state
- * of the game. The original version also contained the "Credit" section always
- * visible at the bottom-right corner of the scene, but we can leave that out.
+ * of the scene (i.e. 1st and 2nd player scores and the high score) and the
+ * name of the difficulty preset below the high score. The center contents of
+ * the screen will be changed dynamically based on the current state of the
+ * game. Like in the original version, the "Credit" section is visible at the
+ * bottom-right corner of the scene, unless the state uses the corner itself
+ * (see the HIDES_CREDIT definition of the states).
+ *
+ * The scene also draws the particle effects on top of the state and shakes
+ * the whole screen (e.g. when the avatar is destroyed). Both of the effects
+ * are skipped when the classic look is selected in the display settings.
  *
  * @param {SpaceInvaders.Game} game A reference to the target game instance.
  */
@@ -2292,10 +9306,8 @@ SpaceInvaders.Scene = function (game) {
   /** A reference to the root game instance. */
   this.game = game;
 
-  /** A reference to the data and state container for the 1st player. */
-  this.player1Context = game.getPlayer1Context();
-  /** A reference to the data and state container for the 2nd player. */
-  this.player2Context = game.getPlayer2Context();
+  /** A constant maximum offset of the screen shake in pixels. */
+  this.SHAKE_MAGNITUDE = 6;
 
   var score1Caption;
   var hiScoreCaption;
@@ -2304,9 +9316,18 @@ SpaceInvaders.Scene = function (game) {
   var score1Text;
   var hiScoreText;
   var score2Text;
+  var difficultyText;
+  var creditText;
 
   var state;
 
+  /** The generator of the visual effects (kept apart from the game simulation). */
+  var effectRandom = new SpaceInvaders.Random();
+  /** The particles of the explosion effects. */
+  var particles = new SpaceInvaders.ParticleSystem(game, effectRandom);
+  /** The remaining ticks of the screen shake. */
+  var shakeTicks = 0;
+
   // initialize the static caption for the 1st player score.
   score1Caption = new SpaceInvaders.TextEntity(game);
   score1Caption.setText("SCORE<1>");
@@ -2318,14 +9339,14 @@ SpaceInvaders.Scene = function (game) {
   hiScoreCaption = new SpaceInvaders.TextEntity(game);
   hiScoreCaption.setText("HI-SCORE");
   hiScoreCaption.setAlign("center");
-  hiScoreCaption.setX(672 / 2);
+  hiScoreCaption.setX(SpaceInvaders.WIDTH / 2);
   hiScoreCaption.setY(score1Caption.getY());
 
   // initialize the static caption for the 1st player score.
   score2Caption = new SpaceInvaders.TextEntity(game);
   score2Caption.setText("SCORE<2>");
   score2Caption.setAlign("center");
-  score2Caption.setX(672 - 130);
+  score2Caption.setX(SpaceInvaders.WIDTH - 130);
   score2Caption.setY(score1Caption.getY());
 
   // initialize the dynamic score value for the 1st player score.
@@ -2349,6 +9370,20 @@ SpaceInvaders.Scene = function (game) {
   score2Text.setX(score2Caption.getX());
   score2Text.setY(score1Text.getY());
 
+  // initialize the dynamic name of the difficulty preset below the high score.
+  difficultyText = new SpaceInvaders.TextEntity(game);
+  difficultyText.setAlign("center");
+  difficultyText.setFont("18pt monospace");
+  difficultyText.setX(hiScoreText.getX());
+  difficultyText.setY(hiScoreText.getY() + 25);
+
+  // initialize the dynamic amount of credits at the bottom-right corner.
+  creditText = new SpaceInvaders.TextEntity(game);
+  creditText.setAlign("right");
+  creditText.setFont("18pt monospace");
+  creditText.setX(SpaceInvaders.WIDTH - 27);
+  creditText.setY(758);
+
   /** *************************************************************************
    * Set and enter into the given state.
    *
@@ -2373,15 +9408,42 @@ SpaceInvaders.Scene = function (game) {
     }
   }
 
+  /** *************************************************************************
+   * Burst the given amount of particles from the given position.
+   * @param {number} x The x-coordinate of the burst center.
+   * @param {number} y The y-coordinate of the burst center.
+   * @param {number} count The amount of particles to be emitted.
+   * @param {string} fillStyle The fill style (i.e. color) of the particles.
+   * @param {number} speed The maximum velocity of the particles.
+   */
+  this.emitParticles = function (x, y, count, fillStyle, speed) {
+    if (!game.getDisplaySettings().isClassicLook()) {
+      particles.emit(x, y, count, fillStyle, speed);
+    }
+  }
+
+  /** *************************************************************************
+   * Shake the screen for the given amount of ticks.
+   * @param {number} ticks The duration of the shake in ticks.
+   */
+  this.shake = function (ticks) {
+    if (!game.getDisplaySettings().isClassicLook()) {
+      shakeTicks = Math.max(shakeTicks, ticks);
+    }
+  }
+
   /** *************************************************************************
    * Update (i.e. tick) the all the game logic within the scene.
    * @param {double} dt The delta time from the previous tick operation.
    */
   this.update = function (dt) {
     // ensure that all visible score-markers are up-to-date.
-    score1Text.setText(SpaceInvaders.toScoreString(this.player1Context.getScore()));
-    score2Text.setText(SpaceInvaders.toScoreString(this.player2Context.getScore()));
+    score1Text.setText(SpaceInvaders.toScoreString(game.getPlayer1Context().getScore()));
+    score2Text.setText(SpaceInvaders.toScoreString(game.getPlayer2Context().getScore()));
     hiScoreText.setText(SpaceInvaders.toScoreString(game.getHiScore()));
+    difficultyText.setText(game.getDifficulty().name);
+    var credits = game.getCredits();
+    creditText.setText(game.isFreePlay() ? "FREE PLAY" : ("CREDIT " + (credits < 10 ? "0" : "") + credits));
 
     score1Caption.update(dt);
     hiScoreCaption.update(dt);
@@ -2391,6 +9453,12 @@ SpaceInvaders.Scene = function (game) {
     hiScoreText.update(dt);
     score2Text.update(dt);
 
+    // freeze the effects along with the paused game.
+    if (!(state.isPaused && state.isPaused())) {
+      particles.update(dt);
+      shakeTicks = Math.max(0, shakeTicks - 1);
+    }
+
     state.update(dt);
   }
 
@@ -2399,6 +9467,15 @@ SpaceInvaders.Scene = function (game) {
    * @param {CanvasRenderingContext2D} ctx The drawing context to use.
    */
   this.render = function (ctx) {
+    // offset the whole screen into a random direction while it's shaking.
+    var shaking = (shakeTicks > 0);
+    if (shaking) {
+      var offsetX = Math.round((effectRandom.next() * 2 - 1) * this.SHAKE_MAGNITUDE);
+      var offsetY = Math.round((effectRandom.next() * 2 - 1) * this.SHAKE_MAGNITUDE);
+      ctx.save();
+      ctx.translate(offsetX, offsetY);
+    }
+
     score1Caption.render(ctx);
     hiScoreCaption.render(ctx);
     score2Caption.render(ctx);
@@ -2406,12 +9483,30 @@ SpaceInvaders.Scene = function (game) {
     score1Text.render(ctx);
     hiScoreText.render(ctx);
     score2Text.render(ctx);
+    difficultyText.render(ctx);
+    if (!state.HIDES_CREDIT) {
+      creditText.render(ctx);
+    }
 
     state.render(ctx);
+    particles.render(ctx);
+
+    if (shaking) {
+      ctx.restore();
+    }
   }
 
 
   this.getState = function () { return state; }
+  this.getParticles = function () { return particles; }
+  this.getShakeTicks = function () { return shakeTicks; }
   this.getScore1Text = function () { return score1Text; }
   this.getScore2Text = function () { return score2Text; }
+  this.getDifficultyText = function () { return difficultyText; }
+  this.getCreditText = function () { return creditText; }
+}
+
+// export the namespace when the game is loaded as a module (e.g. in Node).
+if (typeof module != "undefined" && module.exports) {
+  module.exports = SpaceInvaders;
 }
@@ -0,0 +1,290 @@
+/** ***************************************************************************
+ * A tiny relay server for the online versus game of the Space Invaders game.
+ *
+ * This server is meant for local development and testing. It accepts plain
+ * WebSocket connections without any dependencies, pairs the joined players
+ * into matches and relays the game messages between the paired players. The
+ * message protocol is described along with SpaceInvaders.Network (game.js).
+ *
+ * Usage: node relay-server.js [port]
+ */
+var http = require("http");
+var crypto = require("crypto");
+
+/** ***************************************************************************
+ * A relay server that pairs the players and relays their messages.
+ *
+ * The server keeps at most one player of each difficulty preset waiting in
+ * the lobby. The next joined player of the same difficulty is paired with the
+ * waiting player and both of them get the match message with the same random
+ * seed, so they play mirrored waves. The score, garbage and game over messages
+ * are relayed to the opponent of the sender. The opponent is told when the
+ * other player leaves the match.
+ */
+var RelayServer = function () {
+  /** A constant version of the supported message protocol. */
+  this.VERSION = 1;
+  /** A constant GUID appended to the WebSocket key during the handshake. */
+  this.WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+  /** A constant list of the message types relayed to the opponent. */
+  this.RELAYED_TYPES = ["score", "garbage", "gameover"];
+  /** A constant maximum size of a received frame payload in bytes. */
+  this.MAX_PAYLOAD_SIZE = 4096;
+
+  /** A constant WebSocket opcode of a text frame. */
+  var OPCODE_TEXT = 0x1;
+  /** A constant WebSocket opcode of a close frame. */
+  var OPCODE_CLOSE = 0x8;
+  /** A constant WebSocket opcode of a ping frame. */
+  var OPCODE_PING = 0x9;
+  /** A constant WebSocket opcode of a pong frame. */
+  var OPCODE_PONG = 0xA;
+
+  /** The HTTP server accepting the WebSocket upgrades. */
+  var server = http.createServer(function (request, response) {
+    response.writeHead(426, { "Content-Type": "text/plain" });
+    response.end("Space Invaders relay server: connect with a WebSocket.\n");
+  });
+  /** The currently connected clients. */
+  var clients = [];
+  /** The clients waiting for an opponent in the lobby by the difficulty. */
+  var waitingClients = Object.create(null);
+  /** The amount of started matches. */
+  var matchCount = 0;
+
+  var relay = this;
+  server.on("upgrade", function (request, socket) {
+    relay.accept(request, socket);
+  });
+
+  /** *************************************************************************
+   * Start listening the WebSocket connections from the given port.
+   * @param {number} port The TCP port to listen.
+   * @param {function} callback An optional function called when listening.
+   */
+  this.listen = function (port, callback) {
+    server.listen(port, callback);
+  }
+
+  /** *************************************************************************
+   * Stop listening and close the connections of the connected clients.
+   * @param {function} callback An optional function called when closed.
+   */
+  this.close = function (callback) {
+    waitingClients = Object.create(null);
+    clients.slice().forEach(function (client) {
+      client.socket.destroy();
+    });
+    server.close(callback);
+  }
+
+  /** *************************************************************************
+   * Accept the WebSocket handshake and start reading the frames.
+   * @param {http.IncomingMessage} request The HTTP upgrade request.
+   * @param {net.Socket} socket The socket of the upgraded connection.
+   */
+  this.accept = function (request, socket) {
+    var key = request.headers["sec-websocket-key"];
+    if (String(request.headers["upgrade"]).toLowerCase() != "websocket" || !key) {
+      socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+      return;
+    }
+    var accept = crypto.createHash("sha1").update(key + this.WEBSOCKET_GUID).digest("base64");
+    socket.write("HTTP/1.1 101 Switching Protocols\r\n"
+      + "Upgrade: websocket\r\n"
+      + "Connection: Upgrade\r\n"
+      + "Sec-WebSocket-Accept: " + accept + "\r\n\r\n");
+
+    var client = { socket: socket, opponent: undefined, joined: false, buffer: Buffer.alloc(0) };
+    clients.push(client);
+    socket.on("data", function (data) {
+      client.buffer = Buffer.concat([client.buffer, data]);
+      relay.readFrames(client);
+    });
+    socket.on("close", function () {
+      clients.splice(clients.indexOf(client), 1);
+      relay.leave(client);
+    });
+    socket.on("error", function (e) {
+      console.warn("Relay server connection error: " + e.message);
+    });
+  }
+
+  /** *************************************************************************
+   * Read and handle all complete frames from the buffer of the given client.
+   *
+   * Frames from the clients are always masked. Fragmented and too large frames
+   * are not needed by the game, so they close the connection.
+   *
+   * @param {Object} client The client whose buffer is read.
+   */
+  this.readFrames = function (client) {
+    while (client.buffer.length >= 2) {
+      var buffer = client.buffer;
+      var final = (buffer[0] & 0x80) != 0;
+      var opcode = (buffer[0] & 0x0F);
+      var masked = (buffer[1] & 0x80) != 0;
+      var length = (buffer[1] & 0x7F);
+      var offset = 2;
+      if (length == 126) {
+        if (buffer.length < 4) {
+          return;
+        }
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length == 127) {
+        this.disconnect(client);
+        return;
+      }
+      if (!final || !masked || length > this.MAX_PAYLOAD_SIZE) {
+        this.disconnect(client);
+        return;
+      }
+      if (buffer.length < offset + 4 + length) {
+        return;
+      }
+
+      // unmask the payload with the masking key of the frame.
+      var mask = buffer.slice(offset, offset + 4);
+      var payload = Buffer.alloc(length);
+      for (var i = 0; i < length; i++) {
+        payload[i] = buffer[offset + 4 + i] ^ mask[i % 4];
+      }
+      client.buffer = buffer.slice(offset + 4 + length);
+
+      switch (opcode) {
+        case OPCODE_TEXT:
+          this.receive(client, payload.toString("utf8"));
+          break;
+        case OPCODE_CLOSE:
+          this.disconnect(client);
+          return;
+        case OPCODE_PING:
+          this.writeFrame(client, OPCODE_PONG, payload);
+          break;
+      }
+    }
+  }
+
+  /** *************************************************************************
+   * Handle the given text message received from the given client.
+   * @param {Object} client The client that sent the message.
+   * @param {string} text The received JSON message.
+   */
+  this.receive = function (client, text) {
+    var message;
+    try {
+      message = JSON.parse(text);
+    } catch (e) {
+      return;
+    }
+    if (!message || typeof message.type != "string") {
+      return;
+    }
+
+    if (message.type == "join") {
+      this.join(client, message.version, String(message.difficulty || "arcade"));
+    } else if (client.opponent && this.RELAYED_TYPES.indexOf(message.type) >= 0) {
+      this.send(client.opponent, message);
+    }
+  }
+
+  /** *************************************************************************
+   * Join the given client into the lobby or pair it with the waiting client.
+   * @param {Object} client The client joining the lobby.
+   * @param {number} version The protocol version of the client.
+   * @param {string} difficulty The id of the difficulty preset of the client.
+   */
+  this.join = function (client, version, difficulty) {
+    if (version != this.VERSION) {
+      this.disconnect(client);
+      return;
+    }
+    if (client.joined) {
+      return;
+    }
+    client.joined = true;
+    client.difficulty = difficulty;
+
+    if (waitingClients[difficulty]) {
+      // start a new match with a shared seed for the mirrored waves.
+      var seed = crypto.randomBytes(4).readUInt32LE(0);
+      var opponent = waitingClients[difficulty];
+      delete waitingClients[difficulty];
+      client.opponent = opponent;
+      opponent.opponent = client;
+      matchCount++;
+      this.send(opponent, { type: "match", seed: seed, player: 1 });
+      this.send(client, { type: "match", seed: seed, player: 2 });
+    } else {
+      waitingClients[difficulty] = client;
+      this.send(client, { type: "waiting" });
+    }
+  }
+
+  /** *************************************************************************
+   * Remove the given client from the lobby and from its match (if any).
+   * @param {Object} client The client that has left.
+   */
+  this.leave = function (client) {
+    if (client.joined && waitingClients[client.difficulty] == client) {
+      delete waitingClients[client.difficulty];
+    }
+    if (client.opponent) {
+      this.send(client.opponent, { type: "left" });
+      client.opponent.opponent = undefined;
+      client.opponent = undefined;
+    }
+  }
+
+  /** *************************************************************************
+   * Close the connection of the given client.
+   * @param {Object} client The client to be disconnected.
+   */
+  this.disconnect = function (client) {
+    this.writeFrame(client, OPCODE_CLOSE, Buffer.alloc(0));
+    client.socket.end();
+    this.leave(client);
+  }
+
+  /** *************************************************************************
+   * Send the given message as a JSON text frame into the given client.
+   * @param {Object} client The receiving client.
+   * @param {Object} message The message to be sent.
+   */
+  this.send = function (client, message) {
+    this.writeFrame(client, OPCODE_TEXT, Buffer.from(JSON.stringify(message), "utf8"));
+  }
+
+  /** *************************************************************************
+   * Write an unmasked frame with the given opcode and payload.
+   * @param {Object} client The receiving client.
+   * @param {number} opcode The opcode of the frame.
+   * @param {Buffer} payload The payload of the frame.
+   */
+  this.writeFrame = function (client, opcode, payload) {
+    if (client.socket.destroyed || !client.socket.writable) {
+      return;
+    }
+    var header;
+    if (payload.length < 126) {
+      header = Buffer.from([0x80 | opcode, payload.length]);
+    } else {
+      header = Buffer.from([0x80 | opcode, 126, 0, 0]);
+      header.writeUInt16BE(payload.length, 2);
+    }
+    client.socket.write(Buffer.concat([header, payload]));
+  }
+
+  this.getMatchCount = function () { return matchCount; }
+}
+
+module.exports = RelayServer;
+
+// start the relay server when the file is run directly with Node.
+if (require.main === module) {
+  var port = parseInt(process.argv[2], 10) || 8787;
+  new RelayServer().listen(port, function () {
+    console.log("Space Invaders relay server listening on ws://localhost:" + port);
+  });
+}